@@ -0,0 +1,22 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Supabase: Soft delete columns for bot moderation (REMOVE_CONTENT)
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run in the Supabase SQL editor (NOT Neon). The bot hides content by setting
+-- is_deleted / deleted_at instead of deleting rows; the original row is kept in
+-- Neon `ai_moderation_removals` so admins can restore it. The bot also leaves
+-- removed rows out of every context it reads (history, summaries, parent posts).
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN DEFAULT FALSE;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN DEFAULT FALSE;
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN DEFAULT FALSE;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE thread_comments ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN DEFAULT FALSE;
+ALTER TABLE thread_comments ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,12 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Supabase: Poll lifecycle (anonymous polls, closing summaries)
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run in the Supabase SQL editor (NOT Neon). Bot-created polls can be anonymous
+-- (voters are not shown) and get a results summary posted by the bot when they
+-- expire; summary_posted_at makes that summary a one-time event.
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE polls ADD COLUMN IF NOT EXISTS is_anonymous BOOLEAN DEFAULT FALSE;
+ALTER TABLE polls ADD COLUMN IF NOT EXISTS summary_posted_at TIMESTAMP WITH TIME ZONE;
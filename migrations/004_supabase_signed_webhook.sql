@@ -0,0 +1,92 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Supabase: Signed AI bot webhook (replaces the dashboard Database Webhooks)
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run in the Supabase SQL editor (NOT Neon). /api/ai/webhook only accepts
+-- deliveries signed with HMAC-SHA256 (see src/middleware/verifyWebhookSignature.js):
+--   x-vtx-source:    supabase
+--   x-vtx-timestamp: unix seconds
+--   x-vtx-nonce:     random uuid, unique per delivery
+--   x-vtx-signature: sha256=hex(hmac_sha256(secret, "<timestamp>.<nonce>.<body>"))
+-- Dashboard Database Webhooks cannot compute that signature, so these triggers
+-- send the same payload ({ type, table, schema, record, old_record }) through
+-- pg_net and sign it in the database. pg_net posts `body::text`, which is exactly
+-- the text signed below.
+--
+-- Migration path (no trigger is lost on the way):
+--   1. Deploy the backend with AI_WEBHOOK_ALLOW_UNSIGNED=true: the old unsigned
+--      Database Webhooks keep working, signed deliveries are already verified.
+--   2. Store the endpoint and the secret in Vault (the secret must equal
+--      AI_WEBHOOK_SECRET_SUPABASE or AI_WEBHOOK_SECRET on the backend):
+--        select vault.create_secret('https://<backend>/api/ai/webhook', 'ai_webhook_url');
+--        select vault.create_secret('<random 32+ byte secret>', 'ai_webhook_secret');
+--   3. Run this file.
+--   4. Delete the old Database Webhooks on comments, posts, threads and
+--      thread_comments in the dashboard (otherwise every event arrives twice;
+--      the job queue dedupes them, but they still cost a request).
+--   5. Remove AI_WEBHOOK_ALLOW_UNSIGNED from the backend.
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE EXTENSION IF NOT EXISTS pg_net;
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+CREATE OR REPLACE FUNCTION public.ai_bot_signed_webhook()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  endpoint TEXT;
+  secret TEXT;
+  payload JSONB;
+  ts TEXT := floor(extract(epoch FROM now()))::BIGINT::TEXT;
+  nonce TEXT := gen_random_uuid()::TEXT;
+BEGIN
+  SELECT decrypted_secret INTO endpoint FROM vault.decrypted_secrets WHERE name = 'ai_webhook_url';
+  SELECT decrypted_secret INTO secret FROM vault.decrypted_secrets WHERE name = 'ai_webhook_secret';
+  IF endpoint IS NULL OR secret IS NULL THEN
+    RAISE WARNING 'ai_bot_signed_webhook: ai_webhook_url / ai_webhook_secret missing in Vault, event not sent';
+    RETURN NULL;
+  END IF;
+
+  payload := jsonb_build_object(
+    'type', TG_OP,
+    'table', TG_TABLE_NAME,
+    'schema', TG_TABLE_SCHEMA,
+    'record', CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END,
+    'old_record', CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END
+  );
+
+  PERFORM net.http_post(
+    url := endpoint,
+    body := payload,
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'x-vtx-source', 'supabase',
+      'x-vtx-timestamp', ts,
+      'x-vtx-nonce', nonce,
+      'x-vtx-signature', 'sha256=' || encode(hmac(ts || '.' || nonce || '.' || payload::TEXT, secret, 'sha256'), 'hex')
+    ),
+    timeout_milliseconds := 10000
+  );
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ai_bot_signed_webhook ON comments;
+CREATE TRIGGER ai_bot_signed_webhook AFTER INSERT OR UPDATE OR DELETE ON comments
+  FOR EACH ROW EXECUTE FUNCTION public.ai_bot_signed_webhook();
+
+DROP TRIGGER IF EXISTS ai_bot_signed_webhook ON posts;
+CREATE TRIGGER ai_bot_signed_webhook AFTER INSERT OR UPDATE OR DELETE ON posts
+  FOR EACH ROW EXECUTE FUNCTION public.ai_bot_signed_webhook();
+
+DROP TRIGGER IF EXISTS ai_bot_signed_webhook ON threads;
+CREATE TRIGGER ai_bot_signed_webhook AFTER INSERT OR UPDATE OR DELETE ON threads
+  FOR EACH ROW EXECUTE FUNCTION public.ai_bot_signed_webhook();
+
+DROP TRIGGER IF EXISTS ai_bot_signed_webhook ON thread_comments;
+CREATE TRIGGER ai_bot_signed_webhook AFTER INSERT OR UPDATE OR DELETE ON thread_comments
+  FOR EACH ROW EXECUTE FUNCTION public.ai_bot_signed_webhook();
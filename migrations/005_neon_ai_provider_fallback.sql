@@ -0,0 +1,12 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: AI provider fallback (which provider answered)
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. ai_execution_logs.provider records
+-- the provider of the fallback chain that actually produced the answer:
+--   psql "$DATABASE_URL" -f migrations/005_neon_ai_provider_fallback.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Migration: which provider in the fallback chain actually answered
+ALTER TABLE ai_execution_logs ADD COLUMN IF NOT EXISTS provider TEXT;
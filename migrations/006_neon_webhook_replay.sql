@@ -0,0 +1,28 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Signed webhook replay protection & rejection audit
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. verifyWebhookSignature records every
+-- accepted nonce (a replay within the tolerance window is refused) and logs
+-- rejected deliveries with a body excerpt:
+--   psql "$DATABASE_URL" -f migrations/006_neon_webhook_replay.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Webhook replay protection & rejected delivery audit
+CREATE TABLE IF NOT EXISTS ai_webhook_nonces (
+  nonce TEXT PRIMARY KEY,
+  source TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS ai_webhook_rejections (
+  id SERIAL PRIMARY KEY,
+  source TEXT,
+  reason TEXT,
+  ip TEXT,
+  signature TEXT,
+  request_timestamp TEXT,
+  nonce TEXT,
+  body_excerpt TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
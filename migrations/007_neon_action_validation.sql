@@ -0,0 +1,13 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Validated bot actions (action + validation attempts)
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. ai_execution_logs keeps the executed
+-- action and every schema validation / repair attempt of the model's output:
+--   psql "$DATABASE_URL" -f migrations/007_neon_action_validation.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Migration: executed action + every schema validation / repair attempt
+ALTER TABLE ai_execution_logs ADD COLUMN IF NOT EXISTS action TEXT;
+ALTER TABLE ai_execution_logs ADD COLUMN IF NOT EXISTS validation_attempts JSONB;
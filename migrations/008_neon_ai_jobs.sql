@@ -0,0 +1,29 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Durable AI job queue (webhook -> worker)
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Webhook triggers, poll summaries and
+-- memory summaries are queued here and drained by /api/ai/jobs/run. Until this
+-- table exists, the webhook processes triggers inline:
+--   psql "$DATABASE_URL" -f migrations/008_neon_ai_jobs.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Durable AI job queue (webhook -> worker)
+CREATE TABLE IF NOT EXISTS ai_jobs (
+  id SERIAL PRIMARY KEY,
+  kind TEXT NOT NULL DEFAULT 'webhook',
+  dedupe_key TEXT UNIQUE,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued', -- queued, running, succeeded, dead
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  locked_by TEXT,
+  last_error TEXT,
+  result JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_ai_jobs_claim ON ai_jobs (status, run_at);
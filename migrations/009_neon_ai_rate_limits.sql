@@ -0,0 +1,26 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Bot trigger rate limits
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Fixed-window counters per user,
+-- thread and globally, plus the triggers already charged (queue retries are not
+-- charged twice):
+--   psql "$DATABASE_URL" -f migrations/009_neon_ai_rate_limits.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Bot trigger rate-limit counters (per user / thread / global window)
+CREATE TABLE IF NOT EXISTS ai_rate_counters (
+  scope TEXT NOT NULL, -- user, thread, global
+  key TEXT NOT NULL,
+  window_start TIMESTAMP WITH TIME ZONE NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  notified BOOLEAN NOT NULL DEFAULT FALSE,
+  PRIMARY KEY (scope, key, window_start)
+);
+
+-- Triggers already counted against the rate limits (retries are not charged again)
+CREATE TABLE IF NOT EXISTS ai_rate_charges (
+  trigger_key TEXT PRIMARY KEY,
+  charged_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
@@ -0,0 +1,24 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Bot content removals (audit trail)
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Every REMOVE_CONTENT soft delete
+-- keeps a snapshot here so an admin can restore it:
+--   psql "$DATABASE_URL" -f migrations/010_neon_ai_moderation_removals.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Audit trail for bot REMOVE_CONTENT (soft deletes, restorable)
+CREATE TABLE IF NOT EXISTS ai_moderation_removals (
+  id SERIAL PRIMARY KEY,
+  source_table TEXT NOT NULL,
+  record_id TEXT NOT NULL,
+  snapshot JSONB,
+  reasoning TEXT,
+  requested_by TEXT,
+  requester_role TEXT,
+  status TEXT NOT NULL DEFAULT 'removed', -- removed, restored
+  restored_at TIMESTAMP WITH TIME ZONE,
+  restored_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
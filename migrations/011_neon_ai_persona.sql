@@ -0,0 +1,12 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Bot persona per execution
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Records which bot persona handled
+-- each trigger:
+--   psql "$DATABASE_URL" -f migrations/011_neon_ai_persona.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Migration: which bot persona handled the trigger
+ALTER TABLE ai_execution_logs ADD COLUMN IF NOT EXISTS persona TEXT;
@@ -0,0 +1,35 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: AI token usage & spend
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Real token usage and cost per
+-- execution, plus the daily spend rollup (monthly view on top) used by the budgets:
+--   psql "$DATABASE_URL" -f migrations/012_neon_ai_spend.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Migration: real token usage (from provider usage fields) & cost
+ALTER TABLE ai_execution_logs ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER;
+ALTER TABLE ai_execution_logs ADD COLUMN IF NOT EXISTS completion_tokens INTEGER;
+ALTER TABLE ai_execution_logs ADD COLUMN IF NOT EXISTS cost_usd NUMERIC(12, 6);
+
+-- Daily AI spend rollup (monthly view on top)
+CREATE TABLE IF NOT EXISTS ai_spend_daily (
+  day DATE NOT NULL,
+  persona TEXT NOT NULL DEFAULT 'default',
+  source_table TEXT NOT NULL DEFAULT '',
+  user_id TEXT NOT NULL DEFAULT '',
+  provider TEXT NOT NULL DEFAULT '',
+  model TEXT NOT NULL DEFAULT '',
+  prompt_tokens BIGINT NOT NULL DEFAULT 0,
+  completion_tokens BIGINT NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  calls INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, persona, source_table, user_id, provider, model)
+);
+CREATE OR REPLACE VIEW ai_spend_monthly AS
+SELECT date_trunc('month', day)::date AS month, persona, source_table, user_id, provider, model,
+       SUM(prompt_tokens) AS prompt_tokens, SUM(completion_tokens) AS completion_tokens,
+       SUM(cost_usd) AS cost_usd, SUM(calls) AS calls
+FROM ai_spend_daily
+GROUP BY 1, 2, 3, 4, 5, 6;
@@ -0,0 +1,20 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Structured code reviews
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Findings of REVIEW_CODE actions:
+--   psql "$DATABASE_URL" -f migrations/013_neon_ai_code_reviews.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Structured findings of REVIEW_CODE actions
+CREATE TABLE IF NOT EXISTS ai_code_reviews (
+  id SERIAL PRIMARY KEY,
+  trigger_id TEXT,
+  post_id TEXT,
+  persona TEXT,
+  language TEXT,
+  summary TEXT,
+  findings JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,42 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Content index for retrieval-augmented answers
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Full-text / keyword index of posts
+-- and threads (filled by the webhook and the analytics sync) and the retrieval log:
+--   psql "$DATABASE_URL" -f migrations/014_neon_ai_content_index.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Full-text / keyword index of posts & threads for retrieval-augmented answers
+CREATE TABLE IF NOT EXISTS ai_content_index (
+  source_table TEXT NOT NULL, -- posts, threads
+  source_id TEXT NOT NULL,
+  parent_id TEXT,
+  title TEXT,
+  body TEXT,
+  keywords TEXT[] NOT NULL DEFAULT '{}',
+  author_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE,
+  indexed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  search TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(body, '')), 'B')
+  ) STORED,
+  PRIMARY KEY (source_table, source_id)
+);
+CREATE INDEX IF NOT EXISTS idx_ai_content_index_search ON ai_content_index USING GIN (search);
+CREATE INDEX IF NOT EXISTS idx_ai_content_index_keywords ON ai_content_index USING GIN (keywords);
+
+-- Retrieval hits & misses (hit_count = 0) per trigger, plus what the reply actually cited
+CREATE TABLE IF NOT EXISTS ai_retrieval_logs (
+  id SERIAL PRIMARY KEY,
+  trigger_id TEXT,
+  persona TEXT,
+  query_text TEXT,
+  terms TEXT[],
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  hits JSONB,
+  cited_ids TEXT[],
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,26 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Versioned prompt templates
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Prompt templates edited in the admin
+-- center, and the template versions each execution used (A/B comparison):
+--   psql "$DATABASE_URL" -f migrations/015_neon_ai_prompt_templates.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Migration: prompt template version per template name ({"master": 3, "tone.casual": 0}, 0 = built-in)
+ALTER TABLE ai_execution_logs ADD COLUMN IF NOT EXISTS prompt_versions JSONB;
+
+-- Versioned prompt templates ({{variable}} placeholders, weight > 0 = in A/B split)
+CREATE TABLE IF NOT EXISTS ai_prompt_templates (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  body TEXT NOT NULL,
+  weight INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  notes TEXT,
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (name, version)
+);
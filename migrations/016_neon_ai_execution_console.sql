@@ -0,0 +1,15 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: AI activity console
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Full prompt and outcome of every
+-- execution for the admin center AI console, indexed by time for its charts:
+--   psql "$DATABASE_URL" -f migrations/016_neon_ai_execution_console.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Migration: full prompt & outcome for the admin center AI console (status: success | error)
+ALTER TABLE ai_execution_logs ADD COLUMN IF NOT EXISTS prompt TEXT;
+ALTER TABLE ai_execution_logs ADD COLUMN IF NOT EXISTS status TEXT;
+ALTER TABLE ai_execution_logs ADD COLUMN IF NOT EXISTS error TEXT;
+CREATE INDEX IF NOT EXISTS idx_ai_execution_logs_created_at ON ai_execution_logs (created_at);
@@ -0,0 +1,18 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: One bot answer per trigger
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. The reply guard claims a row here
+-- right before posting, so queue retries and reprocessing never answer twice:
+--   psql "$DATABASE_URL" -f migrations/017_neon_ai_trigger_replies.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- One bot answer per trigger (claimed right before the reply is posted)
+CREATE TABLE IF NOT EXISTS ai_trigger_replies (
+  source_table TEXT NOT NULL,
+  trigger_id TEXT NOT NULL,
+  persona TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (source_table, trigger_id)
+);
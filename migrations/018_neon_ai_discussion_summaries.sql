@@ -0,0 +1,19 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Discussion summaries
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Cached SUMMARIZE results with the
+-- last comment each one covered, so follow-up summaries only read new comments:
+--   psql "$DATABASE_URL" -f migrations/018_neon_ai_discussion_summaries.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Discussion summaries (SUMMARIZE), with the last comment each one covered
+CREATE TABLE IF NOT EXISTS ai_discussion_summaries (
+  discussion_key TEXT PRIMARY KEY,
+  summary JSONB NOT NULL,
+  last_comment_id TEXT,
+  last_comment_at TIMESTAMP WITH TIME ZONE,
+  comment_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,28 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Pre-moderation queue
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Triggers held back by the local
+-- pre-moderation filter, reviewed (approve / dismiss) in the admin center:
+--   psql "$DATABASE_URL" -f migrations/019_neon_ai_moderation_queue.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Triggers held back by the local pre-moderation filter (flag = pending review, block = record only)
+CREATE TABLE IF NOT EXISTS ai_moderation_queue (
+  id SERIAL PRIMARY KEY,
+  source_table TEXT NOT NULL,
+  trigger_id TEXT NOT NULL,
+  user_id TEXT,
+  persona TEXT,
+  content TEXT,
+  verdict TEXT NOT NULL,
+  reasons JSONB,
+  status TEXT NOT NULL DEFAULT 'pending',
+  reviewed_by TEXT,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  rerun_status TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (source_table, trigger_id)
+);
+CREATE INDEX IF NOT EXISTS idx_ai_moderation_queue_status ON ai_moderation_queue (status, created_at);
@@ -0,0 +1,17 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Bot answers of edited & deleted triggers
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Where each answer was posted and
+-- what the bot created for the trigger, so edits can revise the answer and deletes
+-- orphan-mark or remove exactly the bot's own artifacts:
+--   psql "$DATABASE_URL" -f migrations/020_neon_ai_reply_lifecycle.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- The posted answer (edits revise it, deletes orphan-mark or remove it): posted | orphaned | removed
+ALTER TABLE ai_trigger_replies ADD COLUMN IF NOT EXISTS reply_table TEXT;
+ALTER TABLE ai_trigger_replies ADD COLUMN IF NOT EXISTS reply_id TEXT;
+ALTER TABLE ai_trigger_replies ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'posted';
+-- What the bot created for the trigger (CREATE_POST): [{"table": "posts", "id": "12"}, {"table": "polls", "id": "3"}]
+ALTER TABLE ai_trigger_replies ADD COLUMN IF NOT EXISTS artifacts JSONB;
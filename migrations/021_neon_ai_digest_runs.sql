@@ -0,0 +1,20 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Scheduled digest posts
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. One row per digest and period,
+-- claimed before posting, so overlapping cron runs publish each digest once:
+--   psql "$DATABASE_URL" -f migrations/021_neon_ai_digest_runs.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Scheduled digest posts: one row per digest and period, claimed before posting
+CREATE TABLE IF NOT EXISTS ai_digest_runs (
+  digest_id TEXT NOT NULL,
+  period_key TEXT NOT NULL,
+  persona TEXT,
+  post_id TEXT,
+  status TEXT NOT NULL DEFAULT 'posting',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (digest_id, period_key)
+);
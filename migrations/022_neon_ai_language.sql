@@ -0,0 +1,12 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Trigger language per execution
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. Language detected in each trigger,
+-- for the language filter of the admin center AI console:
+--   psql "$DATABASE_URL" -f migrations/022_neon_ai_language.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Migration: language detected in the trigger (ISO 639-1, "und" = undetermined)
+ALTER TABLE ai_execution_logs ADD COLUMN IF NOT EXISTS language TEXT;
@@ -0,0 +1,18 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- NeonDB: Long-term user memory
+-- ═══════════════════════════════════════════════════════════════════════════
+--
+-- Run against Neon (NOT Supabase); idempotent. One row per user, written only by
+-- the server; updates carry the version they read, so concurrent workers retry
+-- instead of overwriting each other. "/ai forget me" deletes the row:
+--   psql "$DATABASE_URL" -f migrations/023_neon_ai_user_memories.sql
+--
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- Summary, preferences, skill level, topics and the interactions waiting to be summarized
+CREATE TABLE IF NOT EXISTS ai_user_memories (
+  user_id TEXT PRIMARY KEY,
+  memory JSONB NOT NULL,
+  version INTEGER NOT NULL DEFAULT 1,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,48 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Long-running alternative to the cron worker endpoint:
+//   node scripts/ai_worker.js
+const POLL_INTERVAL_MS = parseInt(process.env.AI_WORKER_POLL_MS || '2000');
+const BATCH_SIZE = parseInt(process.env.AI_WORKER_BATCH || '5');
+const REAP_INTERVAL_MS = parseInt(process.env.AI_WORKER_REAP_MS || String(5 * 60 * 1000));
+
+let running = true;
+process.on('SIGINT', () => { running = false; });
+process.on('SIGTERM', () => { running = false; });
+
+async function run() {
+    // Import after dotenv so DB clients see the environment
+    const { runAiJobs } = await import('../src/controllers/aiJobsController.js');
+    const { reapStuckClaims } = await import('../src/services/triggerMaintenance.js');
+    const { createClient } = await import('@supabase/supabase-js');
+    const supabaseUrl = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
+    const supabase = (supabaseUrl && supabaseKey) ? createClient(supabaseUrl, supabaseKey) : null;
+    console.log(`🛠️ AI worker started (batch ${BATCH_SIZE}, poll ${POLL_INTERVAL_MS}ms)`);
+
+    let lastReap = 0;
+    while (running) {
+        try {
+            // Periodically fail claims left behind by crashed workers
+            if (supabase && Date.now() - lastReap > REAP_INTERVAL_MS) {
+                lastReap = Date.now();
+                const reaped = await reapStuckClaims(supabase);
+                if (reaped.jobs_failed || reaped.jobs_requeued || reaped.legacy_claims_failed) console.log('🧹 Reaped stale claims:', reaped);
+            }
+
+            const summary = await runAiJobs({ limit: BATCH_SIZE, workerId: `cli:${process.pid}` });
+            if (summary.claimed > 0) console.log('✅ Batch done:', summary);
+            // Keep draining while there is work, otherwise wait
+            if (summary.claimed < BATCH_SIZE) await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
+        } catch (e) {
+            console.error("❌ Worker loop error:", e.message);
+            await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
+        }
+    }
+
+    console.log("👋 AI worker stopped.");
+    process.exit(0);
+}
+
+run();
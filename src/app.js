@@ -8,7 +8,8 @@ dotenv.config();
 const app = express();
 
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around so webhook signatures can be verified byte-for-byte
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true })); // Enable Form Support for Admin Console
 
 // Status Page & Root Handler
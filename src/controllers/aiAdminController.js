@@ -0,0 +1,223 @@
+import { createClient } from '@supabase/supabase-js';
+import { listRemovals, restoreRemoval } from '../services/moderation.js';
+import { getSpendReport } from '../services/aiCost.js';
+import { reprocessTrigger } from '../services/triggerMaintenance.js';
+import { listModerationQueue, resolveQueueItem } from '../services/preModeration.js';
+import { loadBotConfig, invalidateConfigCache, getConfigStatus } from '../services/botConfig.js';
+import { processTrigger } from './aiBotController.js';
+import {
+    listTemplates, createTemplateVersion, updateTemplateVersion,
+    checkTemplate, renderTemplate, getTemplateStats
+} from '../services/promptTemplates.js';
+
+// Initialize Clients Safely
+const supabaseUrl = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
+const supabase = (supabaseUrl && supabaseKey) ? createClient(supabaseUrl, supabaseKey) : null;
+
+// ============================================================================
+// Moderation Removals (bot REMOVE_CONTENT audit)
+// ============================================================================
+
+export const getRemovals = async (req, res) => {
+    try {
+        const { status, limit = 50, offset = 0 } = req.query;
+        const removals = await listRemovals({
+            status,
+            limit: Math.min(parseInt(limit), 200),
+            offset: parseInt(offset)
+        });
+        return res.status(200).json(removals);
+    } catch (err) {
+        console.error('List Removals Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+export const restoreRemovedContent = async (req, res) => {
+    if (!supabase) return res.status(500).json({ error: 'Server Configuration Error' });
+    try {
+        const outcome = await restoreRemoval(supabase, parseInt(req.params.id), req.body?.restored_by);
+        if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+        return res.status(200).json({ success: true, removal: outcome.removal });
+    } catch (err) {
+        console.error('Restore Removal Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// ============================================================================
+// Bot Config (ai_config, validated & cached)
+// ============================================================================
+
+// GET /api/ai/admin/config -> active values (secrets masked) + invalid / unknown keys
+export const getBotConfig = async (req, res) => {
+    if (!supabase) return res.status(500).json({ error: 'Server Configuration Error' });
+    try {
+        await loadBotConfig(supabase);
+        return res.status(200).json(getConfigStatus());
+    } catch (err) {
+        console.error('Bot Config Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// POST /api/ai/admin/config/invalidate -> drop the cache and reload right away
+export const invalidateBotConfig = async (req, res) => {
+    if (!supabase) return res.status(500).json({ error: 'Server Configuration Error' });
+    try {
+        invalidateConfigCache();
+        await loadBotConfig(supabase, { fresh: true });
+        return res.status(200).json({ success: true, ...getConfigStatus() });
+    } catch (err) {
+        console.error('Bot Config Reload Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// ============================================================================
+// Moderation Queue (triggers held back by the pre-moderation filter)
+// ============================================================================
+
+// GET /api/ai/admin/moderation-queue?status=pending|blocked|approved|dismissed
+export const getModerationQueue = async (req, res) => {
+    try {
+        const { status = 'pending', limit = 50, offset = 0 } = req.query;
+        const entries = await listModerationQueue({
+            status,
+            limit: Math.min(parseInt(limit) || 50, 200),
+            offset: parseInt(offset) || 0
+        });
+        return res.status(200).json(entries);
+    } catch (err) {
+        console.error('Moderation Queue Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// POST { decision: approve|dismiss, reviewed_by? } -> approve re-runs the trigger without the filter
+export const resolveModerationItem = async (req, res) => {
+    if (!supabase) return res.status(500).json({ error: 'Server Configuration Error' });
+    try {
+        const { decision, reviewed_by } = req.body || {};
+        const outcome = await resolveQueueItem(supabase, parseInt(req.params.id), { decision, reviewedBy: reviewed_by });
+        if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+        return res.status(200).json({ success: true, entry: outcome.entry, rerun: outcome.rerun });
+    } catch (err) {
+        console.error('Resolve Moderation Item Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// ============================================================================
+// AI Spend (token usage & cost rollups)
+// ============================================================================
+
+// GET /api/ai/admin/spend?group_by=persona|source_table|user_id|model|provider&period=day|month&days=30
+export const getSpend = async (req, res) => {
+    try {
+        const { group_by = 'persona', period = 'day', days = 30 } = req.query;
+        const rows = await getSpendReport({
+            groupBy: group_by,
+            period,
+            days: Math.min(parseInt(days) || 30, 366)
+        });
+        return res.status(200).json(rows);
+    } catch (err) {
+        console.error('Spend Report Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// ============================================================================
+// Prompt Templates (versions, A/B weights, outcome comparison)
+// ============================================================================
+
+export const getPromptTemplates = async (req, res) => {
+    try {
+        return res.status(200).json(await listTemplates());
+    } catch (err) {
+        console.error('List Prompt Templates Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// POST { name, body, weight?, notes?, created_by? } -> next version number for that name
+export const createPromptTemplate = async (req, res) => {
+    try {
+        const { name, body, weight, notes, created_by } = req.body || {};
+        const outcome = await createTemplateVersion({ name, body, weight, notes, createdBy: created_by });
+        if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+        return res.status(201).json(outcome.template);
+    } catch (err) {
+        console.error('Create Prompt Template Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// POST { weight?, is_active? }
+export const updatePromptTemplate = async (req, res) => {
+    try {
+        const { weight, is_active } = req.body || {};
+        const outcome = await updateTemplateVersion(parseInt(req.params.id), { weight, isActive: is_active });
+        if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+        return res.status(200).json(outcome.template);
+    } catch (err) {
+        console.error('Update Prompt Template Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// POST { name, body, variables } -> rendered text plus missing / unknown variables
+export const previewPromptTemplate = async (req, res) => {
+    const { name, body, variables = {} } = req.body || {};
+    const problem = checkTemplate(name, body);
+    const { text, missing } = renderTemplate(body || '', variables);
+    return res.status(200).json({ valid: !problem, error: problem, missing, text });
+};
+
+// GET /api/ai/admin/prompts/stats?name=master&days=30
+export const getPromptStats = async (req, res) => {
+    try {
+        const { name = 'master', days = 30 } = req.query;
+        const rows = await getTemplateStats({ name, days: Math.min(parseInt(days) || 30, 366) });
+        return res.status(200).json(rows);
+    } catch (err) {
+        console.error('Prompt Stats Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// ============================================================================
+// Trigger Reprocessing (guarded: never a second reply to the same item)
+// ============================================================================
+
+const REPROCESS_ERRORS = {
+    invalid_table: [400, 'Unknown trigger table'],
+    not_found: [404, 'Trigger record not found (or removed)'],
+    already_replied: [409, 'The bot already replied to this trigger'],
+    already_queued: [409, 'This trigger is already queued or running']
+};
+
+// POST /api/ai/admin/triggers/:table/:id/reprocess
+export const reprocessTriggerById = async (req, res) => {
+    if (!supabase) return res.status(500).json({ error: 'Server Configuration Error' });
+    try {
+        const { table, id } = req.params;
+        const outcome = await reprocessTrigger(supabase, { table, id });
+
+        if (REPROCESS_ERRORS[outcome.status]) {
+            const [status, error] = REPROCESS_ERRORS[outcome.status];
+            return res.status(status).json({ error, status: outcome.status });
+        }
+        if (outcome.status === 'inline') {
+            // Neon not configured (local development): process right away
+            const result = await processTrigger(outcome.payload);
+            return res.status(200).json({ success: true, ...result });
+        }
+        return res.status(202).json({ queued: true, job_id: outcome.job.id });
+    } catch (err) {
+        console.error('Reprocess Trigger Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
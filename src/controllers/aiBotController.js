@@ -2,18 +2,35 @@ import { createClient } from '@supabase/supabase-js'
 // import { GoogleGenerativeAI } from '@google/generative-ai' // Removed for Universal Mode
 
 // Environment variables are loaded automatically in Vercel.
-// Make sure to add VITE_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, GEMINI_API_KEY to Vercel Project Settings.
-
-// Firebase Imports
-import { initializeApp } from 'firebase/app'
-import { getFirestore, collection, addDoc } from 'firebase/firestore'
-
-// Global Firebase Instance (Cached for Vercel warm starts)
-let db = null
+// Make sure to add VITE_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, GEMINI_API_KEY (and OPENAI_API_KEY for an openai fallback) to Vercel Project Settings.
+
+import pool, { query } from '../db/neon.js'
+import { ProviderError, resolveProviderChain, generateWithFallback } from '../services/aiProviders.js'
+import { buildConversationHistory } from '../services/conversationMemory.js'
+import { parseAndValidateAction, buildRepairPrompt } from '../services/actionSchema.js'
+import { enqueueJob, JobDeferredError } from '../services/aiJobQueue.js'
+import { canModerate, softDeleteContent } from '../services/moderation.js'
+import { resolvePreModerationRules, screenMessage, queueForReview } from '../services/preModeration.js'
+import { createDryRunClient } from '../services/dryRunClient.js'
+import { hasReplied, claimReply, releaseReply, recordReply, findReply } from '../services/replyGuard.js'
+import { resolveEventSettings, cleanupDeletedRecord, REVISABLE_ACTIONS, REVISED_NOTE } from '../services/replyLifecycle.js'
+import { resolvePollSettings, buildPollRow, schedulePollSummary, tallyPoll, renderPollSummary } from '../services/pollLifecycle.js'
+import { INDEXED_TABLES, indexContent, removeFromIndex, retrieveRelated, renderSources, logRetrieval } from '../services/contentIndex.js'
+import { TEMPLATE_NAMES, selectTemplates, renderTemplate } from '../services/promptTemplates.js'
+import { summarizeDiscussion, saveSummary, DEFAULT_CHUNK_TOKENS } from '../services/discussionSummary.js'
+import { findCodeContext, numberLines, renderReview, saveReview } from '../services/codeReview.js'
+import { checkBudget, computeCost, recordSpend } from '../services/aiCost.js'
+import { resolvePersonas, routePersona, botUserIds } from '../services/personas.js'
+import { loadBotConfig } from '../services/botConfig.js'
+import { detectLanguage, resolveReplyLanguage } from '../services/languageDetect.js'
+import { COMMAND_PREFIX } from '../services/mentions.js'
+import { findBotCommand, resolveCommand } from '../services/botCommands.js'
+import { resolveMemorySettings, extractTopics, loadUserMemory, recordInteraction, renderMemoryContext, scheduleMemorySummary, summarizeUserMemory, forgetUser } from '../services/userMemory.js'
+import { checkRateLimits, conversationKey, resolveLimits, SLOW_DOWN_MESSAGES } from '../services/rateLimiter.js'
 
 // --- EMBEDDED POLL CREATOR LOGIC ---
-const AiPollCreator = {
-    process(aiResult) {
+export const AiPollCreator = {
+    process(aiResult, maxOptions = 5) {
         // deep copy to avoid mutation issues
         const result = JSON.parse(JSON.stringify(aiResult))
 
@@ -51,7 +68,7 @@ const AiPollCreator = {
 
             result.poll_data = {
                 question: result.post_data.title, // Default to title
-                options: scrubbed.foundOptions.slice(0, 5) // Max 5
+                options: scrubbed.foundOptions.slice(0, maxOptions) // bot_poll_settings.max_options
             }
 
             // Should we force the content to be the clean version? Yes.
@@ -158,661 +175,1005 @@ const AiPollCreator = {
 }
 // -----------------------------------
 
-export default async function handler(req, res) {
-    if (req.method !== 'POST') return res.status(405).send('Method Not Allowed')
+// Listen to INSERT, UPDATE & DELETE events on all interaction tables (see bot_webhook_events)
+const VALID_TABLES = ['comments', 'posts', 'threads', 'thread_comments']
+const VALID_EVENTS = ['INSERT', 'UPDATE', 'DELETE']
 
-    const { type, table, record } = req.body
+// Normalize content field (Handle various post types: Text, Code, Meme)
+const extractContent = (item) =>
+    item.content || item.body || item.description || item.caption || item.code_snippet || item.title || ''
 
-    // Listen to INSERT events on all interaction tables
-    const validTables = ['comments', 'posts', 'threads', 'thread_comments']
-    if (type !== 'INSERT' || !validTables.includes(table)) {
-        return res.status(200).json({ message: 'Ignored event/table' })
-    }
+// Data access layer: an injected stand-in (tests, offline runs, e.g. createMemoryClient()) replaces
+// the real client for the webhook, the worker and the simulator alike. null restores the real one.
+let injectedSupabase = null
+export function setSupabaseClient(client) {
+    injectedSupabase = client
+}
 
-    const item = record
-    // Normalize content field (Handle various post types: Text, Code, Meme)
-    const content = item.content || item.body || item.description || item.caption || item.code_snippet || item.title || ''
+function getSupabaseClient() {
+    if (injectedSupabase) return injectedSupabase
+    const SUPABASE_URL = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY || process.env.VITE_SUPABASE_ANON_KEY
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        console.error('Missing Environment Keys in Vercel (Supabase)')
+        return null
+    }
+    return createClient(SUPABASE_URL, SUPABASE_KEY)
+}
 
+// Cheap checks shared by the webhook (before enqueueing) and the job worker
+function checkTrigger(record, content, personas) {
     // Ignore empty, self-loops, or specific keywords
     if (!content || content.startsWith('🤖') || content.includes('[AI Reply]')) {
-        return res.status(200).json({ message: 'Ignored own content' })
+        return { ok: false, message: 'Ignored own content' }
     }
 
-    try {
-        const SUPABASE_URL = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL
-        const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY || process.env.VITE_SUPABASE_ANON_KEY
+    // CRITICAL: Prevent Infinite Loops
+    // Check if the author of the record is the bot itself (any persona, so bots never answer each other)
+    const authorId = record.user_id || record.author_id
+    if (authorId && botUserIds(personas).includes(authorId)) {
+        console.log('🛑 Ignored self-trigger (Author is Bot)')
+        return { ok: false, message: 'Ignored self-trigger' }
+    }
 
-        const ENV_AI_KEY = process.env.AI_API_KEY || process.env.VITE_AI_API_KEY || process.env.GEMINI_API_KEY
+    // Route the mention to the persona whose trigger matches
+    // (default persona: provider keyword like @gemini, or "hey ai"); a known /ai command starting a line goes to the default one
+    const persona = routePersona(content, personas) || (findBotCommand(content) ? personas[0] : null)
+    if (!persona) {
+        return { ok: false, message: 'No trigger keyword found' }
+    }
+    return { ok: true, persona }
+}
 
-        if (!SUPABASE_URL || !SUPABASE_KEY) {
-            console.error('Missing Environment Keys in Vercel (Supabase)')
-            return res.status(500).json({ error: 'Server Configuration Error' })
-        }
+// Post the bot's answer where the trigger lives (post -> thread, thread -> comment, ...)
+async function postBotReply(supabase, { table, item, botUserId, text }) {
+    let targetTable = ''
+    let payload = {
+        user_id: botUserId,
+        content: `🤖 ${text}`
+    }
 
-        const supabase = createClient(SUPABASE_URL, SUPABASE_KEY)
-
-        // Fetch All Configs (User ID, System Prompt, Temperature, Firebase)
-        const { data: configRows } = await supabase
-            .from('ai_config')
-            .select('key, value')
-            .in('key', [
-                'bot_user_id', 'system_instruction', 'bot_temperature', 'ai_model',
-                'firebase_api_key', 'firebase_project_id',
-                'ai_provider', 'ai_base_url', 'ai_api_key'
-            ])
-
-        const configMap = {}
-        configRows?.forEach(row => configMap[row.key] = row.value)
-
-        const botUserId = configMap.bot_user_id
-        const provider = configMap.ai_provider || 'google'
-
-        // CRITICAL: Prevent Infinite Loops
-        // Check if the author of the record is the bot itself
-        const authorId = record.user_id || record.author_id
-        if (authorId && botUserId && authorId === botUserId) {
-            console.log('🛑 Ignored self-trigger (Author is Bot)')
-            return res.status(200).json({ message: 'Ignored self-trigger' })
-        }
+    if (table === 'posts') {
+        targetTable = 'threads'
+        payload.parent_post_id = item.id
+    }
+    else if (table === 'threads') {
+        targetTable = 'thread_comments'
+        payload.thread_id = item.id
+    }
+    else if (table === 'thread_comments') {
+        targetTable = 'thread_comments'
+        payload.thread_id = item.thread_id
+    }
+    else if (table === 'comments') {
+        targetTable = 'comments'
+        payload.post_id = item.post_id
+    }
 
-        // Map provider to trigger keyword
-        const providerTriggers = {
-            'google': '@gemini',
-            'ollama': '@ollama',
-            'openai': '@gpt'
-        }
-        const providerTrigger = providerTriggers[provider] || '@bot'
+    const result = await supabase.from(targetTable).insert(payload).select('id').single()
+    return { ...result, targetTable }
+}
 
-        // Check Trigger (Dynamic based on provider)
-        const lowerContent = content.toLowerCase()
-        const isTriggered = lowerContent.includes(providerTrigger.toLowerCase()) ||
-            lowerContent.includes('hey ai')
-        // Removed generic 'bot' trigger to prevent accidental loops
+// --- WEBHOOK ---
+// Only does the cheap checks, then hands the trigger to the Neon job queue (202).
+// Deduplication happens on the queue's unique dedupe_key instead of an ai_memories_log claim.
+export default async function handler(req, res) {
+    if (req.method !== 'POST') return res.status(405).send('Method Not Allowed')
 
-        if (!isTriggered) {
-            return res.status(200).json({ message: 'No trigger keyword found' })
-        }
+    const { type, table, record, old_record: oldRecord } = req.body
 
-        // STRICT DEDUPLICATION: "Claim Check" Pattern
-        // 1. Try to claim this trigger immediately by inserting a processing record
-        let claimId = null;
-        try {
-            const { data: claim, error: claimError } = await supabase.from('ai_memories_log').insert({
-                trigger_id: item.id,
-                input_text: content,
-                output_text: '(PROCESSING)',
-                trigger_source: `webhook:${table}`
-            }).select('id').single()
-
-            if (claimError) {
-                // If unique constraint allows, this might fail on duplicate
-                // If it doesn't, we might insert a duplicate. 
-                // We double check below.
-                if (claimError.code === '23505') { // Unique Violation
-                    console.log('🛑 Duplicate trigger ignored (Unique Constraint):', item.id)
-                    return res.status(200).json({ message: 'Duplicate trigger (already processed)' })
-                }
-                // If other error, we might log but proceed carefully or throw
-                console.warn('Claim insert warning:', claimError)
-            } else {
-                claimId = claim.id
-            }
+    if (!VALID_EVENTS.includes(type) || !VALID_TABLES.includes(table)) {
+        return res.status(200).json({ message: 'Ignored event/table' })
+    }
 
-        } catch (err) {
-            console.log('Claim error', err)
-        }
+    if (type === 'DELETE') return handleDelete(res, table, oldRecord)
 
-        // 2. Race Condition Guard (for environments without Unique Constraint)
-        // Check if ANY record exists for this trigger that isn't our just-created one (or if ours wasn't created)
-        const { data: claims } = await supabase
-            .from('ai_memories_log')
-            .select('id, created_at')
-            .eq('trigger_id', item.id)
-            .order('created_at', { ascending: true })
-            .limit(2)
-
-        if (claims && claims.length > 0) {
-            const firstClaim = claims[0]
-            // If we have a claimId, make sure WE are the first one
-            if (claimId && firstClaim.id !== claimId) {
-                console.log('🛑 Race condition detected. Yielding to first claim.', item.id)
-                // Optionally delete our losing claim to keep log clean
-                await supabase.from('ai_memories_log').delete().eq('id', claimId)
-                return res.status(200).json({ message: 'Duplicate trigger (race detected)' })
-            }
-            // If we didn't initiate a claim (error above) but one exists, stop
-            if (!claimId) {
-                console.log('🛑 Duplicate trigger found:', item.id)
-                return res.status(200).json({ message: 'Duplicate trigger (found existing)' })
+    const content = extractContent(record)
+    if (!content || content.startsWith('🤖') || content.includes('[AI Reply]')) {
+        return res.status(200).json({ message: 'Ignored own content' })
+    }
+
+    // Keep the retrieval index fresh with every new or edited post/thread, bot mention or not
+    if (INDEXED_TABLES.includes(table)) {
+        await indexContent(table, record).catch(err => console.warn('Content index warning:', err.message))
+    }
+
+    try {
+        const supabase = getSupabaseClient()
+        if (!supabase) return res.status(500).json({ error: 'Server Configuration Error' })
+
+        const configMap = await loadBotConfig(supabase)
+        const personas = resolvePersonas(configMap)
+        const gate = checkTrigger(record, content, personas)
+        if (!gate.ok) return res.status(200).json({ message: gate.message })
+
+        let payload = { table, record }
+        let dedupeKey = `${table}:${record.id}`
+
+        // Edits: answer a newly added mention; an already answered message is only revised on request
+        if (type === 'UPDATE') {
+            const events = resolveEventSettings(configMap.bot_webhook_events)
+            if (events.update === 'ignore') return res.status(200).json({ message: 'Ignored update (bot_webhook_events)' })
+            if (record.is_deleted) return res.status(200).json({ message: 'Ignored soft delete' })
+
+            // old_record carries the full row only with REPLICA IDENTITY FULL
+            const oldContent = oldRecord ? extractContent(oldRecord) : ''
+            const mentionedBefore = !oldContent || checkTrigger(oldRecord, oldContent, personas).ok
+            if (mentionedBefore && await hasReplied(supabase, table, record.id)) {
+                if (events.update !== 'revise' || oldContent === content) {
+                    return res.status(200).json({ message: 'Ignored edit of an answered message' })
+                }
+                payload = { table, record, revise: true }
+                dedupeKey = `revise:${table}:${record.id}:${record.updated_at || Date.now()}`
             }
         }
 
-        console.log(`⚡ Processing Trigger ${item.id} (Claimed)`)
+        const job = await enqueueJob({ kind: 'webhook', dedupeKey, payload })
 
-        // Default URLs (handle null, empty, or undefined)
-        let baseUrl = configMap.ai_base_url
-        if (!baseUrl || baseUrl === 'null' || baseUrl.trim() === '') {
-            if (provider === 'ollama') baseUrl = 'http://localhost:11434/v1'
-            else if (provider === 'openai') baseUrl = 'https://api.openai.com/v1'
-            else if (provider === 'google') baseUrl = 'https://generativelanguage.googleapis.com/v1beta'
+        if (!job) {
+            // Neon not configured (local development): process inline
+            const outcome = await processTrigger(payload)
+            return res.status(200).json({ success: true, ...outcome })
         }
 
-        const apiKey = configMap.ai_api_key || ENV_AI_KEY
-        const systemInstruction = configMap.system_instruction || "You are a helpful assistant."
-        const temperature = parseFloat(configMap.bot_temperature || '0.7')
-        const modelName = configMap.ai_model || "gemini-2.0-flash"
-
-        // Personality & Moderation Settings (OPTIONAL - safe defaults)
-        const personalityPreset = (configMap.bot_personality_preset || 'friendly')
-        const botTone = parseInt(configMap.bot_tone || '30')
-        const emojiLevel = (configMap.bot_emoji_level || 'moderate')
-        const expertiseLevel = (configMap.bot_expertise_level || 'intermediate')
-        const verbosity = (configMap.bot_verbosity || 'balanced')
-        const autoPostCreation = (configMap.auto_post_creation !== 'false') // Default TRUE
-
-        if (!botUserId) {
-            console.error('Bot User ID not configured')
-            if (claimId) await supabase.from('ai_memories_log').update({ output_text: 'ERROR: Bot Not Configured' }).eq('id', claimId)
-            return res.status(500).json({ error: 'Bot not configured' })
+        if (job.duplicate) {
+            console.log('🛑 Duplicate trigger ignored (already queued):', record.id)
+            return res.status(200).json({ message: 'Duplicate trigger (already queued)', job_id: job.id })
         }
 
-        // --- UNIVERSAL GENERATE FUNCTION ---
-        async function generateText(promptText) {
-            console.log(`📡 generating text with provider: ${provider}, model: ${modelName}`)
-
-            if (provider === 'google') {
-                // Use REST API instead of SDK
-                if (!apiKey) throw new Error("Missing Google API Key (Check Admin Console or .env)")
-
-                const url = `${baseUrl.replace(/\/$/, '')}/${modelName}:generateContent?key=${apiKey}`
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        contents: [{ parts: [{ text: promptText }] }],
-                        generationConfig: { temperature: temperature }
-                    })
-                })
+        return res.status(202).json({ queued: true, job_id: job.id })
 
-                if (!response.ok) {
-                    const errorText = await response.text()
-                    console.error('Google API Error:', errorText)
-                    throw new Error(`Google API Error: ${response.status}`)
-                }
+    } catch (error) {
+        console.error('Bot Error:', error)
+        return res.status(500).json({ error: error.message })
+    }
+}
 
-                const data = await response.json()
-                return data.candidates?.[0]?.content?.parts?.[0]?.text || "Error: No response"
-            }
-            else {
-                // UNIVERSAL / OLLAMA FETCH
-                const endpoint = `${baseUrl.replace(/\/$/, '')}/chat/completions`
+// Deleted record: drop it from the retrieval index, then orphan-mark or remove the bot's replies
+async function handleDelete(res, table, oldRecord) {
+    if (!oldRecord?.id) return res.status(200).json({ message: 'Ignored delete without old_record' })
 
-                const messages = [
-                    { role: "system", content: systemInstruction },
-                    { role: "user", content: promptText }
-                ]
+    if (INDEXED_TABLES.includes(table)) {
+        await removeFromIndex(table, oldRecord.id).catch(err => console.warn('Index removal warning:', err.message))
+    }
 
-                console.log(`📡 Calling API: ${endpoint}`)
+    try {
+        const supabase = getSupabaseClient()
+        if (!supabase) return res.status(500).json({ error: 'Server Configuration Error' })
+
+        const configMap = await loadBotConfig(supabase)
+        const events = resolveEventSettings(configMap.bot_webhook_events)
+        const cleanup = await cleanupDeletedRecord(supabase, {
+            table,
+            record: oldRecord,
+            mode: events.delete,
+            botUserIds: botUserIds(resolvePersonas(configMap))
+        })
+        if (cleanup.replies || cleanup.posts || cleanup.polls) console.log(`🧹 ${table}:${oldRecord.id} deleted, bot artifacts ${events.delete}:`, cleanup)
+        return res.status(200).json({ success: true, ...cleanup })
+    } catch (error) {
+        console.error('Delete Event Error:', error)
+        return res.status(500).json({ error: error.message })
+    }
+}
 
-                // For local Ollama, API Key might not be needed, but we send if present
-                const headers = {
-                    'Content-Type': 'application/json'
-                }
-                if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`
-
-                const response = await fetch(endpoint, {
-                    method: 'POST',
-                    headers: headers,
-                    body: JSON.stringify({
-                        model: modelName,
-                        messages: messages,
-                        temperature: temperature,
-                        stream: false
-                    })
-                })
+// --- TRIGGER PROCESSING (runs inside the job worker) ---
+// Throws on failures worth retrying; `isFinalAttempt` makes provider outages
+// produce an apology reply instead of another retry.
+// `dryRun` (simulator): Supabase writes are recorded instead of executed, Neon writes
+// are skipped, and the result carries a `trace` of prompt, raw output and writes.
+// `premoderation_approved` (payload): released by an admin from the moderation queue.
+// `revise` (payload): the answered message was edited, rewrite the recorded reply in place.
+export async function processTrigger({ table, record, premoderation_approved: preModerationApproved = false, revise = false }, { isFinalAttempt = true, dryRun = false, configOverrides = {} } = {}) {
+    const item = record
+    const content = extractContent(item)
 
-                if (!response.ok) {
-                    const errText = await response.text()
-                    try {
-                        const errJson = JSON.parse(errText)
-                        console.error('API Error JSON:', errJson)
-                    } catch (e) {
-                        console.error('API Error Text:', errText)
-                    }
-                    throw new Error(`Provider API Error ${response.status}`)
-                }
+    const realSupabase = getSupabaseClient()
+    if (!realSupabase) throw new Error('Server Configuration Error')
+
+    const writes = []
+    const supabase = dryRun ? createDryRunClient(realSupabase, writes) : realSupabase
+    const trace = { writes }
+    const withTrace = (outcome) => (dryRun ? { ...outcome, trace } : outcome)
 
-                const data = await response.json()
-                return data.choices?.[0]?.message?.content || data.response || "Error: No response content"
+    const baseConfig = { ...(await loadBotConfig(supabase)), ...configOverrides }
+    const gate = checkTrigger(item, content, resolvePersonas(baseConfig))
+    if (!gate.ok) return withTrace({ status: 'ignored', message: gate.message })
+
+    // From here on, every setting comes from the persona that was mentioned
+    const persona = gate.persona
+    const configMap = persona.config
+    const botUserId = persona.botUserId
+    trace.persona = persona.id
+
+    console.log(`⚡ Processing Trigger ${item.id} (persona: ${persona.id})`)
+
+    // Never answer the same item twice (queue retries, reaper re-runs, admin reprocessing)
+    if (!dryRun && !revise && await hasReplied(supabase, table, item.id)) {
+        console.log('🛑 Already replied to trigger', item.id)
+        return { status: 'ignored', message: 'Already replied to this trigger' }
+    }
+
+    // Revisions rewrite the recorded answer in place
+    const previousReply = revise ? await findReply(table, item.id) : null
+    if (revise && !previousReply) return withTrace({ status: 'ignored', message: 'No recorded reply to revise' })
+
+    // --- PRE-MODERATION (local rules, no network): spam, link farms, prompt injection ---
+    // Flagged triggers wait in the moderation queue instead of being answered
+    if (!preModerationApproved) {
+        const screening = screenMessage(content, resolvePreModerationRules(configMap.bot_premoderation))
+        trace.pre_moderation = screening
+        if (screening.verdict !== 'allow') {
+            console.log(`🧱 Pre-moderation ${screening.verdict} for trigger ${item.id}:`, screening.reasons.map(r => r.rule).join(', '))
+            const entry = {
+                table,
+                triggerId: item.id,
+                userId: item.user_id,
+                persona: persona.id,
+                content,
+                verdict: screening.verdict,
+                reasons: screening.reasons
             }
+            if (dryRun) writes.push({ target: 'neon', table: 'ai_moderation_queue', op: 'insert', payload: entry })
+            else await queueForReview(entry).catch(err => console.error('Moderation queue error:', err.message))
+            return withTrace({ status: screening.verdict === 'block' ? 'blocked' : 'flagged', reasons: screening.reasons })
         }
+    }
 
-        // --- INITIALIZE FIREBASE (If needed) ---
-        if (!db && configMap.firebase_api_key && configMap.firebase_project_id) {
-            try {
-                const firebaseConfig = {
-                    apiKey: configMap.firebase_api_key,
-                    projectId: configMap.firebase_project_id
-                }
-                const app = initializeApp(firebaseConfig)
-                db = getFirestore(app)
-                console.log('✅ Firebase initialized for Memory Logging')
-            } catch (fbError) {
-                console.error('⚠️ Firebase Init Error:', fbError.message)
-            }
+    let providerChain = resolveProviderChain(configMap)
+    const systemInstruction = configMap.system_instruction || "You are a helpful assistant."
+    const temperature = parseFloat(configMap.bot_temperature || '0.7')
+
+    // Personality & Moderation Settings (OPTIONAL - safe defaults)
+    const personalityPreset = (configMap.bot_personality_preset || 'friendly')
+    const botTone = parseInt(configMap.bot_tone || '30')
+    const emojiLevel = (configMap.bot_emoji_level || 'moderate')
+    const expertiseLevel = (configMap.bot_expertise_level || 'intermediate')
+    const verbosity = (configMap.bot_verbosity || 'balanced')
+    const autoPostCreation = (configMap.auto_post_creation !== 'false') // Default TRUE
+    const pollSettings = resolvePollSettings(configMap.bot_poll_settings)
+
+    // Revisions rewrite text only; auto_post_creation=false takes CREATE_POST away
+    const allowedActions = (revise ? persona.allowedActions.filter(action => REVISABLE_ACTIONS.includes(action)) : persona.allowedActions)
+        .filter(action => autoPostCreation || action !== 'CREATE_POST')
+
+    // Reply language: detected locally, bot_reply_language / bot_allowed_languages override it
+    const detectedLanguage = detectLanguage(content)
+    const replyLanguage = resolveReplyLanguage(detectedLanguage, {
+        forced: configMap.bot_reply_language,
+        allowed: configMap.bot_allowed_languages
+    })
+    trace.language = { detected: detectedLanguage, reply: replyLanguage }
+
+    if (!botUserId) {
+        console.error('Bot User ID not configured')
+        throw new Error('Bot not configured')
+    }
+
+    // Fetch User Profile for Context, Limits & Logging
+    const { data: userProfile } = await supabase
+        .from('profiles')
+        .select('username, display_name, role, is_verified')
+        .eq('id', item.user_id)
+        .single()
+
+    // --- RATE LIMITS (per user / per thread / global, by role & verification) ---
+    // Simulations neither consume nor check quota; a trigger is charged once (retries, revisions)
+    const rateLimit = dryRun ? { allowed: true } : await checkRateLimits({
+        userId: item.user_id,
+        threadKey: conversationKey(table, item),
+        limits: resolveLimits(configMap.bot_rate_limits, userProfile),
+        triggerKey: `${table}:${item.id}`
+    })
+    if (!rateLimit.allowed) {
+        console.log(`🐢 Rate limited (${rateLimit.limit}) trigger ${item.id}`)
+        if (rateLimit.notify) {
+            await postBotReply(supabase, { table, item, botUserId, text: SLOW_DOWN_MESSAGES[rateLimit.limit] })
         }
+        return { status: 'rate_limited', limit: rateLimit.limit, notified: rateLimit.notify }
+    }
 
-        // Fetch User Profile for Context & Logging
-        const { data: userProfile } = await supabase
-            .from('profiles')
-            .select('username, display_name, role, is_verified')
-            .eq('id', item.user_id)
-            .single()
+    // --- SPEND BUDGET (switch to a cheaper model or pause when exhausted) ---
+    const budget = await checkBudget(configMap.ai_budget, persona.id)
+    if (budget.state === 'pause') {
+        console.log(`💸 AI paused: ${budget.reason}`)
+        return withTrace({ status: 'paused_budget', reason: budget.reason })
+    }
+    if (budget.state === 'fallback') {
+        console.log(`💸 ${budget.reason} - switching to ${budget.model}`)
+        providerChain = resolveProviderChain({
+            ...configMap,
+            ai_provider_chain: JSON.stringify([{ provider: budget.provider || configMap.ai_provider || 'google', model: budget.model }])
+        })
+        trace.budget = budget
+    }
+
+    // --- UNIVERSAL GENERATE FUNCTION ---
+    // Walks the provider chain (e.g. ollama -> google), remembers who answered
+    // and sums the token usage over every call (repair round-trips included)
+    let answeredBy = { provider: null, model: configMap.ai_model || 'unknown' }
+    const usage = { promptTokens: 0, completionTokens: 0 }
+    let costUsd = 0
+    async function generateText(promptText, history = []) {
+        const generation = await generateWithFallback(providerChain, {
+            prompt: promptText,
+            history,
+            systemInstruction,
+            temperature
+        })
+        answeredBy = { provider: generation.provider, model: generation.model }
+        usage.promptTokens += generation.usage.promptTokens
+        usage.completionTokens += generation.usage.completionTokens
+        costUsd += computeCost(generation.provider, generation.model, generation.usage, configMap.ai_price_table)
+        return generation.text
+    }
 
-        const username = userProfile?.username || 'User'
+    // --- LONG-TERM USER MEMORY (Neon; off without DATABASE_URL) ---
+    const memorySettings = resolveMemorySettings(configMap.bot_user_memory)
+    const hasMemory = memorySettings.enabled && !!item.user_id && !!pool
 
-        // --- FETCH DEEP CONTEXT (Activity & History) ---
+    const username = userProfile?.username || 'User'
 
-        // 1. User Activity (Memory)
-        let userActivityContext = "User Activity: New user or minimal history."
-        if (item.user_id) {
-            const { data: recentPosts } = await supabase.from('posts').select('title, tags').eq('user_id', item.user_id).order('created_at', { ascending: false }).limit(3)
-            const { data: recentComments } = await supabase.from('comments').select('content').eq('user_id', item.user_id).order('created_at', { ascending: false }).limit(3)
+    // --- FETCH DEEP CONTEXT (Activity & History) ---
 
-            const postsSummary = recentPosts?.length ? recentPosts.map(p => `"${p.title}"`).join(', ') : 'None'
-            userActivityContext = `User Activity Summary:\n- Recent Posts: ${postsSummary}\n- Recent Comments: ${recentComments?.length || 0} recent interactions.`
-        }
+    // 1. User Activity (Memory)
+    let userActivityContext = "User Activity: New user or minimal history."
+    if (item.user_id) {
+        const { data: recentPosts } = await supabase.from('posts').select('title, tags').eq('user_id', item.user_id).not('is_deleted', 'is', true).order('created_at', { ascending: false }).limit(3)
+        const { data: recentComments } = await supabase.from('comments').select('content').eq('user_id', item.user_id).not('is_deleted', 'is', true).order('created_at', { ascending: false }).limit(3)
 
-        // 3. Thread/Post Context (Immediate Context)
-        let contextData = ""
-        let pollContext = ""
-        let pollOptionsForPrompt = []
-
-        if (table === 'comments' && item.post_id) {
-            const { data: post } = await supabase.from('posts').select('title, description, code_snippet, type').eq('id', item.post_id).single()
-            if (post) {
-                contextData = `Parent Post: "${post.title}"\n${post.description?.substring(0, 300)}...`
-
-                // Fetch Poll if exists
-                const { data: poll } = await supabase.from('polls').select('*').eq('post_id', item.post_id).single()
-                if (poll) {
-                    const { data: options } = await supabase.from('poll_options').select('*').eq('poll_id', poll.id)
-                    pollContext = `\nATTACHED POLL: "${poll.question}"\nOptions:\n${options.map(o => `- [ID: ${o.id}] ${o.option_text}`).join('\n')}`
-                    pollOptionsForPrompt = options
-                }
+        const postsSummary = recentPosts?.length ? recentPosts.map(p => `"${p.title}"`).join(', ') : 'None'
+        userActivityContext = `User Activity Summary:\n- Recent Posts: ${postsSummary}\n- Recent Comments: ${recentComments?.length || 0} recent interactions.`
+    }
+
+    // 3. Thread/Post Context (Immediate Context), never from removed (soft-deleted) content
+    let contextData = ""
+    let pollContext = ""
+    let pollOptionsForPrompt = []
+
+    let parentPost = null
+    let discussionTitle = item.title || ''
+
+    if (table === 'comments' && item.post_id) {
+        const { data: post } = await supabase.from('posts').select('*').eq('id', item.post_id).not('is_deleted', 'is', true).single()
+        parentPost = post
+        if (post) {
+            discussionTitle = post.title
+            contextData = `Parent Post: "${post.title}"\n${post.description?.substring(0, 300)}...`
+
+            // Fetch Poll if exists
+            const { data: poll } = await supabase.from('polls').select('*').eq('post_id', item.post_id).single()
+            if (poll) {
+                const { data: options } = await supabase.from('poll_options').select('*').eq('poll_id', poll.id)
+                pollContext = `\nATTACHED POLL: "${poll.question}"${poll.allow_multiple_votes ? ' (multi-select)' : ''}\nOptions:\n${options.map(o => `- [ID: ${o.id}] ${o.option_text}`).join('\n')}`
+                pollOptionsForPrompt = options
             }
         }
-        else if (item.thread_id) {
-            const { data: thread } = await supabase.from('threads').select('title').eq('id', item.thread_id).single()
-            if (thread) contextData = `Parent Thread: "${thread.title}"`
+    }
+    else if (item.thread_id) {
+        const { data: thread } = await supabase.from('threads').select('title').eq('id', item.thread_id).not('is_deleted', 'is', true).single()
+        if (thread) {
+            contextData = `Parent Thread: "${thread.title}"`
+            discussionTitle = thread.title
         }
+    }
+    else if (table === 'threads' && item.parent_post_id) {
+        const { data: post } = await supabase.from('posts').select('*').eq('id', item.parent_post_id).not('is_deleted', 'is', true).single()
+        parentPost = post
+        if (post) contextData = `Parent Post: "${post.title}"\n${post.description?.substring(0, 300)}...`
+    }
 
-        // 3. Assemble Full Prompt
-        const fullPrompt = `
-        IMMEDIATE CONTEXT:
-        ${contextData || "(No direct thread context)"}
-        ${pollContext}
-        
-        USER HISTORY & ACTIVITY:
-        ${userActivityContext}
-        
-        CURRENT USER MESSAGE:
-        ${content}
-        `
-
-        // --- BUILD PERSONALITY-DRIVEN SYSTEM PROMPT ---
-        function buildPersonalityPrompt() {
-            let prompt = systemInstruction + '\n\n'
-
-            // Personality Preset
-            const presetInstructions = {
-                professional: 'You are PROFESSIONAL and FORMAL. Use structured language, complete sentences, and technical terminology. Be thorough and detailed.',
-                friendly: 'You are FRIENDLY and WARM. Use casual language, be approachable and helpful. Make users feel comfortable asking questions.',
-                enthusiastic: 'You are SUPER ENTHUSIASTIC and ENERGETIC! Be motivating, exciting, and inspiring! Use lots of exclamation marks!',
-                teacher: 'You are a PATIENT TEACHER. Explain concepts step-by-step with examples. Break down complex topics into simple terms.',
-                sarcastic: 'You are WITTY and SARCASTIC. Use humor, playful teasing, and clever remarks. Keep it light and fun.',
-                custom: '' // Use only system_instruction
-            }
-            if (personalityPreset !== 'custom') {
-                prompt += presetInstructions[personalityPreset] || '' + '\n'
-            }
+    // Code under review (REVIEW_CODE), numbered so findings can cite line ranges
+    const codeContext = findCodeContext(table, item, parentPost)
+    const numberedCode = codeContext ? numberLines(codeContext.code) : null
+    const codeReviewContext = numberedCode
+        ? `\nCODE SNIPPET (${codeContext.language}, ${numberedCode.lineCount} lines):\n${numberedCode.listing}`
+        : ''
+
+    // /ai commands: the intent is explicit, so the model is only offered the command's action
+    const parsedCommand = findBotCommand(content)
+    const command = parsedCommand ? resolveCommand(parsedCommand, {
+        allowedActions,
+        isModerator: canModerate(userProfile, configMap.bot_moderator_roles),
+        hasCode: !!numberedCode,
+        hasMemory
+    }) : null
+    const triggerActions = command ? [command.action] : allowedActions
+    const commandContext = command?.instruction ? `\nCOMMAND (${COMMAND_PREFIX} ${command.name}): ${command.instruction}` : ''
+    trace.command = command
+
+    // 1b. Long-term memory (Neon); "/ai forget me" deletes it instead of reading it
+    let userMemory = null
+    if (hasMemory && command?.name === 'forget') {
+        if (dryRun) writes.push({ target: 'neon', table: 'ai_user_memories', op: 'delete', payload: { user_id: item.user_id } })
+        else await forgetUser(item.user_id)
+        console.log(`🧹 Forgot the long-term memory of user ${item.user_id}`)
+    } else if (hasMemory) {
+        userMemory = await loadUserMemory(item.user_id).catch(err => {
+            console.warn('User memory unavailable:', err.message)
+            return null
+        })
+    }
+    const memoryContext = renderMemoryContext(userMemory)
 
-            // Tone
-            if (botTone < 30) {
-                prompt += 'Tone: Very casual and fun. Use slang, contractions, and informal language.\n'
-            } else if (botTone < 60) {
-                prompt += 'Tone: Balanced - professional but approachable.\n'
-            } else {
-                prompt += 'Tone: Very formal and professional. Use proper grammar and formal structure.\n'
-            }
+    // 4. Conversation Memory (earlier turns incl. the bot's own 🤖 replies)
+    let conversationHistory = []
+    try {
+        conversationHistory = await buildConversationHistory(supabase, {
+            table,
+            item,
+            botUserId,
+            tokenBudget: parseInt(configMap.bot_context_token_budget || '1500')
+        })
+    } catch (historyErr) {
+        console.warn('Conversation history unavailable:', historyErr.message)
+    }
 
-            // Emoji Level
-            const emojiInstructions = {
-                none: 'DO NOT use any emoji.',
-                minimal: 'Use 1-2 emoji per response for emphasis.',
-                moderate: 'Use 3-5 emoji to make responses engaging and fun.',
-                high: 'Use LOTS of emoji! 🎉 Every sentence should have at least one! ✨'
-            }
-            prompt += emojiInstructions[emojiLevel] || '' + '\n'
+    // 5. Related Community Posts (retrieval-augmented answers, cited by number)
+    const retrievalLimit = parseInt(configMap.bot_retrieval_limit || '3')
+    let relatedPosts = []
+    if (retrievalLimit > 0 && !command?.direct) {
+        try {
+            relatedPosts = await retrieveRelated(content, {
+                excludeIds: [item.id, item.post_id, item.thread_id, item.parent_post_id],
+                limit: retrievalLimit,
+                siteUrl: configMap.site_url || process.env.SITE_URL
+            })
+        } catch (retrievalErr) {
+            console.warn('Retrieval unavailable:', retrievalErr.message)
+        }
+    }
+    const relatedContext = relatedPosts.length
+        ? `\nRELATED COMMUNITY POSTS:\n${relatedPosts.map(r => `[${r.ref}] "${r.title}" (${r.url})\n${r.excerpt}`).join('\n')}`
+        : ''
+
+    // 6. Assemble Full Prompt
+    const fullPrompt = `
+    IMMEDIATE CONTEXT:
+    ${contextData || "(No direct thread context)"}
+    ${pollContext}
+    ${codeReviewContext}
+    ${relatedContext}
+    
+    USER HISTORY & ACTIVITY:
+    ${userActivityContext}
+    ${memoryContext}
+    
+    CURRENT USER MESSAGE:
+    ${content}
+    ${commandContext}
+    `
+
+    // --- PROMPT TEMPLATES (versioned in Neon, A/B assignment sticky per user) ---
+    const toneKey = botTone < 30 ? 'tone.casual' : botTone < 60 ? 'tone.balanced' : 'tone.formal'
+    const personalityNames = [
+        personalityPreset !== 'custom' && `preset.${personalityPreset}`,
+        toneKey,
+        `emoji.${emojiLevel}`,
+        `expertise.${expertiseLevel}`,
+        `verbosity.${verbosity}`
+    ].filter(name => name && TEMPLATE_NAMES.includes(name))
+    const templates = await selectTemplates(['master', ...personalityNames], item.user_id || item.id)
+    const promptVersions = Object.fromEntries(Object.entries(templates).map(([name, t]) => [name, t.version]))
+    const missingVariables = {}
+
+    function render(name, vars = {}) {
+        const { text, missing } = renderTemplate(templates[name].body, vars)
+        if (missing.length) {
+            missingVariables[name] = missing
+            console.warn(`⚠️ Prompt template ${name} v${templates[name].version} is missing variables: ${missing.join(', ')}`)
+        }
+        return text
+    }
 
-            // Expertise Level
-            const expertiseInstructions = {
-                beginner: 'Target audience: BEGINNERS. Use simple explanations, avoid jargon, provide lots of context and examples.',
-                intermediate: 'Target audience: INTERMEDIATE developers. Balance detail with clarity.',
-                expert: 'Target audience: EXPERT developers. Be concise and technical. Assume advanced knowledge.'
-            }
-            prompt += expertiseInstructions[expertiseLevel] || '' + '\n'
+    // --- BUILD PERSONALITY-DRIVEN SYSTEM PROMPT ---
+    // preset, tone, emoji, expertise, verbosity (preset "custom" = system_instruction only)
+    function buildPersonalityPrompt() {
+        return systemInstruction + '\n\n' + personalityNames.map(name => render(name)).filter(Boolean).join('\n')
+    }
 
-            // Verbosity
-            const verbosityInstructions = {
-                concise: 'Be VERY CONCISE. Short, direct answers only. No fluff.',
-                balanced: 'Provide BALANCED detail - not too short, not too long.',
-                detailed: 'Be COMPREHENSIVE. Provide thorough explanations with examples and edge cases.'
-            }
-            prompt += verbosityInstructions[verbosity] || '' + '\n'
+    const personalitySystemPrompt = buildPersonalityPrompt()
+
+    // --- UNIFIED INTENT ANALYSIS & GENERATION ---
+
+    const masterPrompt = render('master', {
+        personality: personalitySystemPrompt,
+        username,
+        user_role: `${userProfile?.role || 'member'}${canModerate(userProfile, configMap.bot_moderator_roles) ? ', MODERATOR' : ''}`,
+        source: table,
+        context: fullPrompt,
+        history_turns: conversationHistory.length,
+        knowledge_summary: relatedPosts.length
+            ? `${relatedPosts.length} earlier community posts that may already answer this are listed under RELATED COMMUNITY POSTS.`
+            : 'No earlier community posts matched this message.',
+        persona_name: persona.name,
+        allowed_actions: triggerActions.join(', '),
+        reply_language: replyLanguage.instruction
+    })
+
+
+
+    let responseText = ""
+    let actionType = "REPLY"
+    const validationAttempts = []
+    let skipReply = false
+    // Rows the bot creates for this trigger besides the reply (recorded with it for delete cleanup)
+    const artifacts = []
+    let citedRefs = []
+    let processingError = null
+    trace.system_prompt = personalitySystemPrompt
+    trace.prompt = masterPrompt
+    trace.history = conversationHistory
+    trace.attempts = validationAttempts
+    trace.related = relatedPosts
+    trace.prompt_versions = promptVersions
+    trace.missing_variables = missingVariables
 
-            return prompt
+    try {
+        // 1. Generate Intelligent Decision (validated against the action schema)
+        // Direct commands (/ai help, /ai summarize) skip the intent call
+        let result = command?.result || null
+        let rawText = result ? null : await generateText(masterPrompt, conversationHistory)
+        const schemaContext = {
+            pollOptionIds: pollOptionsForPrompt.map(o => o.id),
+            allowedActions: triggerActions,
+            codeLineCount: numberedCode?.lineCount || 0,
+            maxPollOptions: pollSettings.max_options,
+            relatedCount: relatedPosts.length
         }
+        const maxRepairs = parseInt(configMap.bot_repair_attempts || '2')
+
+        for (let attempt = 0; !result; attempt++) {
+            const outcome = parseAndValidateAction(rawText, schemaContext)
+            validationAttempts.push({
+                attempt: attempt + 1,
+                provider: answeredBy.provider,
+                raw_output: rawText,
+                valid: outcome.valid,
+                errors: outcome.errors
+            })
 
-        const personalitySystemPrompt = buildPersonalityPrompt()
-
-        // --- UNIFIED INTENT ANALYSIS & GENERATION ---
-
-        const masterPrompt = `
-            ${personalitySystemPrompt}
-            
-            CAPABILITIES:
-            - **YOU HAVE NATIVE ACCESS TO CREATE POLLS.** 
-            - You do NOT need to ask for permission.
-            - **NEVER** say "I cannot create voting options". YOU CAN.
-            - **NEVER** create an "open ended" poll asking for comments. You MUST provide concrete options (e.g. 3-5 choices) for the widget.
-            - To create a poll, you MUST use Action 2 ("CREATE_POST") and fill the "poll_data" JSON field.
-            - **IMPORTANT:** Do NOT use markdown checkboxes \`[ ]\` for polls. Use the \`poll_data\` JSON only.
-
-            CONTEXT:
-            - User: @${username}
-            - Source: ${table}
-            - Rich Context:
-            ${fullPrompt}
-            
-            TASK: 
-            Analyze the user's intent. If they want a poll, YOU MUST CREATE IT.
-            
-            ACTIONS:
-            1. "REPLY": Conversational response. ⛔ **FORBIDDEN** to use this action if the user asked for a poll. You must use CREATE_POST instead.
-            2. "CREATE_POST": Create a new post. ✅ **MANDATORY** if user asks for a poll. 
-               - You MUST include \`poll_data\` options ONLY IF the user asked for a poll.
-               - If user asked for a poll but didn't provide options, you may suggest 2-3 logical ones.
-               - **DO NOT** create a poll if the user just asked for a blog post or code.
-               - **DO NOT** just ask for comments.
-            3. "VOTE_POLL": Use ONLY if there is a POLL in the context and the user text implies you should vote or asks for your opinion. You MUST choose a valid Option ID from the list provided.
-            4. "REMOVE_CONTENT": Use ONLY when explicitly instructed by a moderator or if the content violates severe safety policies (spam, hate speech, danger). This PERMANENTLY deletes the content you are replying to.
-            
-            OUTPUT FORMAT: JSON ONLY
-            {
-                "action": "CREATE_POST" | "REPLY" | "VOTE_POLL" | "REMOVE_CONTENT",
-                "reasoning": "User asked for a poll -> Action CREAT_POST",
-                "reply_text": "Here is the poll you asked for! 📊",
-                "post_data": { 
-                    "title": "Poll Title",
-                    "content": "Intro text (NO text options)",
-                    "tags": ["tag1"], 
-                    "code_language": "javascript" 
-                },
-                "poll_data": {
-                    "question": "Question?",
-                    "options": ["Option 1", "Option 2"] 
-                },
-                "poll_vote_option_id": 123,
-                "poll_vote_comment": "Comment"
+            if (outcome.valid) {
+                result = outcome.value
+                break
             }
-        `
-
-
 
-        let responseText = ""
-        let actionType = "REPLY"
+            console.warn(`⚠️ Invalid action JSON (attempt ${attempt + 1}):`, outcome.errors)
+            if (attempt >= maxRepairs) break
 
-        try {
-            // 1. Generate Intelligent Decision
-            const rawText = await generateText(masterPrompt)
-
-            // Robust JSON Extraction
-            let jsonString = rawText.replace(/```json|```/g, '').trim()
-            const match = jsonString.match(/\{[\s\S]*\}/) // Find first { and last }
-            if (match) {
-                jsonString = match[0]
-            }
+            // 1a. Repair round-trip: send the validation errors back to the model
+            rawText = await generateText(buildRepairPrompt(masterPrompt, rawText, outcome.errors), conversationHistory)
+        }
 
-            let result;
-            try {
-                result = JSON.parse(jsonString)
-            } catch (parseErr) {
-                console.error("JSON Parse Failed:", parseErr)
-                // Fallback: Don't show raw JSON. Just reply with safe text.
-                result = {
-                    action: 'REPLY',
-                    reply_text: "I tried to process that but got confused by my own data format! 😅 Could you ask again?"
-                }
+        if (!result) {
+            // Fallback: Don't show raw JSON. Just reply with safe text.
+            processingError = `Invalid action JSON after ${validationAttempts.length} attempt(s)`
+            result = {
+                action: 'REPLY',
+                reply_text: "I tried to process that but got confused by my own data format! 😅 Could you ask again?"
             }
+        }
 
-            actionType = result.action || 'REPLY'
+        actionType = result.action || 'REPLY'
 
-            // --- PROCESS POLL DATA WITH EMBEDDED LOGIC ---
-            // --- PROCESS POLL DATA WITH EMBEDDED LOGIC ---
-            try {
-                // FEATURE FLAGGING for Polls: 
-                // Only process poll if the user EXPLICITLY asked for one or the content strongly implies it.
+        // --- PROCESS POLL DATA WITH EMBEDDED LOGIC ---
+        // --- PROCESS POLL DATA WITH EMBEDDED LOGIC ---
+        try {
+            // FEATURE FLAGGING for Polls: 
+            // Only process poll if the user EXPLICITLY asked for one or the content strongly implies it.
 
-                const userIntent = content.toLowerCase();
-                const wantsPoll = userIntent.includes('poll') || userIntent.includes('vote') || userIntent.includes('survey') || userIntent.includes('options');
+            const userIntent = content.toLowerCase();
+            const wantsPoll = userIntent.includes('poll') || userIntent.includes('vote') || userIntent.includes('survey') || userIntent.includes('options');
 
-                if (wantsPoll) {
-                    result = AiPollCreator.process(result)
-                } else {
-                    // Force removal of poll data if not requested, to prevent "hallucinated" polls from being created
-                    if (result.poll_data) {
-                        console.log("🧹 Scrubbing unwanted poll data (User did not ask for poll).")
-                        delete result.poll_data;
-                    }
+            if (wantsPoll) {
+                result = AiPollCreator.process(result, pollSettings.max_options)
+            } else {
+                // Force removal of poll data if not requested, to prevent "hallucinated" polls from being created
+                if (result.poll_data) {
+                    console.log("🧹 Scrubbing unwanted poll data (User did not ask for poll).")
+                    delete result.poll_data;
                 }
-            } catch (err) {
-                console.warn('Poll Processing Error:', err)
             }
-            // ---------------------------------------------
-
-            if (actionType === 'CREATE_POST' && result.post_data) {
-                // 2. Execute Creation
-                const { data: newPost, error: postError } = await supabase.from('posts').insert({
-                    user_id: botUserId,
-                    title: result.post_data.title,
-                    description: result.post_data.content, // Content should now be clean of poll options
-                    code_snippet: null,
-                    type: 'blog', // Default to blog for AI thoughts
-                    tags: result.post_data.tags || []
-                }).select().single()
-
-                if (postError) {
-                    console.error('Post creation error:', postError)
-                    responseText = `❌ I encountered an error creating the post: ${postError.message} `
-                } else {
-                    responseText = result.reply_text || `✅ I've created the post: **"${result.post_data.title}"**`
-
-                    // 2a. Handle Poll Creation (if poll_data exists)
-                    if (result.poll_data && result.poll_data.options && result.poll_data.options.length >= 2) {
-                        try {
-                            // Enforce Max 5 Options
-                            const cleanOptions = result.poll_data.options.slice(0, 5)
-
-                            const { data: newPoll, error: pollError } = await supabase.from('polls').insert({
-                                post_id: newPost.id,
-                                question: result.poll_data.question || result.post_data.title,
-                                allow_multiple_votes: false,
-                                expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
-                            }).select().single()
-
-                            if (newPoll) {
-                                const pollOptions = cleanOptions.map(opt => ({
+        } catch (err) {
+            console.warn('Poll Processing Error:', err)
+        }
+        trace.action = result
+        // ---------------------------------------------
+
+        if (actionType === 'CREATE_POST') {
+            // 2. Execute Creation
+            const { data: newPost, error: postError } = await supabase.from('posts').insert({
+                user_id: botUserId,
+                title: result.post_data.title,
+                description: result.post_data.content, // Content should now be clean of poll options
+                code_snippet: null,
+                type: 'blog', // Default to blog for AI thoughts
+                tags: result.post_data.tags || []
+            }).select().single()
+
+            if (postError) {
+                console.error('Post creation error:', postError)
+                responseText = `❌ I encountered an error creating the post: ${postError.message} `
+            } else {
+                responseText = result.reply_text || `✅ I've created the post: **"${result.post_data.title}"**`
+                artifacts.push({ table: 'posts', id: newPost.id })
+
+                // 2a. Handle Poll Creation (if poll_data exists)
+                if (result.poll_data && result.poll_data.options && result.poll_data.options.length >= 2) {
+                    try {
+                        // Enforce bot_poll_settings.max_options
+                        const cleanOptions = result.poll_data.options.slice(0, pollSettings.max_options)
+
+                        // Multi-select, duration & anonymity as requested by the model (duration clamped)
+                        const { data: newPoll, error: pollError } = await supabase.from('polls').insert(buildPollRow(result.poll_data, {
+                            postId: newPost.id,
+                            fallbackQuestion: result.post_data.title,
+                            settings: pollSettings
+                        })).select().single()
+
+                        if (newPoll) {
+                            artifacts.push({ table: 'polls', id: newPoll.id })
+                            const pollOptions = cleanOptions.map(opt => ({
+                                poll_id: newPoll.id,
+                                option_text: opt
+                            }))
+                            const { data: insertedOptions } = await supabase.from('poll_options').insert(pollOptions).select()
+
+                            // OPTIONAL: AI Self-Vote (Kickstart the poll), opt-in via bot_poll_settings.self_vote
+                            if (pollSettings.self_vote && insertedOptions && insertedOptions.length > 0) {
+                                // Pick a random option or the first one to vote for
+                                const randomOption = insertedOptions[Math.floor(Math.random() * insertedOptions.length)]
+                                await supabase.from('poll_votes').insert({
                                     poll_id: newPoll.id,
-                                    option_text: opt
-                                }))
-                                const { data: insertedOptions } = await supabase.from('poll_options').insert(pollOptions).select()
-
-                                // OPTIONAL: AI Self-Vote (Kickstart the poll)
-                                if (insertedOptions && insertedOptions.length > 0) {
-                                    // Pick a random option or the first one to vote for
-                                    const randomOption = insertedOptions[Math.floor(Math.random() * insertedOptions.length)]
-                                    await supabase.from('poll_votes').insert({
-                                        poll_id: newPoll.id,
-                                        option_id: randomOption.id,
-                                        user_id: botUserId
-                                    })
-                                    await supabase.rpc('increment_poll_vote', { option_id: randomOption.id })
-                                }
-
-                            } else if (pollError) {
-                                console.error('Poll creation error:', pollError)
+                                    option_id: randomOption.id,
+                                    user_id: botUserId
+                                })
+                                await supabase.rpc('increment_poll_vote', { option_id: randomOption.id })
+                            }
+
+                            // Closing summary in the post's thread once the poll expires
+                            if (pollSettings.closing_summary) {
+                                const summaryJob = { pollId: newPoll.id, postId: newPost.id, persona: persona.id, expiresAt: newPoll.expires_at }
+                                if (dryRun) writes.push({ target: 'neon', table: 'ai_jobs', op: 'schedule_poll_summary', payload: summaryJob })
+                                else if (!(await schedulePollSummary(summaryJob))) console.warn('⚠️ Job queue unavailable, no closing summary for poll', newPoll.id)
                             }
-                        } catch (pollErr) {
-                            console.error('Poll logic error:', pollErr)
+
+                        } else if (pollError) {
+                            console.error('Poll creation error:', pollError)
                         }
+                    } catch (pollErr) {
+                        console.error('Poll logic error:', pollErr)
                     }
                 }
+            }
 
-            } else if (actionType === 'VOTE_POLL' && result.poll_vote_option_id) {
-                // 3. Execute Poll Vote
-                const optionId = result.poll_vote_option_id
-
-                // Validate Option ID
-                const isValidOption = pollOptionsForPrompt.find(o => o.id === optionId)
-
-                if (isValidOption) {
-                    // Check if already voted (to avoid error)
-                    const { data: existingVote } = await supabase.from('poll_votes')
-                        .select('id').eq('user_id', botUserId).eq('option_id', optionId).maybeSingle()
-
-                    if (!existingVote) {
-                        const { error: voteError } = await supabase.from('poll_votes').insert({
-                            poll_id: isValidOption.poll_id,
-                            option_id: optionId,
-                            user_id: botUserId
-                        })
-
-                        if (voteError) {
-                            console.error('Vote error:', voteError)
-                            responseText = `❌ I tried to vote but failed: ${voteError.message}`
-                        } else {
-                            // Update count manually just in case
-                            await supabase.rpc('increment_poll_vote', { option_id: optionId })
-
-                            responseText = result.reply_text || result.poll_vote_comment || `I voted for **"${isValidOption.option_text}"**! 🗳️`
-                        }
-                    } else {
-                        responseText = "I've already voted on this poll! 😊"
-                    }
+        } else if (actionType === 'VOTE_POLL') {
+            // 3. Execute Poll Vote (option ID already checked against the poll by the schema)
+            const optionId = result.poll_vote_option_id
+            const votedOption = pollOptionsForPrompt.find(o => o.id === optionId)
+
+            // Check if already voted (to avoid error)
+            const { data: existingVote } = await supabase.from('poll_votes')
+                .select('id').eq('user_id', botUserId).eq('option_id', optionId).maybeSingle()
+
+            if (!existingVote) {
+                const { error: voteError } = await supabase.from('poll_votes').insert({
+                    poll_id: votedOption.poll_id,
+                    option_id: optionId,
+                    user_id: botUserId
+                })
+
+                if (voteError) {
+                    console.error('Vote error:', voteError)
+                    responseText = `❌ I tried to vote but failed: ${voteError.message}`
                 } else {
-                    responseText = "I tried to vote, but that option ID seems invalid. 🤔"
+                    // Update count manually just in case
+                    await supabase.rpc('increment_poll_vote', { option_id: optionId })
+
+                    responseText = result.reply_text || result.poll_vote_comment || `I voted for **"${votedOption.option_text}"**! 🗳️`
                 }
+            } else {
+                responseText = "I've already voted on this poll! 😊"
+            }
 
-            } else if (actionType === 'REMOVE_CONTENT') {
-                // 4. Execute Content Removal
+        } else if (actionType === 'REMOVE_CONTENT') {
+            // 4. Execute Content Removal (moderators only, soft delete + Neon audit)
+            if (!canModerate(userProfile, configMap.bot_moderator_roles)) {
+                console.warn(`🚫 REMOVE_CONTENT refused for non-moderator ${item.user_id}`)
+                actionType = 'REMOVE_CONTENT_DENIED'
+                responseText = "Only moderators can ask me to remove content. 🛡️ If something breaks the rules, please report it."
+            } else {
                 try {
-                    // Check if table is valid for deletion
-                    if (['posts', 'threads', 'comments'].includes(table)) {
-                        const { error: delError } = await supabase.from(table).delete().eq('id', item.id)
-                        if (delError) {
-                            console.error('Deletion error:', delError)
-                            responseText = `❌ Failed to remove content: ${delError.message}`
-                        } else {
-                            responseText = result.reply_text || "✅ Content removed successfully."
-                            return res.status(200).json({ success: true, action: 'REMOVED', message: responseText })
-                        }
-                    } else {
-                        responseText = "I cannot remove content from this source table."
+                    const removal = {
+                        table,
+                        recordId: item.id,
+                        reasoning: result.reasoning,
+                        requester: { id: item.user_id, role: userProfile.role }
                     }
+                    if (dryRun) writes.push({ target: 'neon', table: 'ai_moderation_removals', op: 'soft_delete', payload: removal })
+                    else await softDeleteContent(supabase, removal)
+                    responseText = result.reply_text || "✅ Content removed successfully."
+                    // The trigger itself is hidden now, nothing to reply under
+                    skipReply = true
                 } catch (delErr) {
-                    console.error('Delete Logic Error:', delErr)
-                    responseText = "Error executing removal."
+                    console.error('Removal error:', delErr)
+                    responseText = `❌ Failed to remove content: ${delErr.message}`
                 }
+            }
 
-            } else {
-                // 5. Execute Reply
-                responseText = result.reply_text || rawText
+        } else if (actionType === 'REVIEW_CODE') {
+            // 5. Structured Code Review -> readable comment + Neon record
+            responseText = renderReview(result.review)
+            const reviewRecord = {
+                triggerId: item.id,
+                postId: codeContext.postId,
+                persona: persona.id,
+                language: codeContext.language,
+                review: result.review
+            }
+            if (dryRun) writes.push({ target: 'neon', table: 'ai_code_reviews', op: 'insert', payload: reviewRecord })
+            else {
+                try {
+                    await saveReview(reviewRecord)
+                } catch (reviewErr) {
+                    console.error('Code review log error:', reviewErr.message)
+                }
+            }
+
+        } else if (actionType === 'SUMMARIZE') {
+            // 6. Discussion Summary (whole discussion, chunked; only new comments since the cached one)
+            Object.assign(templates, await selectTemplates(['summary.chunk', 'summary.merge'], item.user_id || item.id))
+            promptVersions['summary.chunk'] = templates['summary.chunk'].version
+            promptVersions['summary.merge'] = templates['summary.merge'].version
+
+            const summary = await summarizeDiscussion(supabase, {
+                table,
+                item,
+                botUserId,
+                title: discussionTitle || 'Untitled discussion',
+                generate: (promptText) => generateText(promptText),
+                prompts: {
+                    chunk: (vars) => render('summary.chunk', vars),
+                    merge: (vars) => render('summary.merge', { ...vars, reply_language: replyLanguage.instruction })
+                },
+                chunkTokens: parseInt(configMap.bot_summary_chunk_tokens || String(DEFAULT_CHUNK_TOKENS))
+            })
+            responseText = summary.text
+            if (summary.cacheEntry) {
+                if (dryRun) writes.push({ target: 'neon', table: 'ai_discussion_summaries', op: 'upsert', payload: summary.cacheEntry })
+                else {
+                    try {
+                        await saveSummary(summary.cacheEntry)
+                    } catch (summaryErr) {
+                        console.error('Summary cache error:', summaryErr.message)
+                    }
+                }
             }
 
-        } catch (e) {
-            console.error("AI Logic Error:", e)
-            responseText = "I encountered a processing error. Please try again."
+        } else {
+            // 7. Execute Reply
+            responseText = result.reply_text
         }
 
+        // Cited community posts become links under the answer
+        citedRefs = result.sources || []
+        if (!skipReply) responseText += renderSources(relatedPosts, citedRefs)
+
+    } catch (e) {
+        // Provider outage: let the job queue retry later instead of posting an error reply
+        if (e instanceof ProviderError && e.retryable && !isFinalAttempt) throw e
+        console.error("AI Logic Error:", e)
+        processingError = e.message
+        responseText = "I encountered a processing error. Please try again."
+    }
 
 
-        // --- SEND REPLY ---
-        let targetTable = ''
-        let payload = {
-            user_id: botUserId,
-            content: `🤖 ${responseText}`
-        }
 
-        if (table === 'posts') {
-            targetTable = 'threads'
-            payload.parent_post_id = item.id
-        }
-        else if (table === 'threads') {
-            targetTable = 'thread_comments'
-            payload.thread_id = item.id
+    // --- SEND REPLY ---
+    // The guard row is claimed first, so a concurrent run that got this far posts nothing
+    if (!skipReply) {
+        if (revise) {
+            const { error: reviseError } = await supabase.from(previousReply.reply_table)
+                .update({ content: `🤖 ${responseText}\n\n${REVISED_NOTE}` })
+                .eq('id', previousReply.reply_id)
+            if (reviseError) throw new Error(`Reply revision failed: ${reviseError.message}`)
+        } else if (dryRun || await claimReply(table, item.id, persona.id)) {
+            const { data: posted, error: replyError, targetTable } = await postBotReply(supabase, { table, item, botUserId, text: responseText })
+            if (replyError && !dryRun) {
+                await releaseReply(table, item.id)
+                throw new Error(`Reply insert failed: ${replyError.message}`)
+            }
+            if (!dryRun && posted?.id) {
+                await recordReply(table, item.id, { replyTable: targetTable, replyId: posted.id, artifacts })
+                    .catch(err => console.warn('Reply record warning:', err.message))
+            }
+        } else {
+            console.log('🛑 Reply already posted by a concurrent run:', item.id)
+            return { status: 'ignored', message: 'Already replied to this trigger' }
         }
-        else if (table === 'thread_comments') {
-            targetTable = 'thread_comments'
-            payload.thread_id = item.thread_id
+    }
+
+    // Logging is best-effort: the reply is already posted, so a failure here must not trigger a retry
+    const { error: memoryError } = await supabase.from('ai_memories_log').insert({
+        input_text: content,
+        output_text: responseText,
+        trigger_source: `webhook:${table}`,
+        trigger_id: item.id
+    })
+    if (memoryError) console.warn('Memory log warning:', memoryError.message)
+
+    // Long-term user memory, best-effort as well; a forgotten user starts from scratch next time
+    if (hasMemory && command?.name !== 'forget' && !processingError) {
+        const interaction = {
+            username,
+            message: content,
+            action: skipReply ? 'REMOVED' : actionType,
+            source: table,
+            topics: extractTopics({ message: content, tags: parentPost?.tags || item.tags, language: codeContext?.language })
         }
-        else if (table === 'comments') {
-            targetTable = 'comments'
-            payload.post_id = item.post_id
+        if (dryRun) writes.push({ target: 'neon', table: 'ai_user_memories', op: 'record', payload: interaction })
+        else {
+            try {
+                const { memory, due } = await recordInteraction(item.user_id, interaction, memorySettings)
+                if (due && !(await scheduleMemorySummary({ userId: item.user_id, persona: persona.id, interactions: memory.interactions }))) {
+                    // No job queue (local development): summarize right away
+                    await summarizeMemory({ user_id: item.user_id, persona: persona.id })
+                }
+            } catch (userMemoryErr) {
+                console.warn('User memory warning:', userMemoryErr.message)
+            }
         }
+    }
 
-        await supabase.from(targetTable).insert(payload)
+    if (dryRun) {
+        trace.usage = { ...usage, cost_usd: costUsd }
+        trace.cited_sources = citedRefs
+        trace.error = processingError
+        return withTrace({ status: 'simulated', action: skipReply ? 'REMOVED' : actionType, reply: responseText })
+    }
 
-        // Log to Supabase (UPDATE CLAIM)
-        if (claimId) {
-            await supabase.from('ai_memories_log').update({
-                output_text: responseText
-            }).eq('id', claimId)
-        } else {
-            // Fallback: Insert if claim didn't exist for some reason
-            await supabase.from('ai_memories_log').insert({
-                input_text: content,
-                output_text: responseText,
-                trigger_source: `webhook:${table}`,
-                trigger_id: item.id
+    // Log to Neon DB (Heavy storage offload)
+    try {
+        await query(
+            `INSERT INTO ai_execution_logs (trigger_id, input_text, output_text, trigger_source, model, tokens, provider, action, validation_attempts, persona, prompt_tokens, completion_tokens, cost_usd, prompt_versions, prompt, status, error, language) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)`,
+            [
+                item.id,
+                content,
+                responseText,
+                table,
+                answeredBy.model,
+                usage.promptTokens + usage.completionTokens,
+                answeredBy.provider,
+                actionType,
+                JSON.stringify(validationAttempts),
+                persona.id,
+                usage.promptTokens,
+                usage.completionTokens,
+                costUsd,
+                JSON.stringify(promptVersions),
+                masterPrompt,
+                processingError ? 'error' : 'success',
+                processingError,
+                detectedLanguage.code
+            ]
+        );
+        if (retrievalLimit > 0) {
+            await logRetrieval({ triggerId: item.id, persona: persona.id, queryText: content, related: relatedPosts, citedRefs })
+        }
+        if (answeredBy.provider) {
+            await recordSpend({
+                persona: persona.id,
+                sourceTable: table,
+                userId: item.user_id,
+                provider: answeredBy.provider,
+                model: answeredBy.model,
+                usage,
+                costUsd
             })
         }
+        console.log('✅ Logged to Neon DB');
+    } catch (neonErr) {
+        console.error('Neon Log Error:', neonErr.message);
+    }
 
-        // Log to Neon DB (Heavy storage offload)
-        // We use fire-and-forget for logging to not block response
-        import('../db/neon.js').then(async ({ query }) => {
-            try {
-                await query(
-                    `INSERT INTO ai_execution_logs (trigger_id, input_text, output_text, trigger_source, model, tokens) VALUES ($1, $2, $3, $4, $5, $6)`,
-                    [
-                        item.id,
-                        content,
-                        responseText,
-                        table,
-                        configMap.ai_model || 'unknown',
-                        Math.ceil(responseText.length / 4)
-                    ]
-                );
-                console.log('✅ Logged to Neon DB');
-            } catch (neonErr) {
-                console.error('Neon Log Error:', neonErr.message);
+    return { status: 'done', persona: persona.id, action: skipReply ? 'REMOVED' : actionType, reply: responseText }
+}
+
+// --- POLL CLOSING SUMMARY (poll_summary job, scheduled at expires_at) ---
+// summary_posted_at is claimed before posting, so retries never post twice.
+export async function postPollSummary({ poll_id: pollId, post_id: postId, persona: personaId }) {
+    const supabase = getSupabaseClient()
+    if (!supabase) throw new Error('Server Configuration Error')
+
+    const personas = resolvePersonas(await loadBotConfig(supabase))
+    const persona = personas.find(p => p.id === personaId) || personas[0]
+    if (!persona?.botUserId) throw new Error('Bot not configured')
+
+    const tally = await tallyPoll(supabase, pollId)
+    if (tally.poll.summary_posted_at) return { status: 'ignored', message: 'Summary already posted' }
+    if (new Date(tally.poll.expires_at) > new Date()) {
+        // Expiry was extended: this job goes back to the queue for the new time
+        throw new JobDeferredError('Poll expiry was extended', tally.poll.expires_at)
+    }
+
+    const { data: claimed } = await supabase.from('polls')
+        .update({ summary_posted_at: new Date().toISOString() })
+        .eq('id', pollId)
+        .is('summary_posted_at', null)
+        .select('id')
+    if (!claimed?.length) return { status: 'ignored', message: 'Summary already posted' }
+
+    const text = renderPollSummary(tally)
+    const { error } = await postBotReply(supabase, { table: 'posts', item: { id: postId || tally.poll.post_id }, botUserId: persona.botUserId, text })
+    if (error) {
+        await supabase.from('polls').update({ summary_posted_at: null }).eq('id', pollId)
+        throw new Error(`Poll summary insert failed: ${error.message}`)
+    }
+    return { status: 'done', poll_id: pollId, votes: tally.totalVotes }
+}
+
+// --- LONG-TERM MEMORY SUMMARY (user_memory_summary job) ---
+// Folds a user's pending interactions into their Neon profile with the persona's providers.
+export async function summarizeMemory({ user_id: userId, persona: personaId }) {
+    const supabase = getSupabaseClient()
+    if (!supabase) throw new Error('Server Configuration Error')
+
+    const personas = resolvePersonas(await loadBotConfig(supabase))
+    const persona = personas.find(p => p.id === personaId) || personas[0]
+    const configMap = persona.config
+    if (!pool) return { status: 'ignored', message: 'Neon not configured' }
+
+    const budget = await checkBudget(configMap.ai_budget, persona.id)
+    if (budget.state === 'pause') return { status: 'paused_budget', reason: budget.reason }
+
+    const providerChain = resolveProviderChain(configMap)
+    const templates = await selectTemplates(['memory.summarize'], userId)
+    let spend = null
+
+    const outcome = await summarizeUserMemory(userId, {
+        generate: async (promptText) => {
+            const generation = await generateWithFallback(providerChain, {
+                prompt: promptText,
+                systemInstruction: 'You keep compact, factual profiles of community members. Answer with JSON only.',
+                temperature: 0.2
+            })
+            spend = {
+                provider: generation.provider,
+                model: generation.model,
+                usage: generation.usage,
+                costUsd: computeCost(generation.provider, generation.model, generation.usage, configMap.ai_price_table)
             }
-        });
+            return generation.text
+        },
+        prompt: (vars) => renderTemplate(templates['memory.summarize'].body, vars).text
+    })
+
+    if (spend) {
+        await recordSpend({ persona: persona.id, sourceTable: 'user_memory', userId, ...spend })
+            .catch(err => console.warn('Spend log warning:', err.message))
+    }
+    return outcome
+}
+
+// --- SIMULATOR ---
+// POST /api/ai/simulate { table, record, config_overrides }
+// Runs the whole pipeline in dry-run mode: nothing is posted, voted or logged.
+export async function simulate(req, res) {
+    const { table, record, config_overrides: configOverrides = {} } = req.body || {}
 
-        return res.status(200).json({ success: true, reply: responseText })
+    if (!VALID_TABLES.includes(table) || !record || typeof record !== 'object') {
+        return res.status(400).json({ error: `Body must be { table: ${VALID_TABLES.join('|')}, record: {...}, config_overrides?: {...} }` })
+    }
 
+    try {
+        const outcome = await processTrigger(
+            { table, record: { id: 'simulated', ...record } },
+            { dryRun: true, configOverrides }
+        )
+        return res.status(200).json(outcome)
     } catch (error) {
-        console.error('Bot Error:', error)
+        console.error('Simulation Error:', error)
         return res.status(500).json({ error: error.message })
     }
 }
@@ -0,0 +1,85 @@
+import { runJobBatch, getJob } from '../services/aiJobQueue.js';
+import { processTrigger, postPollSummary, summarizeMemory } from './aiBotController.js';
+import { loadBotConfig } from '../services/botConfig.js';
+import { reapStuckClaims } from '../services/triggerMaintenance.js';
+import { resolveDigests, runDigests } from '../services/digests.js';
+import { resolvePersonas } from '../services/personas.js';
+import { createClient } from '@supabase/supabase-js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
+const supabase = (supabaseUrl && supabaseKey) ? createClient(supabaseUrl, supabaseKey) : null;
+
+// Job kind -> processor. Payloads are whatever the enqueuer stored.
+export const jobHandlers = {
+    webhook: (payload, { isFinalAttempt }) => processTrigger(payload, { isFinalAttempt }),
+    poll_summary: (payload) => postPollSummary(payload),
+    user_memory_summary: (payload) => summarizeMemory(payload)
+};
+
+export const runAiJobs = (options) => runJobBatch(jobHandlers, options);
+
+// Worker endpoint (cron or manual): drains one batch of due jobs
+export const runJobs = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || req.body?.limit || '5'), 25);
+        const summary = await runAiJobs({ limit, workerId: `http:${process.pid}` });
+        return res.status(200).json({ success: true, ...summary });
+    } catch (err) {
+        console.error('AI Job Worker Error:', err);
+        return res.status(500).json({ error: 'Worker run failed' });
+    }
+};
+
+export const getJobStatus = async (req, res) => {
+    try {
+        if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'Invalid job id' });
+        const job = await getJob(parseInt(req.params.id));
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+        return res.status(200).json(job);
+    } catch (err) {
+        console.error('AI Job Status Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Maintenance endpoint (cron or manual): fail stale claims, optionally re-run them
+//   GET|POST /api/ai/jobs/reap?older_than_minutes=15&rerun=true
+export const reapClaims = async (req, res) => {
+    if (!supabase) return res.status(500).json({ error: 'Server Configuration Error' });
+    try {
+        const olderThan = parseInt(req.query.older_than_minutes || req.body?.older_than_minutes);
+        const rerun = String(req.query.rerun ?? req.body?.rerun ?? 'false') === 'true';
+        const summary = await reapStuckClaims(supabase, {
+            olderThanMinutes: olderThan > 0 ? olderThan : undefined,
+            rerun
+        });
+        return res.status(200).json({ success: true, ...summary });
+    } catch (err) {
+        console.error('Claim Reaper Error:', err);
+        return res.status(500).json({ error: 'Reaper run failed' });
+    }
+};
+
+// Scheduled digests (cron, e.g. hourly): posts every digest that is due, once per period
+//   GET|POST /api/ai/digests/run?preview=true&digest=weekly_top (preview renders without posting)
+export const publishDigests = async (req, res) => {
+    if (!supabase) return res.status(500).json({ error: 'Server Configuration Error' });
+    try {
+        const configMap = await loadBotConfig(supabase);
+        const digests = resolveDigests(configMap.bot_digests);
+        if (!digests.length) return res.status(200).json({ success: true, message: 'No digests configured (bot_digests)', results: [] });
+
+        const results = await runDigests(supabase, {
+            digests,
+            personas: resolvePersonas(configMap),
+            siteUrl: configMap.site_url || process.env.SITE_URL,
+            preview: String(req.query.preview ?? req.body?.preview ?? 'false') === 'true',
+            only: req.query.digest || req.body?.digest || null
+        });
+        return res.status(200).json({ success: true, results });
+    } catch (err) {
+        console.error('Digest Run Error:', err);
+        return res.status(500).json({ error: 'Digest run failed' });
+    }
+};
@@ -1,5 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
 import pool, { query } from '../db/neon.js';
+import { syncContentIndex } from '../services/contentIndex.js';
 
 // Initialize Supabase Client (For lightweight queries only - profiles/posts CRUD)
 const supabaseUrl = process.env.VITE_SUPABASE_URL;
@@ -387,6 +388,15 @@ export const syncAnalyticsData = async (req, res) => {
             console.log(`✅ Synced ${profiles.length} profiles to Neon`);
         }
 
+        // Refresh the bot's knowledge index (posts & threads full-text)
+        let indexed = {};
+        try {
+            indexed = await syncContentIndex(supabase);
+            console.log(`✅ Indexed ${indexed.posts || 0} posts and ${indexed.threads || 0} threads for AI retrieval`);
+        } catch (indexErr) {
+            console.error('⚠️ Content index sync failed:', indexErr.message);
+        }
+
         // Refresh aggregated caches
         console.log('🔄 Refreshing analytics caches...');
         await query('SELECT refresh_analytics_stats_cache()');
@@ -398,7 +408,8 @@ export const syncAnalyticsData = async (req, res) => {
         return res.status(200).json({
             success: true,
             synced: {
-                profiles: profiles?.length || 0
+                profiles: profiles?.length || 0,
+                content_index: indexed
             },
             message: 'Analytics data synced successfully',
             next_steps: 'Analytics dashboard should now load from Neon cache'
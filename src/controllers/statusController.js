@@ -1,5 +1,10 @@
 import { createClient } from '@supabase/supabase-js';
 import pool, { query } from '../db/neon.js';
+import { listTemplates, createTemplateVersion, updateTemplateVersion, getTemplateStats } from '../services/promptTemplates.js';
+import { listExecutions, getExecution, getDailyActivity, getActivityFacets } from '../services/aiActivity.js';
+import { listModerationQueue, resolveQueueItem } from '../services/preModeration.js';
+import { loadBotConfig, invalidateConfigCache, getConfigStatus } from '../services/botConfig.js';
+import { processTrigger } from './aiBotController.js';
 
 // Initialize Clients Safely
 const supabaseUrl = process.env.VITE_SUPABASE_URL;
@@ -121,7 +126,17 @@ export const getSystemStatus = async (req, res, next) => {
         res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate'); // Force fresh content
         if (req.accepts('html')) {
             if (req.originalUrl.includes('/admincenter') || req.path.includes('/admincenter')) {
-                return res.send(renderAdminCenter(status));
+                // Prompt templates are optional: the dashboard still renders without them
+                const prompts = await listTemplates().catch(() => []);
+                const promptStats = await getTemplateStats().catch(() => []);
+                const aiActivity = await loadAiActivity(req.query);
+                const moderation = {
+                    pending: await listModerationQueue({ status: 'pending' }).catch(() => []),
+                    blocked: await listModerationQueue({ status: 'blocked', limit: 20 }).catch(() => [])
+                };
+                if (supabase) await loadBotConfig(supabase).catch(() => null);
+                const botConfig = getConfigStatus();
+                return res.send(renderAdminCenter(status, { prompts, promptStats, aiActivity, moderation, botConfig }));
             }
             return res.send(renderPublicPage(status));
         }
@@ -187,6 +202,127 @@ export const deleteIncident = async (req, res) => {
     }
 };
 
+// API to Publish a Prompt Template Version (Admin Center form)
+export const createPromptVersion = async (req, res) => {
+    const { name, body, weight, notes } = req.body;
+    try {
+        const outcome = await createTemplateVersion({ name, body, weight, notes, createdBy: 'admincenter' });
+        if (outcome.error) return res.status(outcome.status).send("Failed to publish template: " + outcome.error);
+        res.redirect('/vtx/2026/admincenter#prompts');
+    } catch (e) {
+        console.error("Prompt Template Creation Failed", e);
+        res.status(500).send("Failed to publish template: " + e.message);
+    }
+};
+
+// API to Change A/B Weight / Active Flag of a Version
+export const updatePromptVersion = async (req, res) => {
+    const { id } = req.params;
+    const { weight, is_active } = req.body;
+    try {
+        const outcome = await updateTemplateVersion(parseInt(id), { weight, isActive: is_active });
+        if (outcome.error) return res.status(outcome.status).send("Failed to update template: " + outcome.error);
+        res.redirect('/vtx/2026/admincenter#prompts');
+    } catch (e) {
+        console.error("Prompt Template Update Failed", e);
+        res.status(500).send("Failed to update template: " + e.message);
+    }
+};
+
+// API to Approve / Dismiss a Flagged Trigger (approve = the bot answers after all)
+export const resolveModerationEntry = async (req, res) => {
+    if (!supabase) return res.status(500).send("Supabase not configured");
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).send("Invalid queue item id");
+    try {
+        const outcome = await resolveQueueItem(supabase, parseInt(req.params.id), { decision: req.body.decision, reviewedBy: 'admincenter' });
+        if (outcome.error) return res.status(outcome.status).send("Failed to resolve queue item: " + outcome.error);
+        res.redirect('/vtx/2026/admincenter#moderation');
+    } catch (e) {
+        console.error("Moderation Queue Update Failed", e);
+        res.status(500).send("Failed to resolve queue item: " + e.message);
+    }
+};
+
+// API to Reload ai_config (drops this instance's cache, shows fresh validation issues)
+export const reloadBotConfig = async (req, res) => {
+    if (!supabase) return res.status(500).send("Supabase not configured");
+    try {
+        invalidateConfigCache();
+        await loadBotConfig(supabase, { fresh: true });
+        res.redirect('/vtx/2026/admincenter#config');
+    } catch (e) {
+        console.error("Config Reload Failed", e);
+        res.status(500).send("Failed to reload config: " + e.message);
+    }
+};
+
+// --- AI Activity Console ---
+
+const AI_PAGE_SIZE = 50;
+
+// Filters come from the admin center query string (?ai_table=posts&ai_status=error&ai_from=2026-01-01...)
+async function loadAiActivity(q) {
+    const filters = {
+        table: q.ai_table || '',
+        action: q.ai_action || '',
+        model: q.ai_model || '',
+        language: q.ai_language || '',
+        status: q.ai_status || '',
+        from: q.ai_from || '',
+        to: q.ai_to || ''
+    };
+    const page = Math.max(parseInt(q.ai_page) || 0, 0);
+    const [executions, daily, facets] = await Promise.all([
+        listExecutions(filters, { limit: AI_PAGE_SIZE, offset: page * AI_PAGE_SIZE }).catch(() => []),
+        getDailyActivity(filters).catch(() => []),
+        getActivityFacets().catch(() => ({ models: [], actions: [], languages: [] }))
+    ]);
+    return { filters, page, executions, daily, facets };
+}
+
+// Execution Detail (input, prompt, raw output, final reply)
+export const getAiExecution = async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).send("Invalid execution id");
+    try {
+        const execution = await getExecution(parseInt(req.params.id));
+        if (!execution) return res.status(404).send("Execution not found");
+        res.send(renderExecutionDetail(execution, { memory: await findMemoryLog(execution.trigger_id) }));
+    } catch (e) {
+        console.error("AI Execution Lookup Failed", e);
+        res.status(500).send("Failed to load execution: " + e.message);
+    }
+};
+
+// Replay a Trigger (dry run: nothing is posted, voted or logged)
+export const replayAiExecution = async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).send("Invalid execution id");
+    try {
+        const execution = await getExecution(parseInt(req.params.id));
+        if (!execution) return res.status(404).send("Execution not found");
+
+        const table = String(execution.trigger_source || '').replace(/^webhook:/, '');
+        let record = null;
+        if (supabase) {
+            const { data } = await supabase.from(table).select('*').eq('id', execution.trigger_id).single();
+            record = data;
+        }
+        // Source row gone (deleted / different project): replay the logged text
+        if (!record) record = { id: execution.trigger_id, content: execution.input_text };
+
+        const replay = await processTrigger({ table, record }, { dryRun: true });
+        res.send(renderExecutionDetail(execution, { memory: await findMemoryLog(execution.trigger_id), replay }));
+    } catch (e) {
+        console.error("AI Replay Failed", e);
+        res.status(500).send("Failed to replay trigger: " + e.message);
+    }
+};
+
+async function findMemoryLog(triggerId) {
+    if (!supabase || !triggerId) return null;
+    const { data } = await supabase.from('ai_memories_log').select('*').eq('trigger_id', triggerId).limit(1);
+    return data?.[0] || null;
+}
+
 // --- Check Functions ---
 
 // Timeout helper to prevent hanging checks
@@ -331,7 +467,33 @@ const renderPublicPage = (status) => `
 `;
 
 
-const renderAdminCenter = (status) => `
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Admin actions go through requireAdminKey. Forms cannot send headers, so the key typed into
+// the header field is kept in sessionStorage and posted with every POST form as `admin_key`.
+const adminKeyField = `<input type="password" id="adminKey" placeholder="Admin key" autocomplete="off" title="ADMIN_API_KEY, required to publish, replay, moderate and reload" class="bg-gray-50 border border-gray-300 rounded px-2 py-1 text-xs w-32">`;
+
+const adminKeyScript = `
+    <script>
+        const adminKeyInput = document.getElementById('adminKey');
+        adminKeyInput.value = sessionStorage.getItem('adminKey') || '';
+        adminKeyInput.addEventListener('input', () => sessionStorage.setItem('adminKey', adminKeyInput.value));
+        document.addEventListener('submit', (event) => {
+            const form = event.target;
+            if (form.method.toLowerCase() !== 'post') return;
+            let field = form.querySelector('input[name="admin_key"]');
+            if (!field) {
+                field = document.createElement('input');
+                field.type = 'hidden';
+                field.name = 'admin_key';
+                form.appendChild(field);
+            }
+            field.value = adminKeyInput.value;
+        });
+    </script>`;
+
+const renderAdminCenter = (status, { prompts = [], promptStats = [], aiActivity = null, moderation = null, botConfig = null } = {}) => `
 <!DOCTYPE html>
 <html lang="en">
 <head>
@@ -354,6 +516,7 @@ const renderAdminCenter = (status) => `
                 <p class="text-gray-500 text-sm">Operations Dashboard</p>
             </div>
              <div class="text-right flex items-center gap-4">
+                ${adminKeyField}
                 <a href="/vtx/2026/admincenter/resolve_all" class="bg-green-600 hover:bg-green-700 text-white text-xs font-bold py-2 px-4 rounded transition-colors uppercase tracking-wider">
                     Force System Online
                 </a>
@@ -499,9 +662,121 @@ const renderAdminCenter = (status) => `
                 </div>
             </div>
         </div>
+
+        ${renderConfigSection(botConfig)}
+
+        ${renderModerationSection(moderation)}
+
+        ${renderAiActivitySection(aiActivity)}
+
+        <!-- Prompt Templates (versions & A/B weights) -->
+        <div id="prompts" class="bg-white p-6 rounded-lg border border-gray-200 shadow-sm">
+            <div class="flex justify-between items-center mb-4">
+                <h3 class="text-lg font-bold">Prompt Templates</h3>
+                <span class="text-xs text-gray-400">Version 0 = built-in default · weight &gt; 0 = part of the A/B split</span>
+            </div>
+            <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div class="lg:col-span-2 space-y-3 max-h-[32rem] overflow-y-auto">
+                    ${prompts.map(t => `
+                        <details class="border border-gray-200 rounded">
+                            <summary class="px-4 py-2 cursor-pointer flex justify-between text-sm">
+                                <span class="font-mono font-bold">${t.name}</span>
+                                <span class="text-gray-500">${t.versions.length ? `${t.versions.filter(v => v.is_active).length} active / ${t.versions.length} versions` : 'built-in'}</span>
+                            </summary>
+                            <div class="px-4 pb-4 space-y-2">
+                                <div class="text-xs text-gray-500">Variables: ${t.variables.length ? t.variables.map(v => `<code>{{${v}}}</code>`).join(' ') : 'none'}</div>
+                                ${t.versions.map(v => `
+                                    <div class="border-l-4 ${v.is_active ? 'border-green-500' : 'border-gray-300'} pl-3 py-1">
+                                        <div class="flex justify-between items-center text-xs">
+                                            <span class="font-bold">v${v.version} <span class="text-gray-400 font-normal">${new Date(v.created_at).toLocaleString()}${v.notes ? ` · ${escapeHtml(v.notes)}` : ''}</span></span>
+                                            <form action="/vtx/2026/admincenter/prompts/${v.id}/update" method="POST" class="flex items-center gap-2">
+                                                <label>weight <input type="number" min="0" name="weight" value="${v.weight}" class="w-16 bg-gray-50 border border-gray-300 rounded px-1"></label>
+                                                <select name="is_active" class="bg-gray-50 border border-gray-300 rounded px-1">
+                                                    <option value="true" ${v.is_active ? 'selected' : ''}>active</option>
+                                                    <option value="false" ${v.is_active ? '' : 'selected'}>inactive</option>
+                                                </select>
+                                                <button type="submit" class="text-blue-500 hover:text-blue-700 font-bold">Save</button>
+                                            </form>
+                                        </div>
+                                        <pre class="text-[11px] bg-gray-50 p-2 mt-1 whitespace-pre-wrap max-h-40 overflow-y-auto">${escapeHtml(v.body)}</pre>
+                                    </div>
+                                `).join('')}
+                                <div class="border-l-4 border-blue-300 pl-3 py-1">
+                                    <div class="text-xs font-bold">v0 (built-in)</div>
+                                    <pre class="text-[11px] bg-gray-50 p-2 mt-1 whitespace-pre-wrap max-h-40 overflow-y-auto">${escapeHtml(t.builtin)}</pre>
+                                </div>
+                            </div>
+                        </details>
+                    `).join('')}
+                </div>
+
+                <div class="space-y-4">
+                    <form action="/vtx/2026/admincenter/prompts" method="POST" class="space-y-3">
+                        <h4 class="text-sm font-bold text-gray-500 uppercase tracking-wider">Publish New Version</h4>
+                        <select name="name" id="prompt_name" onchange="loadPromptBody()" class="w-full bg-gray-50 border border-gray-300 rounded px-3 py-2 text-sm">
+                            ${prompts.map(t => `<option value="${t.name}">${t.name}</option>`).join('')}
+                        </select>
+                        <textarea name="body" id="prompt_body" rows="10" required class="w-full bg-gray-50 border border-gray-300 rounded px-3 py-2 text-xs font-mono"></textarea>
+                        <div class="grid grid-cols-2 gap-3">
+                            <input type="number" name="weight" min="0" value="0" class="bg-gray-50 border border-gray-300 rounded px-3 py-2 text-sm" title="A/B weight (0 = newest version wins)">
+                            <input type="text" name="notes" placeholder="Notes" class="bg-gray-50 border border-gray-300 rounded px-3 py-2 text-sm">
+                        </div>
+                        <button type="submit" class="w-full bg-black hover:bg-gray-800 text-white font-bold py-2 rounded transition-colors">Publish Version</button>
+                    </form>
+
+                    <div>
+                        <h4 class="text-sm font-bold text-gray-500 uppercase tracking-wider mb-2">master: Outcomes (30d)</h4>
+                        <table class="min-w-full text-xs">
+                            <thead><tr class="text-gray-500"><th class="text-left">Ver</th><th class="text-right">Calls</th><th class="text-right">1st valid</th><th class="text-right">Tokens</th><th class="text-right">Avg $</th></tr></thead>
+                            <tbody>
+                                ${promptStats.length ? promptStats.map(r => `
+                                <tr>
+                                    <td class="font-mono">v${r.version}</td>
+                                    <td class="text-right">${r.calls}</td>
+                                    <td class="text-right">${Math.round((r.first_try_valid_rate || 0) * 100)}%</td>
+                                    <td class="text-right">${(parseInt(r.avg_prompt_tokens) || 0) + (parseInt(r.avg_completion_tokens) || 0)}</td>
+                                    <td class="text-right">${Number(r.avg_cost_usd || 0).toFixed(4)}</td>
+                                </tr>
+                                `).join('') : '<tr><td colspan="5" class="text-gray-400 py-2">No logged runs yet</td></tr>'}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        </div>
     </div>
 
     <script>
+        // Prefill the editor with the newest version (or the built-in default)
+        const promptTemplates = ${JSON.stringify(Object.fromEntries(prompts.map(t => [t.name, t.versions[0]?.body ?? t.builtin]))).replace(/</g, '\\u003c')};
+        function loadPromptBody() {
+            const name = document.getElementById('prompt_name').value;
+            document.getElementById('prompt_body').value = promptTemplates[name] || '';
+        }
+        if (document.getElementById('prompt_name')) loadPromptBody();
+
+        // AI Activity: trigger volume (bars) & failure rate (line)
+        const aiDaily = ${JSON.stringify(aiActivity?.daily || [])};
+        if (document.getElementById('aiActivityChart')) {
+            new Chart(document.getElementById('aiActivityChart').getContext('2d'), {
+                data: {
+                    labels: aiDaily.map(d => d.day),
+                    datasets: [
+                        { type: 'bar', label: 'Triggers', data: aiDaily.map(d => d.triggers), backgroundColor: '#000000', borderRadius: 4, yAxisID: 'y' },
+                        { type: 'line', label: 'Failure rate (%)', data: aiDaily.map(d => Math.round(d.failureRate * 1000) / 10), borderColor: '#dc2626', backgroundColor: '#dc2626', yAxisID: 'y1' }
+                    ]
+                },
+                options: {
+                    maintainAspectRatio: false,
+                    scales: {
+                        y: { beginAtZero: true, position: 'left' },
+                        y1: { beginAtZero: true, max: 100, position: 'right', grid: { display: false } },
+                        x: { grid: { display: false } }
+                    }
+                }
+            });
+        }
+
         const ctx = document.getElementById('latencyChart').getContext('2d');
         const labels = ['Api', 'Supabase', 'Neon', 'Media', 'Realtime'];
         const data = [
@@ -565,6 +840,257 @@ const renderAdminCenter = (status) => `
             document.getElementById('field_date').value = ''; 
         }
     </script>
+    ${adminKeyScript}
+</body>
+</html>
+`;
+
+const AI_TABLES = ['posts', 'comments', 'threads', 'thread_comments'];
+
+const renderConfigSection = (botConfig) => {
+    if (!botConfig) return '';
+    const { loaded_at: loadedAt, ttl_ms: ttlMs, config, issues } = botConfig;
+    const errors = issues.filter(i => i.level === 'error').length;
+
+    return `
+        <!-- Bot Config (ai_config validation) -->
+        <div id="config" class="bg-white p-6 rounded-lg border border-gray-200 shadow-sm space-y-4">
+            <div class="flex justify-between items-center">
+                <h3 class="text-lg font-bold">Bot Config</h3>
+                <div class="flex items-center gap-3">
+                    <span class="text-xs text-gray-500">${Object.keys(config).length} keys · ${loadedAt ? `loaded ${new Date(loadedAt).toLocaleString()}` : 'not loaded'} · cached ${Math.round(ttlMs / 1000)}s</span>
+                    <form action="/vtx/2026/admincenter/config/reload" method="POST">
+                        <button type="submit" class="bg-black hover:bg-gray-800 text-white font-bold rounded px-3 py-1 text-xs">Reload now</button>
+                    </form>
+                </div>
+            </div>
+            ${issues.length ? `
+            <table class="min-w-full divide-y divide-gray-200 text-xs">
+                <thead class="bg-gray-50">
+                    <tr class="text-gray-500 uppercase tracking-wider">
+                        <th class="px-3 py-2 text-left">Level</th>
+                        <th class="px-3 py-2 text-left">Key</th>
+                        <th class="px-3 py-2 text-left">Value</th>
+                        <th class="px-3 py-2 text-left">Problem</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-100">
+                    ${issues.map(i => `
+                    <tr>
+                        <td class="px-3 py-2"><span class="px-2 inline-flex leading-5 font-bold rounded-full ${i.level === 'error' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}">${i.level}</span></td>
+                        <td class="px-3 py-2 font-mono">${escapeHtml(i.key)}</td>
+                        <td class="px-3 py-2 font-mono max-w-xs truncate">${escapeHtml(i.value)}</td>
+                        <td class="px-3 py-2">${escapeHtml(i.message)}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="text-xs text-gray-400">${errors} invalid value${errors === 1 ? '' : 's'} ignored (defaults apply) · fix them in ai_config, then reload</p>` : '<p class="text-sm text-green-700">All ai_config values are valid</p>'}
+        </div>`;
+};
+
+const moderationReasons = (reasons) => (reasons || []).map(r =>
+    `<span class="px-2 inline-flex leading-5 rounded-full ${r.verdict === 'block' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}" title="${escapeHtml(r.detail)}">${escapeHtml(r.rule)}</span>`
+).join(' ');
+
+const renderModerationSection = (moderation) => {
+    if (!moderation) return '';
+    const { pending, blocked } = moderation;
+
+    return `
+        <!-- Pre-moderation Queue (ai_moderation_queue) -->
+        <div id="moderation" class="bg-white p-6 rounded-lg border border-gray-200 shadow-sm space-y-4">
+            <div class="flex justify-between items-center">
+                <h3 class="text-lg font-bold">Moderation Queue</h3>
+                <span class="text-xs text-gray-500">${pending.length} waiting for review · flagged before any model call</span>
+            </div>
+            <div class="space-y-2">
+                ${pending.length ? pending.map(m => `
+                <div class="border border-gray-100 rounded p-3 text-xs flex justify-between gap-4">
+                    <div class="min-w-0">
+                        <div class="text-gray-500">${new Date(m.created_at).toLocaleString()} · ${escapeHtml(m.source_table)} · trigger <span class="font-mono">${escapeHtml(m.trigger_id)}</span> · ${escapeHtml(m.persona || 'default')}</div>
+                        <pre class="bg-gray-50 p-2 mt-1 whitespace-pre-wrap max-h-32 overflow-y-auto">${escapeHtml(m.content)}</pre>
+                        <div class="mt-1">${moderationReasons(m.reasons)}</div>
+                    </div>
+                    <div class="flex flex-col gap-1 shrink-0">
+                        <form action="/vtx/2026/admincenter/moderation/${m.id}/resolve" method="POST">
+                            <input type="hidden" name="decision" value="approve">
+                            <button type="submit" class="w-full bg-black hover:bg-gray-800 text-white font-bold rounded px-3 py-1" title="The bot answers this trigger after all">Approve</button>
+                        </form>
+                        <form action="/vtx/2026/admincenter/moderation/${m.id}/resolve" method="POST">
+                            <input type="hidden" name="decision" value="dismiss">
+                            <button type="submit" class="w-full bg-gray-200 hover:bg-gray-300 text-gray-700 font-bold rounded px-3 py-1">Dismiss</button>
+                        </form>
+                    </div>
+                </div>
+                `).join('') : '<p class="text-sm text-gray-400">Nothing waiting for review</p>'}
+            </div>
+            ${blocked.length ? `
+            <details class="text-xs">
+                <summary class="cursor-pointer text-gray-500 font-bold">Recently blocked (${blocked.length})</summary>
+                <table class="min-w-full divide-y divide-gray-200 mt-2">
+                    <tbody class="divide-y divide-gray-100">
+                        ${blocked.map(m => `
+                        <tr>
+                            <td class="px-3 py-2 whitespace-nowrap text-gray-500">${new Date(m.created_at).toLocaleString()}</td>
+                            <td class="px-3 py-2 font-mono">${escapeHtml(m.source_table)}</td>
+                            <td class="px-3 py-2 max-w-md truncate">${escapeHtml(m.content)}</td>
+                            <td class="px-3 py-2">${moderationReasons(m.reasons)}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </details>` : ''}
+        </div>`;
+};
+
+const selectOptions = (values, selected, allLabel) =>
+    `<option value="">${allLabel}</option>` + values.map(v => `<option value="${escapeHtml(v)}" ${v === selected ? 'selected' : ''}>${escapeHtml(v)}</option>`).join('');
+
+const renderAiActivitySection = (activity) => {
+    if (!activity) return '';
+    const { filters, page, executions, daily, facets } = activity;
+    const totals = daily.reduce((sum, d) => ({ triggers: sum.triggers + d.triggers, failures: sum.failures + d.failures }), { triggers: 0, failures: 0 });
+    const pageLink = (p) => '/vtx/2026/admincenter?' + new URLSearchParams({
+        ai_table: filters.table, ai_action: filters.action, ai_model: filters.model, ai_language: filters.language,
+        ai_status: filters.status, ai_from: filters.from, ai_to: filters.to, ai_page: p
+    }).toString() + '#ai';
+
+    return `
+        <!-- AI Activity (ai_execution_logs) -->
+        <div id="ai" class="bg-white p-6 rounded-lg border border-gray-200 shadow-sm space-y-4">
+            <div class="flex justify-between items-center">
+                <h3 class="text-lg font-bold">AI Activity</h3>
+                <span class="text-xs text-gray-500">${totals.triggers} triggers · ${totals.failures} failures${totals.triggers ? ` (${Math.round(totals.failures / totals.triggers * 100)}%)` : ''}</span>
+            </div>
+
+            <form method="GET" action="/vtx/2026/admincenter#ai" class="grid grid-cols-2 md:grid-cols-8 gap-2 text-sm">
+                <select name="ai_table" class="bg-gray-50 border border-gray-300 rounded px-2 py-1">${selectOptions(AI_TABLES, filters.table, 'All tables')}</select>
+                <select name="ai_action" class="bg-gray-50 border border-gray-300 rounded px-2 py-1">${selectOptions(facets.actions || [], filters.action, 'All actions')}</select>
+                <select name="ai_model" class="bg-gray-50 border border-gray-300 rounded px-2 py-1">${selectOptions(facets.models || [], filters.model, 'All models')}</select>
+                <select name="ai_language" class="bg-gray-50 border border-gray-300 rounded px-2 py-1" title="Detected language of the trigger">${selectOptions(facets.languages || [], filters.language, 'All languages')}</select>
+                <select name="ai_status" class="bg-gray-50 border border-gray-300 rounded px-2 py-1">${selectOptions(['success', 'error'], filters.status, 'Success & errors')}</select>
+                <input type="date" name="ai_from" value="${escapeHtml(filters.from)}" class="bg-gray-50 border border-gray-300 rounded px-2 py-1" title="From (default: last 14 days)">
+                <input type="date" name="ai_to" value="${escapeHtml(filters.to)}" class="bg-gray-50 border border-gray-300 rounded px-2 py-1" title="To">
+                <button type="submit" class="bg-black hover:bg-gray-800 text-white font-bold rounded px-3 py-1">Filter</button>
+            </form>
+
+            <div class="relative h-56 w-full">
+                <canvas id="aiActivityChart"></canvas>
+            </div>
+
+            <div class="overflow-x-auto">
+                <table class="min-w-full divide-y divide-gray-200 text-xs">
+                    <thead class="bg-gray-50">
+                        <tr class="text-gray-500 uppercase tracking-wider">
+                            <th class="px-3 py-2 text-left">When</th>
+                            <th class="px-3 py-2 text-left">Table</th>
+                            <th class="px-3 py-2 text-left">Action</th>
+                            <th class="px-3 py-2 text-left">Model</th>
+                            <th class="px-3 py-2 text-left">Lang</th>
+                            <th class="px-3 py-2 text-left">Input</th>
+                            <th class="px-3 py-2 text-left">Reply</th>
+                            <th class="px-3 py-2 text-left">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-100">
+                        ${executions.length ? executions.map(e => `
+                        <tr class="hover:bg-gray-50 cursor-pointer" onclick="window.location='/vtx/2026/admincenter/ai/executions/${e.id}'">
+                            <td class="px-3 py-2 whitespace-nowrap text-gray-500">${new Date(e.created_at).toLocaleString()}</td>
+                            <td class="px-3 py-2 font-mono">${escapeHtml(e.trigger_source)}</td>
+                            <td class="px-3 py-2 font-mono">${escapeHtml(e.action || '-')}</td>
+                            <td class="px-3 py-2 font-mono">${escapeHtml(e.model || '-')}</td>
+                            <td class="px-3 py-2 font-mono">${escapeHtml(e.language || '-')}</td>
+                            <td class="px-3 py-2 max-w-xs truncate">${escapeHtml(e.input_excerpt)}</td>
+                            <td class="px-3 py-2 max-w-xs truncate">${escapeHtml(e.output_excerpt)}</td>
+                            <td class="px-3 py-2">
+                                <span class="px-2 inline-flex leading-5 font-bold rounded-full ${e.status === 'error' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}" title="${escapeHtml(e.error || '')}">${e.status}</span>
+                            </td>
+                        </tr>
+                        `).join('') : '<tr><td colspan="8" class="px-3 py-4 text-gray-400">No executions match these filters</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="flex justify-between text-xs">
+                ${page > 0 ? `<a href="${pageLink(page - 1)}" class="text-blue-500 hover:text-blue-700 font-bold">&larr; Newer</a>` : '<span></span>'}
+                ${executions.length === AI_PAGE_SIZE ? `<a href="${pageLink(page + 1)}" class="text-blue-500 hover:text-blue-700 font-bold">Older &rarr;</a>` : ''}
+            </div>
+        </div>`;
+};
+
+const detailBlock = (title, text) => `
+    <div class="bg-white p-6 rounded-lg border border-gray-200 shadow-sm">
+        <h3 class="text-sm font-bold text-gray-500 uppercase tracking-wider mb-2">${title}</h3>
+        <pre class="text-xs bg-gray-50 p-3 rounded whitespace-pre-wrap max-h-[32rem] overflow-y-auto">${escapeHtml(text || '(empty)')}</pre>
+    </div>`;
+
+const renderAttempts = (attempts) => (attempts || []).map(a => `
+    <div class="border-l-4 ${a.valid ? 'border-green-500' : 'border-red-500'} pl-3 py-1 space-y-1">
+        <div class="text-xs font-bold">Attempt ${a.attempt} · ${escapeHtml(a.provider || '?')} · ${a.valid ? 'valid' : 'invalid'}</div>
+        ${a.errors?.length ? `<ul class="text-xs text-red-600 list-disc ml-4">${a.errors.map(err => `<li>${escapeHtml(err)}</li>`).join('')}</ul>` : ''}
+        <pre class="text-xs bg-gray-50 p-2 rounded whitespace-pre-wrap max-h-64 overflow-y-auto">${escapeHtml(a.raw_output)}</pre>
+    </div>`).join('') || '<p class="text-xs text-gray-400">No raw output recorded</p>';
+
+const renderExecutionDetail = (e, { memory = null, replay = null } = {}) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>AI Execution #${e.id}</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <style>
+        body { font-family: Arial, sans-serif; }
+    </style>
+</head>
+<body class="bg-gray-100 text-gray-900 min-h-screen p-6">
+    <div class="max-w-5xl mx-auto space-y-6">
+        <header class="flex justify-between items-center bg-white p-6 rounded-lg border border-gray-200 shadow-sm">
+            <div>
+                <a href="/vtx/2026/admincenter#ai" class="text-xs text-blue-500 hover:text-blue-700 font-bold">&larr; AI Activity</a>
+                <h1 class="text-2xl font-bold">Execution #${e.id}</h1>
+                <p class="text-gray-500 text-sm">${new Date(e.created_at).toLocaleString()} · ${escapeHtml(e.trigger_source)} · trigger <span class="font-mono">${escapeHtml(e.trigger_id)}</span></p>
+            </div>
+            <form action="/vtx/2026/admincenter/ai/executions/${e.id}/replay" method="POST" class="flex items-center gap-2">
+                ${adminKeyField}
+                <button type="submit" class="bg-black hover:bg-gray-800 text-white text-xs font-bold py-2 px-4 rounded transition-colors uppercase tracking-wider" title="Dry run: nothing is posted or logged">
+                    Replay this trigger
+                </button>
+            </form>
+        </header>
+
+        <div class="bg-white p-6 rounded-lg border border-gray-200 shadow-sm grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div><div class="text-xs text-gray-400 uppercase">Status</div><div class="font-bold ${e.status === 'error' ? 'text-red-600' : 'text-green-600'}">${e.status}</div></div>
+            <div><div class="text-xs text-gray-400 uppercase">Action</div><div class="font-mono">${escapeHtml(e.action || '-')}</div></div>
+            <div><div class="text-xs text-gray-400 uppercase">Persona</div><div class="font-mono">${escapeHtml(e.persona || 'default')}</div></div>
+            <div><div class="text-xs text-gray-400 uppercase">Model</div><div class="font-mono">${escapeHtml(e.provider || '?')} / ${escapeHtml(e.model || '?')}</div></div>
+            <div><div class="text-xs text-gray-400 uppercase">Tokens</div><div class="font-mono">${e.prompt_tokens ?? '?'} in / ${e.completion_tokens ?? '?'} out</div></div>
+            <div><div class="text-xs text-gray-400 uppercase">Cost</div><div class="font-mono">$${Number(e.cost_usd || 0).toFixed(6)}</div></div>
+            <div><div class="text-xs text-gray-400 uppercase">Language</div><div class="font-mono">${escapeHtml(e.language || '-')}</div></div>
+            <div class="col-span-2"><div class="text-xs text-gray-400 uppercase">Prompt versions</div><div class="font-mono text-xs">${escapeHtml(JSON.stringify(e.prompt_versions || {}))}</div></div>
+            ${e.error ? `<div class="col-span-4 text-red-600 text-xs"><span class="font-bold">Error:</span> ${escapeHtml(e.error)}</div>` : ''}
+        </div>
+
+        ${replay ? `
+        <div class="bg-white p-6 rounded-lg border-2 border-black shadow-sm space-y-3">
+            <h3 class="text-lg font-bold">Replay (dry run)</h3>
+            <div class="text-sm">Status: <span class="font-mono">${escapeHtml(replay.status)}</span> · Action: <span class="font-mono">${escapeHtml(replay.action || '-')}</span>${replay.trace?.error ? ` · <span class="text-red-600">${escapeHtml(replay.trace.error)}</span>` : ''}</div>
+            <pre class="text-xs bg-gray-50 p-3 rounded whitespace-pre-wrap">${escapeHtml(replay.reply || replay.message || replay.reason || '')}</pre>
+            ${renderAttempts(replay.trace?.attempts)}
+            ${replay.trace?.writes?.length ? `<pre class="text-xs bg-yellow-50 p-3 rounded whitespace-pre-wrap">${escapeHtml(JSON.stringify(replay.trace.writes, null, 2))}</pre>` : ''}
+        </div>` : ''}
+
+        ${detailBlock('Input', e.input_text)}
+        ${detailBlock('Prompt', e.prompt || '(not recorded for this execution)')}
+        <div class="bg-white p-6 rounded-lg border border-gray-200 shadow-sm space-y-3">
+            <h3 class="text-sm font-bold text-gray-500 uppercase tracking-wider">Raw Output</h3>
+            ${renderAttempts(e.validation_attempts)}
+        </div>
+        ${detailBlock('Final Reply', e.output_text)}
+        ${memory ? detailBlock('ai_memories_log', JSON.stringify(memory, null, 2)) : ''}
+    </div>
+    ${adminKeyScript}
 </body>
 </html>
 `;
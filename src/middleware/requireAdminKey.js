@@ -0,0 +1,18 @@
+// Protects the AI admin API. Send `x-admin-key: $ADMIN_API_KEY` (or `Authorization: Bearer ...`).
+// Admin center HTML forms cannot set headers: they post the key as the `admin_key` field.
+// Without ADMIN_API_KEY the API stays closed: it restores content, spends tokens and publishes prompts.
+export default function requireAdminKey(req, res, next) {
+    const secret = process.env.ADMIN_API_KEY
+    if (!secret) {
+        console.error('ADMIN_API_KEY is not set, refusing admin request')
+        return res.status(503).json({ error: 'Admin API not configured' })
+    }
+
+    const provided = req.headers['x-admin-key']
+        || (req.headers.authorization || '').replace(/^Bearer\s+/i, '')
+        || req.body?.admin_key
+    if (provided !== secret) {
+        return res.status(401).json({ error: 'Unauthorized' })
+    }
+    return next()
+}
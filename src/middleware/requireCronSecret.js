@@ -0,0 +1,14 @@
+// Protects cron/worker endpoints. Vercel Cron sends `Authorization: Bearer $CRON_SECRET`;
+// manual callers can use the same header. Without CRON_SECRET the endpoints stay closed.
+export default function requireCronSecret(req, res, next) {
+    const secret = process.env.CRON_SECRET
+    if (!secret) {
+        console.error('CRON_SECRET is not set, refusing cron request')
+        return res.status(503).json({ error: 'Cron endpoint not configured' })
+    }
+
+    if (req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).json({ error: 'Unauthorized' })
+    }
+    return next()
+}
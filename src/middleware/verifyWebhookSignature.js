@@ -0,0 +1,146 @@
+import crypto from 'crypto'
+import { createClient } from '@supabase/supabase-js'
+import { query } from '../db/neon.js'
+
+// --- SIGNED WEBHOOK VERIFICATION ---
+// Senders sign `${timestamp}.${nonce}.${rawBody}` with HMAC-SHA256 and send:
+//   x-vtx-source:    sender id (selects the secret, defaults to "default")
+//   x-vtx-timestamp: unix seconds
+//   x-vtx-nonce:     unique per delivery
+//   x-vtx-signature: sha256=<hex digest>
+// Secrets: env AI_WEBHOOK_SECRET_<SOURCE> / AI_WEBHOOK_SECRET, or ai_config
+// webhook_secret_<source> / webhook_secret. Env wins over ai_config.
+// Sender: migrations/004_supabase_signed_webhook.sql (pg_net triggers, source "supabase").
+// AI_WEBHOOK_ALLOW_UNSIGNED=true lets deliveries without signature headers through (migration
+// from unsigned Database Webhooks); signed deliveries are still verified.
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY
+const supabase = (supabaseUrl && supabaseKey) ? createClient(supabaseUrl, supabaseKey) : null
+
+const DEFAULT_TOLERANCE_SECONDS = 300
+
+// Fallback nonce cache when Neon is not configured (single instance only)
+const localNonces = new Map()
+
+async function resolveSecret(source) {
+    const envKey = `AI_WEBHOOK_SECRET_${source.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`
+    if (process.env[envKey]) return process.env[envKey]
+    if (source === 'default' && process.env.AI_WEBHOOK_SECRET) return process.env.AI_WEBHOOK_SECRET
+
+    if (supabase) {
+        const sourceKey = `webhook_secret_${source.toLowerCase()}`
+        const { data: rows } = await supabase
+            .from('ai_config')
+            .select('key, value')
+            .in('key', [sourceKey, 'webhook_secret'])
+
+        const secrets = {}
+        rows?.forEach(row => secrets[row.key] = row.value)
+        if (secrets[sourceKey]) return secrets[sourceKey]
+        if (secrets.webhook_secret) return secrets.webhook_secret
+    }
+
+    return process.env.AI_WEBHOOK_SECRET || null
+}
+
+export function signPayload(secret, timestamp, nonce, rawBody) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${rawBody}`).digest('hex')
+}
+
+function signaturesMatch(expected, received) {
+    const a = Buffer.from(expected)
+    const b = Buffer.from(received || '')
+    return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+// Returns true if the nonce was unseen (and records it)
+async function claimNonce(nonce, source, toleranceSeconds) {
+    const result = await query(
+        `INSERT INTO ai_webhook_nonces (nonce, source) VALUES ($1, $2) ON CONFLICT (nonce) DO NOTHING`,
+        [nonce, source]
+    )
+
+    if (result) {
+        // Opportunistic cleanup: nonces older than the replay window can never be accepted again anyway
+        query(`DELETE FROM ai_webhook_nonces WHERE created_at < NOW() - $1 * INTERVAL '1 second'`, [toleranceSeconds * 2])
+            .catch(err => console.error('Nonce cleanup error:', err.message))
+        return result.rowCount === 1
+    }
+
+    const now = Date.now()
+    for (const [key, seenAt] of localNonces) {
+        if (now - seenAt > toleranceSeconds * 2000) localNonces.delete(key)
+    }
+    if (localNonces.has(nonce)) return false
+    localNonces.set(nonce, now)
+    return true
+}
+
+async function logRejection(req, source, reason) {
+    console.warn(`🚫 Webhook rejected (${source}): ${reason}`)
+    try {
+        await query(
+            `INSERT INTO ai_webhook_rejections (source, reason, ip, signature, request_timestamp, nonce, body_excerpt) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [
+                source,
+                reason,
+                req.headers['x-forwarded-for'] || req.socket?.remoteAddress || null,
+                req.headers['x-vtx-signature'] || null,
+                req.headers['x-vtx-timestamp'] || null,
+                req.headers['x-vtx-nonce'] || null,
+                (req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {})).substring(0, 2000)
+            ]
+        )
+    } catch (err) {
+        console.error('Neon Rejection Log Error:', err.message)
+    }
+}
+
+export default async function verifyWebhookSignature(req, res, next) {
+    const source = String(req.headers['x-vtx-source'] || 'default')
+
+    const reject = async (status, reason) => {
+        await logRejection(req, source, reason)
+        return res.status(status).json({ error: 'Webhook rejected', reason })
+    }
+
+    try {
+        const signature = req.headers['x-vtx-signature']
+        const timestamp = req.headers['x-vtx-timestamp']
+        const nonce = req.headers['x-vtx-nonce']
+        if (!signature && process.env.AI_WEBHOOK_ALLOW_UNSIGNED === 'true') {
+            console.warn('⚠️ Accepting unsigned webhook delivery (AI_WEBHOOK_ALLOW_UNSIGNED)')
+            return next()
+        }
+
+        const secret = await resolveSecret(source)
+        if (!secret) {
+            return reject(401, `No webhook secret configured for source "${source}"`)
+        }
+        if (!signature || !timestamp || !nonce) {
+            return reject(401, 'Missing signature, timestamp or nonce header')
+        }
+
+        const toleranceSeconds = parseInt(process.env.AI_WEBHOOK_TOLERANCE_SECONDS || DEFAULT_TOLERANCE_SECONDS)
+        const age = Math.abs(Date.now() / 1000 - parseInt(timestamp))
+        if (!Number.isFinite(age) || age > toleranceSeconds) {
+            return reject(401, `Timestamp outside ${toleranceSeconds}s tolerance`)
+        }
+
+        const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body)
+        if (!signaturesMatch(signPayload(secret, timestamp, nonce, rawBody), signature)) {
+            return reject(401, 'Invalid signature')
+        }
+
+        if (!(await claimNonce(nonce, source, toleranceSeconds))) {
+            return reject(409, 'Replayed nonce')
+        }
+
+        req.webhookSource = source
+        return next()
+    } catch (err) {
+        console.error('Webhook Verification Error:', err)
+        return res.status(500).json({ error: 'Webhook verification failed' })
+    }
+}
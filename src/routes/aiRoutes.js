@@ -1,8 +1,58 @@
 import express from 'express';
-import handler from '../controllers/aiBotController.js';
+import handler, { simulate } from '../controllers/aiBotController.js';
+import { runJobs, getJobStatus, reapClaims, publishDigests } from '../controllers/aiJobsController.js';
+import {
+    getRemovals, restoreRemovedContent, getSpend,
+    getModerationQueue, resolveModerationItem, getBotConfig, invalidateBotConfig,
+    getPromptTemplates, createPromptTemplate, updatePromptTemplate, previewPromptTemplate, getPromptStats,
+    reprocessTriggerById
+} from '../controllers/aiAdminController.js';
+import verifyWebhookSignature from '../middleware/verifyWebhookSignature.js';
+import requireCronSecret from '../middleware/requireCronSecret.js';
+import requireAdminKey from '../middleware/requireAdminKey.js';
 
 const router = express.Router();
 
-router.post('/webhook', (req, res) => handler(req, res));
+router.post('/webhook', verifyWebhookSignature, (req, res) => handler(req, res));
 
-export default router;
\ No newline at end of file
+// Dry-run: see what the bot would do without touching production tables
+router.post('/simulate', requireAdminKey, simulate);
+
+// Job Queue: worker (Vercel Cron issues GET) & status (admin)
+router.get('/jobs/run', requireCronSecret, runJobs);
+router.post('/jobs/run', requireCronSecret, runJobs);
+// Maintenance: fail stale claims (?rerun=true re-runs them through the reply guard)
+router.get('/jobs/reap', requireCronSecret, reapClaims);
+router.post('/jobs/reap', requireCronSecret, reapClaims);
+router.get('/jobs/:id', requireAdminKey, getJobStatus);
+
+// Scheduled digest posts (top posts, new members, community stats), once per period
+router.get('/digests/run', requireCronSecret, publishDigests);
+router.post('/digests/run', requireCronSecret, publishDigests);
+
+// Admin: Moderation removals (list & restore)
+router.get('/admin/removals', requireAdminKey, getRemovals);
+router.post('/admin/removals/:id/restore', requireAdminKey, restoreRemovedContent);
+
+// Admin: ai_config as the bot sees it (validation issues) & cache invalidation
+router.get('/admin/config', requireAdminKey, getBotConfig);
+router.post('/admin/config/invalidate', requireAdminKey, invalidateBotConfig);
+
+// Admin: Pre-moderation queue (approve = answer after all, dismiss = never)
+router.get('/admin/moderation-queue', requireAdminKey, getModerationQueue);
+router.post('/admin/moderation-queue/:id/resolve', requireAdminKey, resolveModerationItem);
+
+// Admin: Token usage & spend rollups
+router.get('/admin/spend', requireAdminKey, getSpend);
+
+// Admin: Prompt templates (versions, A/B weights, per-version outcomes)
+router.get('/admin/prompts', requireAdminKey, getPromptTemplates);
+router.post('/admin/prompts', requireAdminKey, createPromptTemplate);
+router.post('/admin/prompts/preview', requireAdminKey, previewPromptTemplate);
+router.get('/admin/prompts/stats', requireAdminKey, getPromptStats);
+router.post('/admin/prompts/:id', requireAdminKey, updatePromptTemplate);
+
+// Admin: Re-run any trigger on demand (409 if the bot already replied)
+router.post('/admin/triggers/:table/:id/reprocess', requireAdminKey, reprocessTriggerById);
+
+export default router;
@@ -18,6 +18,25 @@ router.post('/vtx/2026/admincenter/incidents/:id/update', updateIncident); // Ne
 router.post('/vtx/2026/admincenter/incidents/:id/delete', deleteIncident);
 router.get('/vtx/2026/admincenter/resolve_all', resolveAllIncidents);
 
+// Prompt Templates (publish versions, A/B weights); admin key posted by the admin center forms
+import { createPromptVersion, updatePromptVersion } from '../controllers/statusController.js';
+import requireAdminKey from '../middleware/requireAdminKey.js';
+router.post('/vtx/2026/admincenter/prompts', requireAdminKey, createPromptVersion);
+router.post('/vtx/2026/admincenter/prompts/:id/update', requireAdminKey, updatePromptVersion);
+
+// AI Activity Console (execution detail & dry-run replay; a replay spends tokens)
+import { getAiExecution, replayAiExecution } from '../controllers/statusController.js';
+router.get('/vtx/2026/admincenter/ai/executions/:id', getAiExecution);
+router.post('/vtx/2026/admincenter/ai/executions/:id/replay', requireAdminKey, replayAiExecution);
+
+// Pre-moderation Queue (approve / dismiss flagged triggers; approving runs the bot)
+import { resolveModerationEntry } from '../controllers/statusController.js';
+router.post('/vtx/2026/admincenter/moderation/:id/resolve', requireAdminKey, resolveModerationEntry);
+
+// Bot Config (reload ai_config, see validation issues)
+import { reloadBotConfig } from '../controllers/statusController.js';
+router.post('/vtx/2026/admincenter/config/reload', requireAdminKey, reloadBotConfig);
+
 // Legacy/Short Admin Redirect (Optional)
 router.get('/admin', (req, res) => res.redirect('/status/vtx/2026/admincenter'));
 
@@ -0,0 +1,234 @@
+// --- ACTION SCHEMA ---
+// Formal shape of the JSON decision the model returns. Every action type lists
+// its fields; validateAction() reports precise, model-readable errors that are
+// fed back into repair round-trips.
+
+const str = (extra = {}) => ({ type: 'string', ...extra })
+
+export const actionSchemas = {
+    REPLY: {
+        reply_text: str({ required: true, minLength: 1 })
+    },
+    CREATE_POST: {
+        reply_text: str(),
+        post_data: {
+            type: 'object',
+            required: true,
+            properties: {
+                title: str({ required: true, minLength: 1, maxLength: 200 }),
+                content: str({ required: true }),
+                tags: { type: 'array', items: str({ minLength: 1 }), maxItems: 10 },
+                code_language: str()
+            }
+        },
+        poll_data: {
+            type: 'object',
+            properties: {
+                question: str({ minLength: 1 }),
+                options: {
+                    type: 'array',
+                    required: true,
+                    items: str({ minLength: 1, maxLength: 100 }),
+                    minItems: 2,
+                    // Cap comes from bot_poll_settings.max_options
+                    refine: (options, ctx) => (options.length > (ctx.maxPollOptions || 5) ? `allows at most ${ctx.maxPollOptions || 5} options, got ${options.length}` : null)
+                },
+                allow_multiple: { type: 'boolean' },
+                duration_hours: { type: 'integer', min: 1, max: 24 * 365 },
+                anonymous: { type: 'boolean' }
+            }
+        }
+    },
+    VOTE_POLL: {
+        reply_text: str(),
+        // Allowed IDs come from the poll attached to the context (pollOptionsForPrompt)
+        poll_vote_option_id: { type: 'id', required: true, oneOf: (ctx) => ctx.pollOptionIds },
+        poll_vote_comment: str()
+    },
+    REMOVE_CONTENT: {
+        reply_text: str(),
+        reasoning: str({ required: true, minLength: 1 })
+    },
+    REVIEW_CODE: {
+        reply_text: str(),
+        review: {
+            type: 'object',
+            required: true,
+            // Only valid when the context actually contains code
+            refine: (review, ctx) => (ctx.codeLineCount ? null : 'there is no code snippet in the context to review'),
+            properties: {
+                summary: str({ required: true, minLength: 1, maxLength: 1000 }),
+                findings: {
+                    type: 'array',
+                    required: true,
+                    maxItems: 20,
+                    items: {
+                        type: 'object',
+                        refine: (finding, ctx) => {
+                            const end = finding.line_end ?? finding.line_start
+                            if (Number.isInteger(finding.line_start) && Number.isInteger(end) && end < finding.line_start) {
+                                return `line_end (${end}) is before line_start (${finding.line_start})`
+                            }
+                            if (ctx.codeLineCount && end > ctx.codeLineCount) {
+                                return `line ${end} is outside the snippet (${ctx.codeLineCount} lines)`
+                            }
+                            return null
+                        },
+                        properties: {
+                            line_start: { type: 'integer', required: true, min: 1 },
+                            line_end: { type: 'integer', min: 1 },
+                            severity: str({ required: true, enum: ['critical', 'major', 'minor', 'info'] }),
+                            category: str({ required: true, enum: ['bug', 'security', 'performance', 'style', 'maintainability', 'best-practice'] }),
+                            message: str({ required: true, minLength: 1 }),
+                            suggestion: str({ required: true, minLength: 1 })
+                        }
+                    }
+                }
+            }
+        }
+    },
+    // The summary itself is built from the whole discussion (services/discussionSummary.js)
+    SUMMARIZE: {
+        reply_text: str()
+    }
+}
+
+export const ACTIONS = Object.keys(actionSchemas)
+
+// Optional on every action: citation numbers of the RELATED COMMUNITY POSTS used in the answer
+const sourcesRule = {
+    type: 'array',
+    maxItems: 5,
+    items: { type: 'integer', min: 1 },
+    refine: (refs, ctx) => {
+        const outside = refs.filter(ref => Number.isInteger(ref) && ref > (ctx.relatedCount || 0))
+        if (!outside.length) return null
+        return ctx.relatedCount
+            ? `${outside.join(', ')} not in the related posts list (1-${ctx.relatedCount})`
+            : 'there are no related posts in the context to cite'
+    }
+}
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value)
+
+function checkField(path, value, rule, ctx, errors) {
+    if (value === undefined || value === null) {
+        if (rule.oneOf && !(rule.oneOf(ctx) || []).length) {
+            errors.push(`${path}: there is no poll in the context, so there is nothing to vote on`)
+        } else if (rule.required) {
+            errors.push(`${path}: is required`)
+        }
+        return
+    }
+
+    if (rule.type === 'id') {
+        // Option IDs may be numeric or UUIDs; models often quote numbers
+        if (!['string', 'number'].includes(typeOf(value))) {
+            errors.push(`${path}: must be a string or number, got ${typeOf(value)}`)
+            return
+        }
+    } else if (rule.type === 'integer') {
+        if (!Number.isInteger(value)) {
+            errors.push(`${path}: must be an integer, got ${JSON.stringify(value)}`)
+            return
+        }
+        if (rule.min !== undefined && value < rule.min) errors.push(`${path}: must be >= ${rule.min}`)
+        if (rule.max !== undefined && value > rule.max) errors.push(`${path}: must be <= ${rule.max}`)
+    } else if (typeOf(value) !== rule.type) {
+        errors.push(`${path}: must be ${rule.type === 'array' ? 'an' : 'a'} ${rule.type}, got ${typeOf(value)}`)
+        return
+    }
+
+    if (rule.type === 'string') {
+        if (rule.minLength && value.trim().length < rule.minLength) errors.push(`${path}: must not be empty`)
+        if (rule.maxLength && value.length > rule.maxLength) errors.push(`${path}: must be at most ${rule.maxLength} characters`)
+        if (rule.enum && !rule.enum.includes(value)) errors.push(`${path}: must be one of ${rule.enum.join(', ')}, got ${JSON.stringify(value)}`)
+    }
+
+    if (rule.type === 'array') {
+        if (rule.minItems && value.length < rule.minItems) errors.push(`${path}: needs at least ${rule.minItems} items, got ${value.length}`)
+        if (rule.maxItems && value.length > rule.maxItems) errors.push(`${path}: allows at most ${rule.maxItems} items, got ${value.length}`)
+        if (rule.items) value.forEach((entry, i) => checkField(`${path}[${i}]`, entry, rule.items, ctx, errors))
+    }
+
+    if (rule.type === 'object' && rule.properties) {
+        for (const [key, childRule] of Object.entries(rule.properties)) {
+            checkField(`${path}.${key}`, value[key], childRule, ctx, errors)
+        }
+    }
+
+    if (rule.refine) {
+        const problem = rule.refine(value, ctx)
+        if (problem) errors.push(`${path}: ${problem}`)
+    }
+
+    if (rule.oneOf) {
+        const allowed = rule.oneOf(ctx) || []
+        if (!allowed.length) {
+            errors.push(`${path}: there is no poll in the context, so there is nothing to vote on`)
+        } else if (!allowed.some(id => String(id) === String(value))) {
+            errors.push(`${path}: ${JSON.stringify(value)} is not one of the poll option IDs [${allowed.join(', ')}]`)
+        }
+    }
+}
+
+// Returns { valid, errors, value }. `value` has the option id normalized to the context's own id.
+export function validateAction(result, ctx = {}) {
+    const errors = []
+
+    if (typeOf(result) !== 'object') {
+        return { valid: false, errors: [`root: must be a JSON object, got ${typeOf(result)}`], value: null }
+    }
+    if (!ACTIONS.includes(result.action)) {
+        return { valid: false, errors: [`action: must be one of ${ACTIONS.join(', ')}, got ${JSON.stringify(result.action)}`], value: null }
+    }
+    if (ctx.allowedActions && !ctx.allowedActions.includes(result.action)) {
+        return { valid: false, errors: [`action: "${result.action}" is not available to you, use one of ${ctx.allowedActions.join(', ')}`], value: null }
+    }
+
+    checkField('reasoning', result.reasoning, str(), ctx, errors)
+    checkField('sources', result.sources, sourcesRule, ctx, errors)
+    for (const [key, rule] of Object.entries(actionSchemas[result.action])) {
+        checkField(key, result[key], rule, ctx, errors)
+    }
+
+    const value = { ...result }
+    if (result.action === 'VOTE_POLL' && !errors.length) {
+        value.poll_vote_option_id = ctx.pollOptionIds.find(id => String(id) === String(result.poll_vote_option_id))
+    }
+
+    return { valid: errors.length === 0, errors, value }
+}
+
+// Robust JSON Extraction (tolerates ```json fences and chatter around the object)
+export function parseActionJson(rawText) {
+    let jsonString = (rawText || '').replace(/```json|```/g, '').trim()
+    const match = jsonString.match(/\{[\s\S]*\}/) // Find first { and last }
+    if (match) jsonString = match[0]
+
+    try {
+        return { value: JSON.parse(jsonString), errors: [] }
+    } catch (parseErr) {
+        return { value: null, errors: [`root: output is not valid JSON (${parseErr.message})`] }
+    }
+}
+
+export function parseAndValidateAction(rawText, ctx) {
+    const parsed = parseActionJson(rawText)
+    if (!parsed.value) return { valid: false, errors: parsed.errors, value: null }
+    return validateAction(parsed.value, ctx)
+}
+
+export function buildRepairPrompt(originalPrompt, rawText, errors) {
+    return `
+            ${originalPrompt}
+
+            YOUR PREVIOUS OUTPUT WAS REJECTED:
+            ${(rawText || '').substring(0, 2000)}
+
+            VALIDATION ERRORS:
+            ${errors.map(e => `- ${e}`).join('\n            ')}
+
+            Fix every error above and return the corrected JSON object ONLY. No prose, no markdown fences.
+        `
+}
@@ -0,0 +1,75 @@
+import { query } from '../db/neon.js'
+
+// --- AI ACTIVITY (admin center console over ai_execution_logs) ---
+// Rows written before the `status` column existed count as successes.
+
+export const DEFAULT_ACTIVITY_DAYS = 14
+const STATUS_SQL = `COALESCE(status, 'success')`
+
+// Shared WHERE builder: { table, action, model, language, status, from, to } (dates as YYYY-MM-DD)
+function buildFilters(filters = {}, params = []) {
+    const clauses = []
+    const add = (sql, value) => {
+        params.push(value)
+        clauses.push(sql.replace('?', `$${params.length}`))
+    }
+
+    if (filters.table) add('trigger_source = ?', filters.table)
+    if (filters.action) add('action = ?', filters.action)
+    if (filters.model) add('model = ?', filters.model)
+    if (filters.language) add('language = ?', filters.language)
+    if (filters.status) add(`${STATUS_SQL} = ?`, filters.status)
+    if (filters.from) add('created_at >= ?::date', filters.from)
+    else add(`created_at >= CURRENT_DATE - ? * INTERVAL '1 day'`, DEFAULT_ACTIVITY_DAYS)
+    if (filters.to) add(`created_at < ?::date + INTERVAL '1 day'`, filters.to)
+
+    return { where: `WHERE ${clauses.join(' AND ')}`, params }
+}
+
+export async function listExecutions(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const { where, params } = buildFilters(filters)
+    params.push(limit, offset)
+    const result = await query(
+        `SELECT id, trigger_id, trigger_source, action, model, provider, persona, language, ${STATUS_SQL} AS status, error,
+                LEFT(input_text, 160) AS input_excerpt, LEFT(output_text, 160) AS output_excerpt,
+                tokens, cost_usd, created_at
+         FROM ai_execution_logs ${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    )
+    return result ? result.rows : []
+}
+
+export async function getExecution(id) {
+    const result = await query(`SELECT *, ${STATUS_SQL} AS status FROM ai_execution_logs WHERE id = $1`, [id])
+    return result?.rows[0] || null
+}
+
+// Per-day trigger volume & failure rate for the same filters (status filter ignored)
+export async function getDailyActivity(filters = {}) {
+    const { where, params } = buildFilters({ ...filters, status: null })
+    const result = await query(
+        `SELECT created_at::date::text AS day,
+                COUNT(*) AS triggers,
+                COUNT(*) FILTER (WHERE ${STATUS_SQL} = 'error') AS failures
+         FROM ai_execution_logs ${where}
+         GROUP BY 1 ORDER BY 1`,
+        params
+    )
+    return (result ? result.rows : []).map(row => {
+        const triggers = parseInt(row.triggers)
+        const failures = parseInt(row.failures)
+        return { day: row.day, triggers, failures, failureRate: triggers ? Number((failures / triggers).toFixed(3)) : 0 }
+    })
+}
+
+// Values for the filter dropdowns
+export async function getActivityFacets() {
+    const result = await query(
+        `SELECT ARRAY(SELECT DISTINCT model FROM ai_execution_logs WHERE model IS NOT NULL ORDER BY 1) AS models,
+                ARRAY(SELECT DISTINCT action FROM ai_execution_logs WHERE action IS NOT NULL ORDER BY 1) AS actions,
+                ARRAY(SELECT DISTINCT language FROM ai_execution_logs WHERE language IS NOT NULL ORDER BY 1) AS languages`
+    )
+    return result?.rows[0] || { models: [], actions: [], languages: [] }
+}
@@ -0,0 +1,130 @@
+import { query } from '../db/neon.js'
+
+// --- TOKEN COST & BUDGETS ---
+// Prices are USD per 1M tokens. Override / extend with ai_config `ai_price_table`:
+//   { "gemini-2.0-flash": { "input": 0.10, "output": 0.40 }, "gpt-4o": { "input": 2.5, "output": 10 },
+//     "default": { "input": 1, "output": 4 } }   // "default": models not listed
+// Budgets come from ai_config `ai_budget`:
+//   { "daily_usd": 5, "monthly_usd": 100, "on_exhausted": "fallback" | "pause",
+//     "fallback_provider": "google", "fallback_model": "gemini-2.0-flash-lite", "per_persona": false }
+
+export const DEFAULT_PRICES = {
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+    'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'mock': { input: 0, output: 0 }
+}
+
+const parseJson = (raw, label) => {
+    if (!raw) return {}
+    try {
+        return typeof raw === 'string' ? JSON.parse(raw) : raw
+    } catch (e) {
+        console.warn(`⚠️ Invalid ${label} JSON, ignoring`)
+        return {}
+    }
+}
+
+// Unknown models are charged at the dearest listed price of their provider (or the "default"
+// entry of ai_price_table), never 0: a new model must not slip past the budget caps unnoticed
+const FALLBACK_PRICES = {
+    google: DEFAULT_PRICES['gemini-1.5-pro'],
+    openai: DEFAULT_PRICES['gpt-4o']
+}
+const UNKNOWN_MODEL_PRICE = DEFAULT_PRICES['gpt-4o']
+const warnedModels = new Set()
+
+// Local models (ollama) are free unless priced explicitly
+export function resolvePrice(provider, model, rawPriceTable) {
+    const table = { ...DEFAULT_PRICES, ...parseJson(rawPriceTable, 'ai_price_table') }
+    // Gemini model ids may come as "models/gemini-2.0-flash"
+    const name = String(model || '').replace(/^models\//, '')
+    if (table[name]) return table[name]
+    // Versioned names such as "gemini-2.0-flash-001" fall back to their family
+    const family = Object.keys(table).filter(key => name.startsWith(key)).sort((a, b) => b.length - a.length)[0]
+    if (family) return table[family]
+    if (provider === 'ollama') return { input: 0, output: 0 }
+
+    const fallback = table.default || FALLBACK_PRICES[provider] || UNKNOWN_MODEL_PRICE
+    if (!warnedModels.has(`${provider}:${name}`)) {
+        warnedModels.add(`${provider}:${name}`)
+        console.warn(`⚠️ No price for ${provider}/${name || '(no model)'} in ai_price_table, charging $${fallback.input}/$${fallback.output} per 1M tokens`)
+    }
+    return fallback
+}
+
+export function computeCost(provider, model, usage, rawPriceTable) {
+    if (!usage) return 0
+    const price = resolvePrice(provider, model, rawPriceTable)
+    return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1_000_000
+}
+
+export async function recordSpend({ persona, sourceTable, userId, provider, model, usage, costUsd }) {
+    await query(
+        `INSERT INTO ai_spend_daily (day, persona, source_table, user_id, provider, model, prompt_tokens, completion_tokens, cost_usd, calls)
+         VALUES (CURRENT_DATE, $1, $2, $3, $4, $5, $6, $7, $8, 1)
+         ON CONFLICT (day, persona, source_table, user_id, provider, model) DO UPDATE SET
+            prompt_tokens = ai_spend_daily.prompt_tokens + EXCLUDED.prompt_tokens,
+            completion_tokens = ai_spend_daily.completion_tokens + EXCLUDED.completion_tokens,
+            cost_usd = ai_spend_daily.cost_usd + EXCLUDED.cost_usd,
+            calls = ai_spend_daily.calls + 1`,
+        [persona || 'default', sourceTable || '', userId || '', provider || '', model || '', usage.promptTokens, usage.completionTokens, costUsd]
+    )
+}
+
+async function currentSpend(persona) {
+    const params = persona ? [persona] : []
+    const result = await query(
+        `SELECT
+            COALESCE(SUM(cost_usd) FILTER (WHERE day = CURRENT_DATE), 0) AS today,
+            COALESCE(SUM(cost_usd), 0) AS month
+         FROM ai_spend_daily
+         WHERE day >= date_trunc('month', CURRENT_DATE)${persona ? ' AND persona = $1' : ''}`,
+        params
+    )
+    if (!result) return null
+    return { today: Number(result.rows[0].today), month: Number(result.rows[0].month) }
+}
+
+// Returns { state: 'ok' } | { state: 'fallback', provider, model, reason } | { state: 'pause', reason }
+export async function checkBudget(rawBudget, personaId) {
+    const budget = parseJson(rawBudget, 'ai_budget')
+    if (!budget.daily_usd && !budget.monthly_usd) return { state: 'ok' }
+
+    const spend = await currentSpend(budget.per_persona ? personaId : null)
+    if (!spend) return { state: 'ok' } // Neon not configured
+
+    let reason = null
+    if (budget.daily_usd && spend.today >= Number(budget.daily_usd)) reason = `daily budget $${budget.daily_usd} reached ($${spend.today.toFixed(4)})`
+    else if (budget.monthly_usd && spend.month >= Number(budget.monthly_usd)) reason = `monthly budget $${budget.monthly_usd} reached ($${spend.month.toFixed(4)})`
+    if (!reason) return { state: 'ok', spend }
+
+    if (budget.on_exhausted === 'fallback' && budget.fallback_model) {
+        return { state: 'fallback', provider: budget.fallback_provider, model: budget.fallback_model, reason, spend }
+    }
+    return { state: 'pause', reason, spend }
+}
+
+const SPEND_GROUPS = ['persona', 'source_table', 'user_id', 'model', 'provider']
+
+// Admin rollups: spend per persona / table / user / model, by day or month
+export async function getSpendReport({ groupBy = 'persona', period = 'day', days = 30 } = {}) {
+    const group = SPEND_GROUPS.includes(groupBy) ? groupBy : 'persona'
+    const bucket = period === 'month' ? `date_trunc('month', day)::date` : 'day'
+    const result = await query(
+        `SELECT ${bucket} AS period, ${group} AS "group",
+            SUM(prompt_tokens)::bigint AS prompt_tokens,
+            SUM(completion_tokens)::bigint AS completion_tokens,
+            SUM(cost_usd) AS cost_usd,
+            SUM(calls)::bigint AS calls
+         FROM ai_spend_daily
+         WHERE day >= CURRENT_DATE - $1::int
+         GROUP BY 1, 2
+         ORDER BY 1 DESC, cost_usd DESC`,
+        [days]
+    )
+    return result ? result.rows : []
+}
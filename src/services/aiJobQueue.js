@@ -0,0 +1,177 @@
+import { query } from '../db/neon.js'
+
+// --- DURABLE AI JOB QUEUE (Neon `ai_jobs`) ---
+// queued -> running -> succeeded
+//                   -> queued (retry, exponential backoff) -> ... -> dead (dead-letter)
+// queued -> cancelled (nothing left to do, e.g. the poll to summarize was deleted)
+//           running -> queued (deferred: the handler threw JobDeferredError, attempt not counted)
+// Workers claim with FOR UPDATE SKIP LOCKED, so cron invocations and long-running
+// workers can poll concurrently without double-processing a job.
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.AI_JOB_MAX_ATTEMPTS || '5')
+const BACKOFF_BASE_SECONDS = parseInt(process.env.AI_JOB_BACKOFF_SECONDS || '30')
+const BACKOFF_MAX_SECONDS = 60 * 60
+// A job stuck in "running" this long belongs to a worker that died (claimJobs takes it
+// over, the reaper fails or re-queues it)
+export const STALE_LOCK_MINUTES = parseInt(process.env.AI_STALE_CLAIM_MINUTES || '15')
+
+// Thrown by a handler that cannot run yet (e.g. the poll's expiry was extended):
+// the job goes back to the queue for `runAt` instead of succeeding or failing
+export class JobDeferredError extends Error {
+    constructor(message, runAt) {
+        super(message)
+        this.name = 'JobDeferredError'
+        this.runAt = runAt
+    }
+}
+
+export const backoffSeconds = (attempts) =>
+    Math.min(BACKOFF_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_SECONDS)
+
+// Postgres "undefined_table": migrations/008_neon_ai_jobs.sql has not been run yet
+const MISSING_TABLE = '42P01'
+
+// Returns null when Neon is not configured or ai_jobs does not exist yet, so callers
+// can fall back to inline processing
+// `runAt` schedules the job for later (e.g. poll closing summaries)
+export async function enqueueJob({ kind, dedupeKey = null, payload, maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = null }) {
+    let inserted
+    try {
+        inserted = await query(
+            `INSERT INTO ai_jobs (kind, dedupe_key, payload, max_attempts, run_at)
+             VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))
+             ON CONFLICT (dedupe_key) DO NOTHING
+             RETURNING id, status`,
+            [kind, dedupeKey, JSON.stringify(payload), maxAttempts, runAt]
+        )
+    } catch (err) {
+        if (err.code !== MISSING_TABLE) throw err
+        console.error('⚠️ ai_jobs table missing (run migrations/008_neon_ai_jobs.sql), processing without the queue')
+        return null
+    }
+    if (!inserted) return null
+    if (inserted.rows.length) return { ...inserted.rows[0], duplicate: false }
+
+    const existing = await query(`SELECT id, status FROM ai_jobs WHERE dedupe_key = $1`, [dedupeKey])
+    return { ...existing.rows[0], duplicate: true }
+}
+
+// Only jobs that have not started yet; returns true when one was cancelled
+export async function cancelJob(dedupeKey) {
+    const result = await query(
+        `UPDATE ai_jobs SET status = 'cancelled', locked_at = NULL, updated_at = NOW() WHERE dedupe_key = $1 AND status = 'queued' RETURNING id`,
+        [dedupeKey]
+    )
+    return Boolean(result?.rows.length)
+}
+
+export async function claimJobs({ limit = 5, workerId = 'worker' } = {}) {
+    const result = await query(
+        `UPDATE ai_jobs
+         SET status = 'running', attempts = attempts + 1, locked_at = NOW(), locked_by = $2, updated_at = NOW()
+         WHERE id IN (
+             SELECT id FROM ai_jobs
+             WHERE (status = 'queued' AND run_at <= NOW())
+                OR (status = 'running' AND locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes')
+             ORDER BY run_at ASC
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [limit, workerId]
+    )
+    return result ? result.rows : []
+}
+
+export async function completeJob(id, result) {
+    await query(
+        `UPDATE ai_jobs SET status = 'succeeded', result = $2, last_error = NULL, locked_at = NULL, updated_at = NOW() WHERE id = $1`,
+        [id, JSON.stringify(result ?? null)]
+    )
+}
+
+// Re-queues with exponential backoff, or dead-letters once attempts are exhausted
+export async function failJob(job, error) {
+    const message = (error?.message || String(error)).substring(0, 2000)
+
+    if (job.attempts >= job.max_attempts) {
+        await query(
+            `UPDATE ai_jobs SET status = 'dead', last_error = $2, locked_at = NULL, updated_at = NOW() WHERE id = $1`,
+            [job.id, message]
+        )
+        return 'dead'
+    }
+
+    await query(
+        `UPDATE ai_jobs
+         SET status = 'queued', last_error = $2, locked_at = NULL, locked_by = NULL,
+             run_at = NOW() + $3 * INTERVAL '1 second', updated_at = NOW()
+         WHERE id = $1`,
+        [job.id, message, backoffSeconds(job.attempts)]
+    )
+    return 'retry'
+}
+
+// Back to the queue for a later run; the deferred attempt does not count against max_attempts
+export async function deferJob(id, runAt) {
+    await query(
+        `UPDATE ai_jobs
+         SET status = 'queued', run_at = $2, attempts = GREATEST(attempts - 1, 0), last_error = NULL,
+             locked_at = NULL, locked_by = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [id, runAt]
+    )
+}
+
+// Fresh run for a finished job (dead / succeeded); null while it is still queued or running
+export async function requeueJob(dedupeKey, payload) {
+    const result = await query(
+        `UPDATE ai_jobs
+         SET status = 'queued', attempts = 0, payload = $2, run_at = NOW(), last_error = NULL, result = NULL,
+             locked_at = NULL, locked_by = NULL, updated_at = NOW()
+         WHERE dedupe_key = $1 AND status IN ('dead', 'succeeded')
+         RETURNING id, status`,
+        [dedupeKey, JSON.stringify(payload)]
+    )
+    return result?.rows[0] || null
+}
+
+export async function getJob(id) {
+    const result = await query(
+        `SELECT id, kind, status, attempts, max_attempts, run_at, last_error, result, created_at, updated_at
+         FROM ai_jobs WHERE id = $1`,
+        [id]
+    )
+    return result?.rows[0] || null
+}
+
+// Claims one batch and runs each job through handlers[job.kind](payload, { isFinalAttempt, job })
+export async function runJobBatch(handlers, { limit, workerId } = {}) {
+    const jobs = await claimJobs({ limit, workerId })
+    const summary = { claimed: jobs.length, succeeded: 0, retried: 0, deferred: 0, dead: 0 }
+
+    for (const job of jobs) {
+        try {
+            const handle = handlers[job.kind]
+            if (!handle) throw new Error(`No handler registered for job kind "${job.kind}"`)
+            if (job.attempts > job.max_attempts) throw new Error('Attempts exhausted (worker died mid-job)')
+
+            const result = await handle(job.payload, { job, isFinalAttempt: job.attempts >= job.max_attempts })
+            await completeJob(job.id, result)
+            summary.succeeded++
+        } catch (err) {
+            if (err instanceof JobDeferredError) {
+                console.log(`⏳ AI job ${job.id} deferred to ${err.runAt}: ${err.message}`)
+                await deferJob(job.id, err.runAt)
+                summary.deferred++
+                continue
+            }
+            console.error(`❌ AI job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}):`, err.message)
+            const outcome = await failJob(job, err)
+            if (outcome === 'dead') summary.dead++
+            else summary.retried++
+        }
+    }
+
+    return summary
+}
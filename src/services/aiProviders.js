@@ -0,0 +1,236 @@
+import { generateMock } from './mockProvider.js'
+
+// --- AI PROVIDER ADAPTERS ---
+// Every provider exposes the same interface:
+//   generate({ prompt, history, systemInstruction, model, temperature, baseUrl, apiKey, timeoutMs })
+//     -> { text, usage: { promptTokens, completionTokens } }
+// `usage` comes from the provider's own usage fields (null when it reports none).
+// `history` holds earlier conversation turns as [{ role: 'user' | 'assistant', content }].
+// generateWithFallback() walks an ordered chain and moves on when a provider
+// times out, is unreachable or returns a 5xx / 429.
+// API keys never cross providers: each adapter reads its own env variables (`envKeys`);
+// only the primary provider also falls back to the generic AI_API_KEY.
+
+export class ProviderError extends Error {
+    constructor(message, { provider, status = null, retryable = false } = {}) {
+        super(message)
+        this.name = 'ProviderError'
+        this.provider = provider
+        this.status = status
+        this.retryable = retryable
+    }
+}
+
+const DEFAULT_TIMEOUT_MS = 20000
+
+// Shared fetch wrapper: applies the timeout and maps transport failures to ProviderError
+async function postJson(providerName, url, { headers = {}, body, timeoutMs }) {
+    let response
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(timeoutMs || DEFAULT_TIMEOUT_MS)
+        })
+    } catch (err) {
+        const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError'
+        throw new ProviderError(
+            timedOut ? `${providerName} timed out after ${timeoutMs || DEFAULT_TIMEOUT_MS}ms` : `${providerName} unreachable: ${err.message}`,
+            { provider: providerName, retryable: true }
+        )
+    }
+
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => '')
+        console.error(`${providerName} API Error:`, errorText)
+        throw new ProviderError(`${providerName} API Error ${response.status}`, {
+            provider: providerName,
+            status: response.status,
+            retryable: response.status >= 500 || response.status === 429
+        })
+    }
+
+    return response.json()
+}
+
+const trimUrl = (url) => url.replace(/\/$/, '')
+
+// OpenAI-style /chat/completions (OpenAI, Groq, LM Studio, Ollama's /v1 endpoint...)
+async function chatCompletions(providerName, { prompt, history = [], systemInstruction, model, temperature, baseUrl, apiKey, timeoutMs }) {
+    const headers = {}
+    // For local Ollama, API Key might not be needed, but we send if present
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`
+
+    const data = await postJson(providerName, `${trimUrl(baseUrl)}/chat/completions`, {
+        headers,
+        timeoutMs,
+        body: {
+            model,
+            messages: [
+                { role: 'system', content: systemInstruction },
+                ...history,
+                { role: 'user', content: prompt }
+            ],
+            temperature,
+            stream: false
+        }
+    })
+
+    return {
+        text: data.choices?.[0]?.message?.content || data.response || 'Error: No response content',
+        usage: data.usage
+            ? { promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0 }
+            : null
+    }
+}
+
+export const providers = {
+    google: {
+        trigger: '@gemini',
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        defaultModel: 'gemini-2.0-flash',
+        envKeys: ['GEMINI_API_KEY'],
+        requiresKey: true,
+        async generate({ prompt, history = [], model, temperature, baseUrl, apiKey, timeoutMs }) {
+            // Use REST API instead of SDK
+            if (!apiKey) throw new ProviderError('Missing Google API Key (Check Admin Console or .env)', { provider: 'google' })
+
+            const data = await postJson('google', `${trimUrl(baseUrl)}/${model}:generateContent?key=${apiKey}`, {
+                timeoutMs,
+                body: {
+                    contents: [
+                        // Gemini calls the assistant role "model"
+                        ...history.map(turn => ({ role: turn.role === 'assistant' ? 'model' : 'user', parts: [{ text: turn.content }] })),
+                        { role: 'user', parts: [{ text: prompt }] }
+                    ],
+                    generationConfig: { temperature }
+                }
+            })
+            return {
+                text: data.candidates?.[0]?.content?.parts?.[0]?.text || 'Error: No response',
+                usage: data.usageMetadata
+                    ? { promptTokens: data.usageMetadata.promptTokenCount || 0, completionTokens: data.usageMetadata.candidatesTokenCount || 0 }
+                    : null
+            }
+        }
+    },
+
+    openai: {
+        trigger: '@gpt',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-4o-mini',
+        envKeys: ['OPENAI_API_KEY'],
+        requiresKey: true,
+        generate: (request) => chatCompletions('openai', request)
+    },
+
+    ollama: {
+        trigger: '@ollama',
+        defaultBaseUrl: 'http://localhost:11434/v1',
+        defaultModel: 'llama3',
+        envKeys: ['OLLAMA_API_KEY'],
+        requiresKey: false,
+        generate: (request) => chatCompletions('ollama', request)
+    },
+
+    // Local provider for development & tests: never leaves the process (scripts & fixtures: mockProvider.js)
+    mock: {
+        trigger: '@bot',
+        defaultBaseUrl: '',
+        defaultModel: 'mock',
+        envKeys: [],
+        requiresKey: false,
+        generate: (request) => generateMock(request)
+    }
+}
+
+const isBlank = (value) => !value || value === 'null' || String(value).trim() === ''
+
+// Build the ordered fallback chain from ai_config.
+// `ai_provider_chain` accepts either "ollama,google" or a JSON array such as
+// [{"provider":"ollama","model":"llama3"},{"provider":"google"}].
+// The primary provider (`ai_provider`) keeps using ai_model / ai_base_url / ai_api_key.
+// Keys: the entry's api_key, ai_api_key (primary only), the provider's own env variables,
+// then AI_API_KEY / VITE_AI_API_KEY (primary only).
+// A fallback that needs a key and has none is left out rather than tried with another provider's key.
+const GENERIC_KEY_VARS = ['AI_API_KEY', 'VITE_AI_API_KEY']
+const envApiKey = (names) => names.map(name => process.env[name]).find(Boolean) || null
+
+export function resolveProviderChain(configMap) {
+    const primary = configMap.ai_provider || 'google'
+    let entries = [primary]
+
+    const rawChain = configMap.ai_provider_chain
+    if (!isBlank(rawChain)) {
+        try {
+            const parsed = JSON.parse(rawChain)
+            entries = Array.isArray(parsed) ? parsed : [parsed]
+        } catch (e) {
+            entries = String(rawChain).split(',').map(s => s.trim()).filter(Boolean)
+        }
+    }
+
+    const timeoutMs = parseInt(configMap.ai_timeout_ms || DEFAULT_TIMEOUT_MS)
+
+    return entries
+        .map(entry => (typeof entry === 'string' ? { provider: entry } : entry))
+        .filter(entry => {
+            if (providers[entry.provider]) return true
+            console.warn(`⚠️ Unknown AI provider in chain: ${entry.provider}`)
+            return false
+        })
+        .map(entry => {
+            const adapter = providers[entry.provider]
+            const isPrimary = entry.provider === primary
+            return {
+                provider: entry.provider,
+                model: entry.model || (isPrimary && configMap.ai_model) || adapter.defaultModel,
+                baseUrl: [entry.base_url, isPrimary && configMap.ai_base_url].find(v => !isBlank(v)) || adapter.defaultBaseUrl,
+                apiKey: entry.api_key || (isPrimary && configMap.ai_api_key) || envApiKey(adapter.envKeys) || (isPrimary && envApiKey(GENERIC_KEY_VARS)) || null,
+                timeoutMs: parseInt(entry.timeout_ms || timeoutMs),
+                isPrimary
+            }
+        })
+        .filter(link => {
+            if (link.apiKey || !providers[link.provider].requiresKey || link.isPrimary) return true
+            console.warn(`⚠️ No API key for fallback provider ${link.provider} (${providers[link.provider].envKeys.join(' / ')}), skipping it`)
+            return false
+        })
+        .map(({ isPrimary, ...link }) => link)
+}
+
+// Rough heuristic (~4 chars per token) for providers that report no usage
+const estimateTokens = (text) => Math.ceil((text || '').length / 4)
+
+// Try each provider in order. Retryable failures fall through to the next one;
+// configuration errors (bad key, 4xx) are surfaced immediately.
+export async function generateWithFallback(chain, { prompt, history = [], systemInstruction, temperature }) {
+    if (!chain.length) throw new Error('No AI providers configured')
+
+    const attempts = []
+    for (const link of chain) {
+        console.log(`📡 generating text with provider: ${link.provider}, model: ${link.model}`)
+        try {
+            const { text, usage } = await providers[link.provider].generate({ ...link, prompt, history, systemInstruction, temperature })
+            const reported = Boolean(usage)
+            return {
+                text,
+                provider: link.provider,
+                model: link.model,
+                usage: usage || {
+                    promptTokens: estimateTokens([systemInstruction, ...history.map(t => t.content), prompt].join('\n')),
+                    completionTokens: estimateTokens(text)
+                },
+                usageReported: reported,
+                attempts
+            }
+        } catch (err) {
+            attempts.push({ provider: link.provider, model: link.model, error: err.message })
+            if (!(err instanceof ProviderError) || !err.retryable) throw err
+            console.warn(`⚠️ ${err.message} - falling back to next provider`)
+        }
+    }
+
+    throw new ProviderError(`All AI providers failed: ${attempts.map(a => a.error).join('; ')}`, { retryable: true })
+}
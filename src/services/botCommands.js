@@ -0,0 +1,120 @@
+import { COMMAND_PREFIX, parseCommand } from './mentions.js'
+
+// --- /ai COMMANDS ---
+// Explicit commands map straight to an action, so the model does not have to guess the
+// intent: the prompt only offers that one action. `direct` commands need no intent call
+// at all (help is rendered here, summaries go straight to the summarizer).
+// A command is available when the persona allows its action, the user may use it
+// (moderator-only) and the context has what it needs (a code snippet to review, long-term
+// memory to forget).
+
+export const BOT_COMMANDS = [
+    {
+        name: 'explain',
+        action: 'REPLY',
+        usage: `${COMMAND_PREFIX} explain [topic]`,
+        description: 'Explain this post, its code or a topic in plain words',
+        instruction: (args) => `Explain ${args ? `"${args}"` : 'the content above'} clearly and step by step, with a short example when it helps. Use the "REPLY" action.`
+    },
+    {
+        name: 'poll',
+        aliases: ['vote', 'survey'],
+        action: 'CREATE_POST',
+        usage: `${COMMAND_PREFIX} poll <question>`,
+        description: 'Create a poll (add the options after the question if you have some)',
+        instruction: (args) => `Create a poll with the "CREATE_POST" action and "poll_data"${args ? ` about "${args}"` : ' about the current discussion'}. Use the options given by the user, otherwise suggest 2-4.`
+    },
+    {
+        name: 'summarize',
+        aliases: ['summary', 'tldr', 'recap'],
+        action: 'SUMMARIZE',
+        usage: `${COMMAND_PREFIX} summarize`,
+        description: 'Summarize this discussion: key points, open questions, consensus',
+        direct: true
+    },
+    {
+        name: 'review',
+        action: 'REVIEW_CODE',
+        usage: `${COMMAND_PREFIX} review`,
+        description: 'Review the code snippet for bugs, security and style',
+        requiresCode: true,
+        instruction: (args) => `Review the CODE SNIPPET with the "REVIEW_CODE" action${args ? `, focusing on: ${args}` : ''}.`
+    },
+    {
+        name: 'remove',
+        action: 'REMOVE_CONTENT',
+        usage: `${COMMAND_PREFIX} remove <reason>`,
+        description: 'Hide this content (moderators only)',
+        moderatorOnly: true,
+        instruction: (args) => `Remove the content with the "REMOVE_CONTENT" action. Reason given by the moderator: ${args ? `"${args}"` : '(none)'}`
+    },
+    {
+        name: 'forget',
+        action: null,
+        usage: `${COMMAND_PREFIX} forget me`,
+        description: 'Delete everything I remember about you from earlier conversations',
+        requiresMemory: true,
+        direct: true
+    },
+    {
+        name: 'help',
+        action: null,
+        usage: `${COMMAND_PREFIX} help`,
+        description: 'List the commands you can use here',
+        direct: true
+    }
+]
+
+const findCommand = (name) => BOT_COMMANDS.find(c => c.name === name || c.aliases?.includes(name)) || null
+
+// parseCommand() restricted to the commands above: "/ai folder" is prose, not an unknown command
+export function findBotCommand(content) {
+    const parsed = parseCommand(content)
+    return parsed && findCommand(parsed.name) ? parsed : null
+}
+
+export function availableCommands({ allowedActions = [], isModerator = false, hasCode = false, hasMemory = false } = {}) {
+    return BOT_COMMANDS.filter(command => {
+        if (command.requiresMemory && !hasMemory) return false
+        if (!command.action) return true
+        if (!allowedActions.includes(command.action)) return false
+        if (command.moderatorOnly && !isModerator) return false
+        if (command.requiresCode && !hasCode) return false
+        return true
+    })
+}
+
+export function renderHelp(commands, { notice = '' } = {}) {
+    return [
+        notice,
+        'Here is what you can ask me here:',
+        '',
+        ...commands.map(c => `- \`${c.usage}\`: ${c.description}`),
+        '',
+        'You can also just mention me and ask in your own words.'
+    ].filter((line, i) => i > 0 || line).join('\n')
+}
+
+// parsed: from findBotCommand(). Returns { name, args, action, direct, result?, instruction? } where `result`
+// is a ready-made action (no intent call needed) and `instruction` is added to the prompt.
+export function resolveCommand(parsed, context = {}) {
+    const available = availableCommands(context)
+    const command = findCommand(parsed.name)
+    const help = (notice) => ({
+        name: 'help',
+        args: parsed.args,
+        action: 'REPLY',
+        direct: true,
+        result: { action: 'REPLY', reply_text: renderHelp(available, { notice }) }
+    })
+
+    if (!command) return help(`\`${COMMAND_PREFIX} ${parsed.name}\` is not a command I know.\n`)
+    if (command.name === 'help') return help('')
+    if (!available.includes(command)) return help(`\`${COMMAND_PREFIX} ${command.name}\` is not available here.\n`)
+
+    const resolved = { name: command.name, args: parsed.args, action: command.action || 'REPLY', direct: !!command.direct }
+    if (command.name === 'forget') resolved.result = { action: 'REPLY', reply_text: "Done, I've forgotten what I knew about you from earlier conversations. 🧹" }
+    else if (command.direct) resolved.result = { action: command.action, reply_text: '' }
+    else resolved.instruction = command.instruction(parsed.args)
+    return resolved
+}
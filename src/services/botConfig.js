@@ -0,0 +1,239 @@
+import { providers } from './aiProviders.js'
+import { TEMPLATE_NAMES } from './promptTemplates.js'
+import { DIGEST_TYPES } from './digests.js'
+import { LANGUAGE_NAMES } from './languageDetect.js'
+
+// --- BOT CONFIG (ai_config, typed & cached) ---
+// Every ai_config key the bot reads is declared here with its type and range. Rows are
+// loaded once per TTL (env AI_CONFIG_TTL_MS, default 60s) instead of on every webhook.
+// Invalid values are dropped, so the code falls back to its defaults, and reported
+// together with unknown bot_/ai_ keys (typos) in the admin center.
+// Serverless instances cache separately: invalidation clears the instance that receives
+// it, the TTL bounds how long the others keep the old values.
+
+const CACHE_TTL_MS = parseInt(process.env.AI_CONFIG_TTL_MS || '60000')
+
+// Allowed values of the personality settings = the built-in template names (preset.friendly, ...)
+const templateChoices = (prefix) => TEMPLATE_NAMES.filter(n => n.startsWith(`${prefix}.`)).map(n => n.slice(prefix.length + 1))
+
+export const CONFIG_SCHEMA = {
+    // Identity & prompt
+    // Any profile id format (Supabase auth UUIDs, legacy ids): dropping it would silence the bot
+    bot_user_id: { type: 'string', description: 'Profile the default persona posts as' },
+    system_instruction: { type: 'string' },
+    bot_temperature: { type: 'number', min: 0, max: 2 },
+    bot_personality_preset: { type: 'enum', values: [...templateChoices('preset'), 'custom'] },
+    bot_tone: { type: 'integer', min: 0, max: 100 },
+    bot_emoji_level: { type: 'enum', values: templateChoices('emoji') },
+    bot_expertise_level: { type: 'enum', values: templateChoices('expertise') },
+    bot_verbosity: { type: 'enum', values: templateChoices('verbosity') },
+    auto_post_creation: { type: 'boolean' },
+    bot_reply_language: { type: 'enum', values: ['auto', ...Object.keys(LANGUAGE_NAMES)] },
+    bot_allowed_languages: {
+        type: 'string',
+        // "en,de,es"; the first one answers messages in any other language
+        refine: (value) => {
+            const unknown = value.split(',').map(c => c.trim().toLowerCase()).filter(c => c && !LANGUAGE_NAMES[c])
+            return unknown.length ? `unknown language code(s) ${unknown.join(', ')} (known: ${Object.keys(LANGUAGE_NAMES).join(', ')})` : null
+        }
+    },
+
+    // Providers
+    ai_provider: { type: 'enum', values: Object.keys(providers) },
+    ai_model: { type: 'string' },
+    ai_base_url: { type: 'url' },
+    ai_api_key: { type: 'string', secret: true },
+    ai_provider_chain: {
+        type: 'string',
+        // "ollama,google" or [{"provider":"ollama","model":"llama3"}, ...]
+        refine: (value) => {
+            let entries
+            try {
+                const parsed = JSON.parse(value)
+                entries = (Array.isArray(parsed) ? parsed : [parsed]).map(e => (typeof e === 'string' ? e : e?.provider))
+            } catch (e) {
+                entries = String(value).split(',').map(s => s.trim()).filter(Boolean)
+            }
+            const unknown = entries.filter(p => !providers[p])
+            return unknown.length ? `unknown provider(s) ${unknown.join(', ')} (known: ${Object.keys(providers).join(', ')})` : null
+        }
+    },
+    ai_timeout_ms: { type: 'integer', min: 1000, max: 300000 },
+
+    // Context, validation & features
+    bot_context_token_budget: { type: 'integer', min: 0, max: 32000 },
+    bot_repair_attempts: { type: 'integer', min: 0, max: 5 },
+    bot_retrieval_limit: { type: 'integer', min: 0, max: 10 },
+    bot_summary_chunk_tokens: { type: 'integer', min: 500, max: 32000 },
+    site_url: { type: 'url' },
+    bot_poll_settings: { type: 'json', shape: 'object' },
+    bot_digests: {
+        type: 'json',
+        shape: 'array',
+        refine: (digests) => {
+            const unknown = digests.filter(d => !DIGEST_TYPES.includes(d?.type)).map(d => JSON.stringify(d?.type))
+            return unknown.length ? `unknown digest type(s) ${unknown.join(', ')} (known: ${DIGEST_TYPES.join(', ')})` : null
+        }
+    },
+    bot_webhook_events: {
+        type: 'json',
+        shape: 'object',
+        refine: (events) => {
+            if (events.update && !['trigger', 'revise', 'ignore'].includes(events.update)) return `update must be trigger, revise or ignore, got ${JSON.stringify(events.update)}`
+            if (events.delete && !['orphan', 'cascade', 'ignore'].includes(events.delete)) return `delete must be orphan, cascade or ignore, got ${JSON.stringify(events.delete)}`
+            return null
+        }
+    },
+
+    // Personas
+    bot_personas: {
+        type: 'json',
+        shape: 'array',
+        refine: (personas) => {
+            const broken = personas.filter(p => !p?.id || !p.bot_user_id).map(p => p?.id || '(no id)')
+            return broken.length ? `persona(s) ${broken.join(', ')} need both "id" and "bot_user_id"` : null
+        }
+    },
+
+    // Limits, cost & moderation
+    bot_rate_limits: { type: 'json', shape: 'object' },
+    bot_moderator_roles: { type: 'string' },
+    bot_premoderation: { type: 'json', shape: 'object' },
+    ai_price_table: { type: 'json', shape: 'object' },
+    ai_budget: { type: 'json', shape: 'object' },
+
+    // Long-term user memory (stored in Neon)
+    bot_user_memory: { type: 'json', shape: 'object' }
+}
+
+export const CONFIG_KEYS = Object.keys(CONFIG_SCHEMA)
+
+// Read by other modules straight from ai_config; known, but not part of the bot config
+const EXTERNAL_KEYS = [/^webhook_secret(_[a-z0-9_]+)?$/]
+const PERSONA_META_KEYS = ['id', 'name', 'triggers', 'allowed_actions', 'bot_user_id']
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '' || value === 'null'
+
+// Returns an error message, or null when the value is valid
+export function validateConfigValue(key, value) {
+    const rule = CONFIG_SCHEMA[key]
+    if (!rule || isBlank(value)) return null
+    const text = String(value).trim()
+
+    switch (rule.type) {
+        case 'integer': {
+            if (!/^-?\d+$/.test(text)) return `must be a whole number, got ${JSON.stringify(text)}`
+            const n = parseInt(text)
+            if (rule.min !== undefined && n < rule.min) return `must be >= ${rule.min}, got ${n}`
+            if (rule.max !== undefined && n > rule.max) return `must be <= ${rule.max}, got ${n}`
+            break
+        }
+        case 'number': {
+            const n = Number(text)
+            if (!Number.isFinite(n)) return `must be a number, got ${JSON.stringify(text)}`
+            if (rule.min !== undefined && n < rule.min) return `must be >= ${rule.min}, got ${n}`
+            if (rule.max !== undefined && n > rule.max) return `must be <= ${rule.max}, got ${n}`
+            break
+        }
+        case 'boolean':
+            if (!['true', 'false'].includes(text)) return `must be "true" or "false", got ${JSON.stringify(text)}`
+            break
+        case 'enum':
+            if (!rule.values.includes(text)) return `${JSON.stringify(text)} does not exist, use one of ${rule.values.join(', ')}`
+            break
+        case 'url':
+            try {
+                if (!['http:', 'https:'].includes(new URL(text).protocol)) return 'must be an http(s) URL'
+            } catch (e) {
+                return `must be a URL, got ${JSON.stringify(text)}`
+            }
+            break
+        case 'json': {
+            let parsed
+            try {
+                parsed = typeof value === 'string' ? JSON.parse(value) : value
+            } catch (e) {
+                return `is not valid JSON (${e.message})`
+            }
+            const shape = Array.isArray(parsed) ? 'array' : parsed === null ? 'null' : typeof parsed
+            if (rule.shape && shape !== rule.shape) return `must be a JSON ${rule.shape}, got ${shape}`
+            if (rule.refine) return rule.refine(parsed)
+            return null
+        }
+    }
+    return rule.refine ? rule.refine(text) : null
+}
+
+const displayValue = (key, value) => (CONFIG_SCHEMA[key]?.secret ? '••••••' : String(value ?? '').slice(0, 200))
+
+// rows: ai_config [{ key, value }] -> { configMap (valid known keys only), issues }
+export function validateConfig(rows = []) {
+    const configMap = {}
+    const issues = []
+
+    for (const { key, value } of rows) {
+        if (CONFIG_SCHEMA[key]) {
+            const error = validateConfigValue(key, value)
+            if (error) issues.push({ key, value: displayValue(key, value), level: 'error', message: `${key} ${error}; using the default` })
+            else configMap[key] = value
+        } else if (/^(bot|ai)_/.test(key) && !EXTERNAL_KEYS.some(pattern => pattern.test(key))) {
+            issues.push({ key, value: displayValue(key, value), level: 'warning', message: `${key} is not a known setting (typo?) and is ignored` })
+        }
+    }
+
+    // Per-persona overrides use the same keys; invalid ones are dropped like top-level values
+    let personas = []
+    try {
+        personas = configMap.bot_personas ? JSON.parse(configMap.bot_personas) : []
+    } catch (e) { /* reported above */ }
+    let dropped = false
+    for (const persona of personas) {
+        for (const [key, value] of Object.entries(persona || {})) {
+            if (PERSONA_META_KEYS.includes(key)) continue
+            const path = `bot_personas[${persona.id}].${key}`
+            if (!CONFIG_SCHEMA[key]) {
+                issues.push({ key: path, value: displayValue(key, value), level: 'warning', message: `${path} is not a known setting (typo?)` })
+                continue
+            }
+            const error = validateConfigValue(key, typeof value === 'object' ? JSON.stringify(value) : value)
+            if (error) {
+                issues.push({ key: path, value: displayValue(key, value), level: 'error', message: `${path} ${error}; using the top-level value` })
+                delete persona[key]
+                dropped = true
+            }
+        }
+    }
+    if (dropped) configMap.bot_personas = JSON.stringify(personas)
+
+    return { configMap, issues }
+}
+
+let cache = null
+
+// Cached for CACHE_TTL_MS; a failed reload keeps serving the last good config
+export async function loadBotConfig(supabase, { fresh = false } = {}) {
+    if (!fresh && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.configMap
+
+    const { data: rows, error } = await supabase.from('ai_config').select('key, value')
+    if (error) {
+        console.error('ai_config load error:', error.message)
+        if (cache) return cache.configMap
+        return {}
+    }
+
+    const { configMap, issues } = validateConfig(rows || [])
+    issues.filter(i => i.level === 'error').forEach(i => console.warn(`⚠️ ai_config: ${i.message}`))
+    cache = { configMap, issues, loadedAt: Date.now() }
+    return configMap
+}
+
+export function invalidateConfigCache() {
+    cache = null
+}
+
+// For the admin center / API: secrets masked
+export function getConfigStatus() {
+    if (!cache) return { loaded_at: null, ttl_ms: CACHE_TTL_MS, config: {}, issues: [] }
+    const config = Object.fromEntries(Object.entries(cache.configMap).map(([key, value]) => [key, displayValue(key, value)]))
+    return { loaded_at: new Date(cache.loadedAt).toISOString(), ttl_ms: CACHE_TTL_MS, config, issues: cache.issues }
+}
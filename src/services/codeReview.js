@@ -0,0 +1,54 @@
+import { query } from '../db/neon.js'
+
+// --- CODE REVIEW (REVIEW_CODE action) ---
+// The model returns structured findings; we render them as a readable comment
+// and keep the structured version in Neon (`ai_code_reviews`).
+
+const SEVERITY_ICONS = { critical: '🔴', major: '🟠', minor: '🟡', info: '🔵' }
+const SEVERITY_ORDER = ['critical', 'major', 'minor', 'info']
+const MAX_REVIEW_LINES = 400
+
+// The code the trigger is about: the post itself, or the post a comment/thread hangs off
+export function findCodeContext(table, item, parentPost) {
+    const source = table === 'posts' ? item : parentPost
+    if (!source?.code_snippet || !source.code_snippet.trim()) return null
+    return {
+        postId: source.id || item.post_id || item.parent_post_id || null,
+        language: source.code_language || source.language || source.post_data?.code_language || 'text',
+        code: source.code_snippet
+    }
+}
+
+// Numbered listing so the model can cite exact line ranges
+export function numberLines(code) {
+    const lines = code.replace(/\r\n/g, '\n').split('\n').slice(0, MAX_REVIEW_LINES)
+    const width = String(lines.length).length
+    return { lineCount: lines.length, listing: lines.map((line, i) => `${String(i + 1).padStart(width)}| ${line}`).join('\n') }
+}
+
+export function renderReview(review) {
+    const findings = [...review.findings].sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+
+    const lines = ['**Code Review** 🔍', '', review.summary.trim()]
+    if (!findings.length) {
+        lines.push('', '✅ No issues found.')
+        return lines.join('\n')
+    }
+
+    lines.push('')
+    findings.forEach((f, i) => {
+        const end = f.line_end ?? f.line_start
+        const range = end !== f.line_start ? `L${f.line_start}-${end}` : `L${f.line_start}`
+        lines.push(`${i + 1}. ${SEVERITY_ICONS[f.severity] || '•'} **${f.severity.toUpperCase()}** · ${f.category} · \`${range}\``)
+        lines.push(`   ${f.message.trim()}`)
+        lines.push(`   💡 ${f.suggestion.trim()}`)
+    })
+    return lines.join('\n')
+}
+
+export async function saveReview({ triggerId, postId, persona, language, review }) {
+    await query(
+        `INSERT INTO ai_code_reviews (trigger_id, post_id, persona, language, summary, findings) VALUES ($1, $2, $3, $4, $5, $6)`,
+        [String(triggerId), postId ? String(postId) : null, persona, language, review.summary, JSON.stringify(review.findings)]
+    )
+}
@@ -0,0 +1,192 @@
+import { query } from '../db/neon.js'
+
+// --- COMMUNITY KNOWLEDGE INDEX (retrieval-augmented answers) ---
+// Posts and threads are mirrored into Neon `ai_content_index` with a weighted
+// tsvector (title > body) and a keyword array (tags + language). Before answering,
+// the bot retrieves the closest earlier discussions and cites them as links.
+// Every lookup (hit or miss) lands in `ai_retrieval_logs` to judge grounding.
+
+export const INDEXED_TABLES = ['posts', 'threads']
+const DEFAULT_LIMIT = 3
+const MIN_RANK = 0.05
+const EXCERPT_CHARS = 280
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'so', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with',
+    'about', 'from', 'into', 'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did', 'have', 'has',
+    'had', 'i', 'me', 'my', 'you', 'your', 'we', 'our', 'it', 'its', 'this', 'that', 'these', 'those', 'there',
+    'what', 'which', 'who', 'how', 'why', 'when', 'where', 'can', 'could', 'should', 'would', 'will', 'any',
+    'anyone', 'someone', 'please', 'help', 'hey', 'ai', 'bot', 'know', 'get', 'use', 'using', 'not', 'no', 'just'
+])
+
+const isDeleted = (record) => record.is_deleted === true
+
+function toDocument(table, record) {
+    const title = record.title || ''
+    const body = [record.description, record.content, record.body, record.caption, record.code_snippet]
+        .filter(Boolean)
+        .join('\n')
+    const keywords = [...(Array.isArray(record.tags) ? record.tags : []), record.code_language]
+        .filter(Boolean)
+        .map(k => String(k).toLowerCase())
+    return {
+        sourceTable: table,
+        sourceId: String(record.id),
+        parentId: record.parent_post_id ? String(record.parent_post_id) : null,
+        title,
+        body,
+        keywords,
+        authorId: record.user_id || record.author_id || null,
+        createdAt: record.created_at || new Date().toISOString()
+    }
+}
+
+const INDEX_COLUMNS = ['source_table', 'source_id', 'parent_id', 'title', 'body', 'keywords', 'author_id', 'created_at']
+// 8 parameters per row, far below the 65535 bind parameter limit of one statement
+const UPSERT_BATCH_SIZE = 100
+
+// The document to index, or null for rows that stay out (bot replies (🤖), empty rows)
+function indexableDocument(table, record) {
+    const doc = toDocument(table, record)
+    if (!doc.title.trim() && !doc.body.trim()) return null
+    if (doc.body.startsWith('🤖')) return null
+    return doc
+}
+
+// One multi-row INSERT ... ON CONFLICT DO UPDATE; returns the number of rows written
+async function upsertDocuments(docs) {
+    if (!docs.length) return 0
+    const params = []
+    const rows = docs.map(doc => {
+        params.push(doc.sourceTable, doc.sourceId, doc.parentId, doc.title, doc.body, doc.keywords, doc.authorId, doc.createdAt)
+        const first = params.length - INDEX_COLUMNS.length + 1
+        return `(${INDEX_COLUMNS.map((_, i) => `$${first + i}`).join(', ')})`
+    })
+    const result = await query(
+        `INSERT INTO ai_content_index (${INDEX_COLUMNS.join(', ')})
+         VALUES ${rows.join(',\n                ')}
+         ON CONFLICT (source_table, source_id) DO UPDATE SET
+            parent_id = EXCLUDED.parent_id, title = EXCLUDED.title, body = EXCLUDED.body,
+            keywords = EXCLUDED.keywords, indexed_at = NOW()`,
+        params
+    )
+    return result ? docs.length : 0
+}
+
+// Upsert one post/thread; bot replies (🤖) and soft-deleted rows are kept out
+export async function indexContent(table, record) {
+    if (!INDEXED_TABLES.includes(table) || !record?.id) return false
+    if (isDeleted(record)) return removeFromIndex(table, record.id)
+
+    const doc = indexableDocument(table, record)
+    if (!doc) return false
+    return (await upsertDocuments([doc])) > 0
+}
+
+export async function removeFromIndex(table, id) {
+    const result = await query(`DELETE FROM ai_content_index WHERE source_table = $1 AND source_id = $2`, [table, String(id)])
+    return Boolean(result)
+}
+
+// Bulk refresh used by the analytics sync (latest rows first, batch-limited like the other syncs):
+// one multi-row upsert per UPSERT_BATCH_SIZE rows and one delete for the soft-deleted ones
+export async function syncContentIndex(supabase, { limit = 500 } = {}) {
+    const synced = {}
+    for (const table of INDEXED_TABLES) {
+        const { data: rows, error } = await supabase
+            .from(table)
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(limit)
+        if (error) throw new Error(`Supabase ${table} query failed: ${error.message}`)
+
+        const live = (rows || []).filter(row => row.id && !isDeleted(row))
+        const removedIds = (rows || []).filter(row => row.id && isDeleted(row)).map(row => String(row.id))
+        const docs = live.map(row => indexableDocument(table, row)).filter(Boolean)
+
+        let count = 0
+        for (let i = 0; i < docs.length; i += UPSERT_BATCH_SIZE) {
+            count += await upsertDocuments(docs.slice(i, i + UPSERT_BATCH_SIZE))
+        }
+        if (removedIds.length) {
+            await query(`DELETE FROM ai_content_index WHERE source_table = $1 AND source_id = ANY($2::text[])`, [table, removedIds])
+        }
+        synced[table] = count
+    }
+    return synced
+}
+
+// Significant words of the question (letters and digits of any script), safe to splice
+// into a tsquery: none of its operators (& | ! ( ) : * < > ') can be part of a term
+export function extractTerms(text, max = 12) {
+    const words = String(text || '')
+        .toLowerCase()
+        .replace(/@[\p{L}\p{N}_.-]+/gu, ' ')
+        .match(/[\p{L}\p{M}\p{N}]+/gu) || []
+    const terms = []
+    for (const term of words) {
+        if (term.length < 2 || STOPWORDS.has(term) || terms.includes(term)) continue
+        terms.push(term)
+        if (terms.length >= max) break
+    }
+    return terms
+}
+
+export function contentUrl(siteUrl, table, id, parentId) {
+    const base = (siteUrl || '').replace(/\/$/, '')
+    if (table === 'threads' && parentId) return `${base}/post/${parentId}#thread-${id}`
+    return `${base}/${table === 'threads' ? 'thread' : 'post'}/${id}`
+}
+
+// Returns [{ ref, table, id, title, excerpt, url, rank }] (ref = 1-based citation number)
+export async function retrieveRelated(text, { excludeIds = [], limit = DEFAULT_LIMIT, siteUrl } = {}) {
+    const terms = extractTerms(text)
+    if (!terms.length) return []
+
+    // OR over the terms: natural questions rarely share every word with the answer
+    const result = await query(
+        `SELECT source_table, source_id, parent_id, title, body,
+                ts_rank_cd(search, to_tsquery('english', $1))
+                + 0.1 * (SELECT COUNT(*) FROM unnest(keywords) AS k WHERE k = ANY($2::text[])) AS rank
+         FROM ai_content_index
+         WHERE (search @@ to_tsquery('english', $1) OR keywords && $2::text[])
+           AND NOT (source_id = ANY($3::text[]))
+         ORDER BY rank DESC, created_at DESC
+         LIMIT $4`,
+        [terms.join(' | '), terms, excludeIds.filter(Boolean).map(String), limit]
+    )
+    if (!result) return []
+
+    return result.rows
+        .filter(row => Number(row.rank) >= MIN_RANK)
+        .map((row, i) => ({
+            ref: i + 1,
+            table: row.source_table,
+            id: row.source_id,
+            title: row.title || `${row.source_table === 'threads' ? 'Thread' : 'Post'} ${row.source_id}`,
+            excerpt: (row.body || '').replace(/\s+/g, ' ').trim().substring(0, EXCERPT_CHARS),
+            url: contentUrl(siteUrl, row.source_table, row.source_id, row.parent_id),
+            rank: Number(Number(row.rank).toFixed(4))
+        }))
+}
+
+export function renderSources(related, refs) {
+    const cited = related.filter(r => refs.includes(r.ref))
+    if (!cited.length) return ''
+    return `\n\n📚 Related discussions:\n${cited.map(r => `- [${r.title}](${r.url})`).join('\n')}`
+}
+
+export async function logRetrieval({ triggerId, persona, queryText, related, citedRefs = [] }) {
+    await query(
+        `INSERT INTO ai_retrieval_logs (trigger_id, persona, query_text, terms, hit_count, hits, cited_ids) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+            String(triggerId),
+            persona,
+            queryText.substring(0, 1000),
+            extractTerms(queryText),
+            related.length,
+            JSON.stringify(related.map(({ ref, table, id, rank }) => ({ ref, table, id, rank }))),
+            related.filter(r => citedRefs.includes(r.ref)).map(r => r.id)
+        ]
+    )
+}
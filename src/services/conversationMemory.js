@@ -0,0 +1,84 @@
+// --- CONVERSATION MEMORY ---
+// Rebuilds the discussion the trigger belongs to as chat turns, so follow-ups
+// like "can you expand on point 2?" have the bot's own earlier answers in scope.
+
+const DEFAULT_TOKEN_BUDGET = 1500
+const MAX_TURNS_FETCHED = 50
+
+// Rough heuristic (~4 chars per token) - good enough for budgeting
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4)
+
+const isBotTurn = (row, botUserId) =>
+    (botUserId && row.user_id === botUserId) || (row.content || '').startsWith('🤖')
+
+const toTurn = (row, botUserId) => {
+    const text = (row.content || '').trim()
+    if (isBotTurn(row, botUserId)) {
+        return { role: 'assistant', content: text.replace(/^🤖\s*/, '') }
+    }
+    return { role: 'user', content: row.username ? `@${row.username}: ${text}` : text }
+}
+
+// Keep the most recent turns that fit into the budget (oldest are dropped first)
+export function trimToTokenBudget(turns, tokenBudget = DEFAULT_TOKEN_BUDGET) {
+    const kept = []
+    let used = 0
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(turns[i].content)
+        if (used + cost > tokenBudget) break
+        kept.unshift(turns[i])
+        used += cost
+    }
+    return kept
+}
+
+async function attachUsernames(supabase, rows) {
+    const userIds = [...new Set(rows.map(r => r.user_id).filter(Boolean))]
+    if (!userIds.length) return rows
+    const { data: profiles } = await supabase.from('profiles').select('id, username').in('id', userIds)
+    const names = {}
+    profiles?.forEach(p => names[p.id] = p.username)
+    return rows.map(r => ({ ...r, username: names[r.user_id] }))
+}
+
+// Returns [{ role: 'user' | 'assistant', content }] oldest -> newest, excluding the trigger itself.
+// Only turns written up to the trigger: queued, retried or reprocessed triggers run later,
+// when newer comments (even the bot's own later replies) are already in the discussion.
+// Removed (soft-deleted) turns are left out: the bot must not quote hidden content.
+export async function buildConversationHistory(supabase, { table, item, botUserId, tokenBudget }) {
+    let rows = []
+    const upToTrigger = (builder) => (item.created_at ? builder.lte('created_at', item.created_at) : builder)
+
+    if (table === 'thread_comments' && item.thread_id) {
+        const { data: thread } = await supabase.from('threads').select('id, user_id, title, content, created_at').eq('id', item.thread_id).not('is_deleted', 'is', true).single()
+        const { data: comments } = await upToTrigger(supabase
+            .from('thread_comments')
+            .select('id, user_id, content, created_at')
+            .eq('thread_id', item.thread_id)
+            .not('is_deleted', 'is', true))
+            .order('created_at', { ascending: false })
+            .limit(MAX_TURNS_FETCHED)
+
+        if (thread) {
+            rows.push({ ...thread, content: [thread.title, thread.content].filter(Boolean).join('\n') })
+        }
+        rows.push(...(comments || []).reverse())
+    }
+    else if (table === 'comments' && item.post_id) {
+        const { data: comments } = await upToTrigger(supabase
+            .from('comments')
+            .select('id, user_id, content, created_at')
+            .eq('post_id', item.post_id)
+            .not('is_deleted', 'is', true))
+            .order('created_at', { ascending: false })
+            .limit(MAX_TURNS_FETCHED)
+
+        rows = (comments || []).reverse()
+    }
+
+    rows = rows.filter(r => r.id !== item.id && (r.content || '').trim())
+    if (!rows.length) return []
+
+    rows = await attachUsernames(supabase, rows)
+    return trimToTokenBudget(rows.map(r => toTurn(r, botUserId)), tokenBudget || DEFAULT_TOKEN_BUDGET)
+}
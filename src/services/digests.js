@@ -0,0 +1,267 @@
+import { query } from '../db/neon.js'
+import { renderTemplate } from './promptTemplates.js'
+import { contentUrl } from './contentIndex.js'
+
+// --- SCHEDULED DIGEST POSTS ---
+// ai_config `bot_digests` (JSON array) lists the posts the bot publishes on its own, built
+// from the Neon analytics mirror tables. Only `type` is required, everything else has a default:
+// [{
+//   "id": "weekly_top", "type": "top_posts" | "new_members" | "community_stats",
+//   "schedule": "daily" | "weekly" | "monthly", "weekday": 1 (Mon..7 Sun), "day": 1, "hour": 9 (UTC),
+//   "persona": "default", "limit": 5, "tags": ["digest"],
+//   "title": "🔥 Top posts · {{period_label}}", "template": "...{{items}}...", "enabled": true
+// }]
+// Each digest is posted at most once per period: the (digest, period) pair is claimed in
+// Neon `ai_digest_runs` before the post is created.
+
+const SCHEDULE_DAYS = { daily: 1, weekly: 7, monthly: 30 }
+
+const TYPE_DEFAULTS = {
+    top_posts: {
+        schedule: 'weekly',
+        limit: 5,
+        title: '🔥 Top posts · {{period_label}}',
+        template: `Here are the posts that got the community talking the most ({{period_label}}):
+
+{{items}}
+
+Missed one? Jump in, the discussions are still open! 💬`
+    },
+    new_members: {
+        schedule: 'weekly',
+        limit: 20,
+        title: '👋 Welcome to our new members · {{period_label}}',
+        template: `Please give a warm welcome to the {{count}} people who joined us ({{period_label}}):
+
+{{items}}
+
+Say hi and tell them what you're building! 🚀`
+    },
+    community_stats: {
+        schedule: 'monthly',
+        limit: 0,
+        title: '📊 Community stats · {{period_label}}',
+        template: `Here's how the community did ({{period_label}}):
+
+- 👥 {{new_users}} new members ({{total_users}} total)
+- 📝 {{new_posts}} new posts ({{total_posts}} total)
+- 💬 {{new_comments}} new comments ({{total_comments}} total)
+- ❤️ {{new_likes}} new likes ({{total_likes}} total)
+
+Thanks for being part of it! 🙌`
+    }
+}
+
+export const DIGEST_TYPES = Object.keys(TYPE_DEFAULTS)
+
+export function resolveDigests(raw) {
+    if (!raw) return []
+    let entries = []
+    try {
+        entries = typeof raw === 'string' ? JSON.parse(raw) : raw
+    } catch (e) {
+        console.warn('⚠️ Invalid bot_digests JSON, no digests scheduled:', e.message)
+        return []
+    }
+
+    return (Array.isArray(entries) ? entries : []).flatMap(entry => {
+        if (!DIGEST_TYPES.includes(entry?.type)) {
+            console.warn('⚠️ Skipping digest with unknown type:', entry?.type)
+            return []
+        }
+        const digest = {
+            id: entry.type,
+            persona: 'default',
+            weekday: 1,
+            day: 1,
+            hour: 9,
+            tags: ['digest'],
+            enabled: true,
+            ...TYPE_DEFAULTS[entry.type],
+            ...entry
+        }
+        if (!SCHEDULE_DAYS[digest.schedule]) digest.schedule = TYPE_DEFAULTS[entry.type].schedule
+        return [digest]
+    })
+}
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// ISO 8601 week (weeks start on Monday, week 1 holds the first Thursday)
+function isoWeek(date) {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+    const weekday = d.getUTCDay() || 7
+    d.setUTCDate(d.getUTCDate() + 4 - weekday)
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1))
+    return { year: d.getUTCFullYear(), week: Math.ceil(((d - yearStart) / 86400000 + 1) / 7) }
+}
+
+const formatDay = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+
+// Returns { key, since, label, due }: the period `now` falls in and whether the digest is due in it
+export function digestPeriod(digest, now = new Date()) {
+    const since = new Date(now.getTime() - SCHEDULE_DAYS[digest.schedule] * 86400000)
+    const label = `${formatDay(since)} – ${formatDay(now)}`
+    const pastHour = now.getUTCHours() >= digest.hour
+
+    if (digest.schedule === 'daily') {
+        return { key: `${now.getUTCFullYear()}-${pad(now.getUTCMonth() + 1)}-${pad(now.getUTCDate())}`, since, label, due: pastHour }
+    }
+    if (digest.schedule === 'weekly') {
+        const { year, week } = isoWeek(now)
+        const weekday = now.getUTCDay() || 7
+        return { key: `${year}-W${pad(week)}`, since, label, due: weekday > digest.weekday || (weekday === digest.weekday && pastHour) }
+    }
+    const day = now.getUTCDate()
+    return { key: `${now.getUTCFullYear()}-${pad(now.getUTCMonth() + 1)}`, since, label, due: day > digest.day || (day === digest.day && pastHour) }
+}
+
+// Template variables per type; `count` 0 means there is nothing worth posting.
+// Everything is counted from the analytics mirror tables for the period itself: the
+// cached top-100 and the daily growth rollup do not cover every period (or metric).
+async function collectDigestData(digest, period, { siteUrl }) {
+    if (digest.type === 'top_posts') {
+        // Posts of the period ranked by their engagement; posts nobody reacted to are left out
+        const result = await query(
+            `SELECT * FROM (
+                SELECT p.id AS post_id, p.title, p.created_at,
+                       (SELECT COUNT(*) FROM analytics_likes l WHERE l.post_id = p.id)::int AS likes_count,
+                       (SELECT COUNT(*) FROM analytics_comments c WHERE c.post_id = p.id)::int AS comments_count
+                FROM analytics_posts p
+                WHERE p.created_at >= $1
+             ) ranked
+             WHERE likes_count + comments_count > 0
+             ORDER BY likes_count + comments_count DESC, created_at DESC
+             LIMIT $2`,
+            [period.since, digest.limit]
+        )
+        const rows = result ? result.rows : []
+        return {
+            count: rows.length,
+            items: rows.map((p, i) => `${i + 1}. [${p.title || 'Untitled'}](${contentUrl(siteUrl, 'posts', p.post_id)}) · ❤️ ${p.likes_count} · 💬 ${p.comments_count}`).join('\n')
+        }
+    }
+
+    if (digest.type === 'new_members') {
+        const result = await query(
+            `SELECT username, display_name FROM analytics_profiles
+             WHERE created_at >= $1 AND username IS NOT NULL ORDER BY created_at ASC LIMIT $2`,
+            [period.since, digest.limit]
+        )
+        const total = await query(`SELECT COUNT(*)::int AS count FROM analytics_profiles WHERE created_at >= $1`, [period.since])
+        const rows = result ? result.rows : []
+        const count = total?.rows[0]?.count || 0
+        const more = count > rows.length ? `\n…and ${count - rows.length} more!` : ''
+        return {
+            count,
+            items: rows.map(p => `- @${p.username}${p.display_name && p.display_name !== p.username ? ` (${p.display_name})` : ''}`).join('\n') + more
+        }
+    }
+
+    // community_stats: a period without any new member, post, comment or like is skipped
+    const totals = await query(`SELECT metric_name, metric_value FROM analytics_stats_cache`)
+    const growth = await query(
+        `SELECT (SELECT COUNT(*) FROM analytics_profiles WHERE created_at >= $1)::int AS new_users,
+                (SELECT COUNT(*) FROM analytics_posts WHERE created_at >= $1)::int AS new_posts,
+                (SELECT COUNT(*) FROM analytics_comments WHERE created_at >= $1)::int AS new_comments,
+                (SELECT COUNT(*) FROM analytics_likes WHERE created_at >= $1)::int AS new_likes`,
+        [period.since]
+    )
+    const activity = { new_users: 0, new_posts: 0, new_comments: 0, new_likes: 0, ...(growth?.rows[0] || {}) }
+    const vars = { ...activity, count: activity.new_users + activity.new_posts + activity.new_comments + activity.new_likes }
+    totals?.rows.forEach(row => vars[row.metric_name] = parseInt(row.metric_value) || 0)
+    return vars
+}
+
+export async function buildDigest(digest, period, { siteUrl } = {}) {
+    const data = await collectDigestData(digest, period, { siteUrl })
+    const vars = { period_label: period.label, site_url: siteUrl || '', ...data }
+    const title = renderTemplate(digest.title, vars)
+    const body = renderTemplate(digest.template, vars)
+    const missing = [...new Set([...title.missing, ...body.missing])]
+    if (missing.length) console.warn(`⚠️ Digest ${digest.id} template is missing variables: ${missing.join(', ')}`)
+    return { title: title.text.trim(), body: body.text.trim(), count: data.count }
+}
+
+async function claimDigest(digest, period) {
+    const result = await query(
+        `INSERT INTO ai_digest_runs (digest_id, period_key, persona) VALUES ($1, $2, $3)
+         ON CONFLICT (digest_id, period_key) DO NOTHING RETURNING digest_id`,
+        [digest.id, period.key, digest.persona]
+    )
+    if (!result) return null // Neon not configured
+    return result.rows.length > 0
+}
+
+// Runs every due digest once per period. `preview`: render all (or `only`) without posting.
+// Returns [{ id, period, status, post_id?, title?, body? }]
+export async function runDigests(supabase, { digests, personas, siteUrl, now = new Date(), preview = false, only = null }) {
+    const results = []
+
+    for (const digest of digests) {
+        if (only && digest.id !== only) continue
+        const period = digestPeriod(digest, now)
+        const outcome = { id: digest.id, type: digest.type, period: period.key }
+        results.push(outcome)
+
+        if (!preview && (!digest.enabled || !period.due)) {
+            outcome.status = digest.enabled ? 'not_due' : 'disabled'
+            continue
+        }
+
+        const persona = personas.find(p => p.id === digest.persona)
+        if (!persona?.botUserId) {
+            outcome.status = 'unknown_persona'
+            continue
+        }
+
+        const built = await buildDigest(digest, period, { siteUrl })
+        if (preview) {
+            Object.assign(outcome, { status: 'preview', due: period.due, title: built.title, body: built.body })
+            continue
+        }
+        if (!built.count) {
+            // Nothing to report yet; a later run in the same period may still post
+            outcome.status = 'empty'
+            continue
+        }
+
+        const claimed = await claimDigest(digest, period)
+        if (claimed === null) {
+            outcome.status = 'skipped'
+            outcome.reason = 'Neon not configured (needed to never post a digest twice)'
+            continue
+        }
+        if (!claimed) {
+            outcome.status = 'already_posted'
+            continue
+        }
+
+        const { data: post, error } = await supabase.from('posts').insert({
+            user_id: persona.botUserId,
+            title: built.title,
+            description: built.body,
+            code_snippet: null,
+            type: 'blog',
+            tags: digest.tags
+        }).select('id').single()
+
+        if (error) {
+            // Free the period so the next run can try again
+            await query(`DELETE FROM ai_digest_runs WHERE digest_id = $1 AND period_key = $2`, [digest.id, period.key])
+            console.error(`Digest ${digest.id} post failed:`, error.message)
+            outcome.status = 'error'
+            outcome.error = error.message
+            continue
+        }
+
+        await query(
+            `UPDATE ai_digest_runs SET status = 'posted', post_id = $3 WHERE digest_id = $1 AND period_key = $2`,
+            [digest.id, period.key, String(post.id)]
+        )
+        console.log(`📰 Digest ${digest.id} posted for ${period.key}:`, post.id)
+        Object.assign(outcome, { status: 'posted', post_id: post.id })
+    }
+
+    return results
+}
@@ -0,0 +1,170 @@
+import { query } from '../db/neon.js'
+import { estimateTokens } from './conversationMemory.js'
+import { parseActionJson } from './actionSchema.js'
+import { conversationKey } from './rateLimiter.js'
+
+// --- DISCUSSION SUMMARIES (SUMMARIZE action) ---
+// Pages through the whole discussion (thread_comments of a thread, comments of a post),
+// splits it into chunks that fit the model, summarizes each chunk and merges the notes
+// into key points / open questions / consensus. The result is cached in Neon
+// `ai_discussion_summaries` with the last comment it covered, so the next request only
+// reads and summarizes the comments posted since.
+
+const PAGE_SIZE = 200
+const MAX_COMMENTS = 2000
+export const DEFAULT_CHUNK_TOKENS = 3000
+
+// Which discussion a trigger belongs to (same keys as the per-thread rate limit)
+export function resolveDiscussion(table, item) {
+    const key = conversationKey(table, item)
+    if (table === 'posts' || table === 'comments') {
+        const postId = table === 'posts' ? item.id : item.post_id
+        return postId ? { key, source: 'comments', column: 'post_id', id: postId } : null
+    }
+    const threadId = table === 'threads' ? item.id : item.thread_id
+    return threadId ? { key, source: 'thread_comments', column: 'thread_id', id: threadId } : null
+}
+
+async function loadCachedSummary(key) {
+    const result = await query(`SELECT * FROM ai_discussion_summaries WHERE discussion_key = $1`, [key])
+    return result?.rows[0] || null
+}
+
+export async function saveSummary({ key, summary, lastCommentId, lastCommentAt, commentCount }) {
+    await query(
+        `INSERT INTO ai_discussion_summaries (discussion_key, summary, last_comment_id, last_comment_at, comment_count, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT (discussion_key) DO UPDATE SET
+            summary = EXCLUDED.summary, last_comment_id = EXCLUDED.last_comment_id,
+            last_comment_at = EXCLUDED.last_comment_at, comment_count = EXCLUDED.comment_count, updated_at = NOW()`,
+        [key, JSON.stringify(summary), String(lastCommentId), lastCommentAt, commentCount]
+    )
+}
+
+// Every comment after the cursor that was not removed (soft-deleted), oldest first
+async function fetchComments(supabase, discussion, sinceAt) {
+    const rows = []
+    for (let offset = 0; offset < MAX_COMMENTS; offset += PAGE_SIZE) {
+        let request = supabase
+            .from(discussion.source)
+            .select('id, user_id, content, created_at')
+            .eq(discussion.column, discussion.id)
+            .not('is_deleted', 'is', true)
+            .order('created_at', { ascending: true })
+            .range(offset, offset + PAGE_SIZE - 1)
+        if (sinceAt) request = request.gt('created_at', sinceAt)
+
+        const { data, error } = await request
+        if (error) throw new Error(`Could not read the discussion: ${error.message}`)
+        rows.push(...(data || []))
+        if (!data || data.length < PAGE_SIZE) break
+    }
+    return rows
+}
+
+async function attachUsernames(supabase, rows) {
+    const userIds = [...new Set(rows.map(r => r.user_id).filter(Boolean))]
+    if (!userIds.length) return rows
+    const { data: profiles } = await supabase.from('profiles').select('id, username').in('id', userIds)
+    const names = {}
+    profiles?.forEach(p => names[p.id] = p.username)
+    return rows.map(r => ({ ...r, username: names[r.user_id] || 'user' }))
+}
+
+// Greedy split into chunks of at most `chunkTokens` (a single huge comment gets its own chunk)
+export function chunkTranscript(lines, chunkTokens = DEFAULT_CHUNK_TOKENS) {
+    const chunks = []
+    let current = []
+    let used = 0
+    for (const line of lines) {
+        const cost = estimateTokens(line)
+        if (current.length && used + cost > chunkTokens) {
+            chunks.push(current.join('\n'))
+            current = []
+            used = 0
+        }
+        current.push(line)
+        used += cost
+    }
+    if (current.length) chunks.push(current.join('\n'))
+    return chunks
+}
+
+const asList = (value) => (Array.isArray(value) ? value.map(v => String(v).trim()).filter(Boolean) : [])
+
+export function renderSummary(summary, { commentCount, newComments } = {}) {
+    const lines = [`📝 **Discussion summary** (${commentCount} comment${commentCount === 1 ? '' : 's'}${newComments !== undefined && newComments < commentCount ? `, ${newComments} new since the last summary` : ''})`]
+    const section = (title, items) => {
+        if (!items.length) return
+        lines.push('', `**${title}**`, ...items.map(i => `- ${i}`))
+    }
+    section('Key points', summary.key_points)
+    section('Open questions', summary.open_questions)
+    lines.push('', `**Consensus:** ${summary.consensus || 'No clear consensus yet.'}`)
+    return lines.join('\n')
+}
+
+// generate(promptText) -> model text; prompts.chunk / prompts.merge(vars) -> prompt text.
+// Returns { text, summary, cacheEntry, newComments, fromCache }; persist with saveSummary(cacheEntry).
+export async function summarizeDiscussion(supabase, { table, item, botUserId, title, generate, prompts, chunkTokens = DEFAULT_CHUNK_TOKENS }) {
+    const discussion = resolveDiscussion(table, item)
+    if (!discussion) return { text: "There's no discussion here for me to summarize yet. 🤔" }
+
+    const cached = await loadCachedSummary(discussion.key).catch(err => {
+        console.warn('Summary cache unavailable:', err.message)
+        return null
+    })
+
+    const fetched = await fetchComments(supabase, discussion, cached?.last_comment_at || null)
+    // The cursor moves past everything read, including bot replies and the request itself
+    const last = fetched[fetched.length - 1]
+    const relevant = await attachUsernames(supabase, fetched.filter(r =>
+        r.id !== item.id &&
+        (r.content || '').trim() &&
+        !(botUserId && r.user_id === botUserId) &&
+        !(r.content || '').startsWith('🤖')
+    ))
+    const commentCount = (cached?.comment_count || 0) + relevant.length
+
+    if (!relevant.length) {
+        if (cached) {
+            return { text: renderSummary(cached.summary, { commentCount, newComments: 0 }), summary: cached.summary, newComments: 0, fromCache: true }
+        }
+        return { text: "There's nothing to summarize yet, this discussion has no comments. 🤔" }
+    }
+
+    // 1. Map: one set of notes per chunk (a short discussion goes to the merge step as-is)
+    const transcript = relevant.map(r => `@${r.username}: ${r.content.trim().replace(/\s+/g, ' ')}`)
+    const chunks = chunkTranscript(transcript, chunkTokens)
+    const notes = []
+    if (chunks.length === 1) {
+        notes.push(chunks[0])
+    } else {
+        for (let i = 0; i < chunks.length; i++) {
+            notes.push(await generate(prompts.chunk({ title, part: i + 1, parts: chunks.length, transcript: chunks[i] })))
+        }
+    }
+
+    // 2. Reduce: merge with the cached summary into the final structure
+    const raw = await generate(prompts.merge({
+        title,
+        previous_summary: cached ? JSON.stringify(cached.summary) : '(none, this is the first summary)',
+        notes: notes.join('\n\n---\n\n'),
+        comment_count: relevant.length
+    }))
+    const parsed = parseActionJson(raw).value || {}
+    const summary = {
+        key_points: asList(parsed.key_points),
+        open_questions: asList(parsed.open_questions),
+        consensus: typeof parsed.consensus === 'string' ? parsed.consensus.trim() : ''
+    }
+    if (!summary.key_points.length && !summary.consensus) throw new Error('Summary output was empty or not JSON')
+
+    return {
+        text: renderSummary(summary, { commentCount, newComments: cached ? relevant.length : undefined }),
+        summary,
+        newComments: relevant.length,
+        fromCache: false,
+        cacheEntry: { key: discussion.key, summary, lastCommentId: last.id, lastCommentAt: last.created_at, commentCount }
+    }
+}
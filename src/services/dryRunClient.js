@@ -0,0 +1,61 @@
+// --- DRY-RUN SUPABASE CLIENT ---
+// Wraps a real client: reads pass through, writes (insert/update/upsert/delete/rpc)
+// are recorded into `writes` and answered with fake rows so the pipeline keeps going.
+
+const WRITE_METHODS = ['insert', 'update', 'upsert', 'delete']
+
+function fakeRows(payload, counter) {
+    const rows = (Array.isArray(payload) ? payload : [payload || {}])
+        .map(row => ({ id: `dry-run-${++counter.n}`, ...row }))
+    return Array.isArray(payload) ? rows : rows[0]
+}
+
+// A thenable that swallows any chained filter/modifier (.eq, .select, .single, ...)
+function recordedBuilder(write, counter) {
+    let data = write.op === 'delete' ? null : fakeRows(write.payload, counter)
+    const builder = new Proxy({}, {
+        get(target, prop) {
+            if (prop === 'then') {
+                return (resolve, reject) => Promise.resolve({ data, error: null }).then(resolve, reject)
+            }
+            return (...args) => {
+                if (['eq', 'neq', 'in', 'match'].includes(prop)) {
+                    write.filters.push({ [prop]: args })
+                }
+                if (prop === 'single' || prop === 'maybeSingle') {
+                    data = Array.isArray(data) ? data[0] : data
+                }
+                return builder
+            }
+        }
+    })
+    return builder
+}
+
+export function createDryRunClient(supabase, writes = []) {
+    const counter = { n: 0 }
+
+    return {
+        writes,
+        from(table) {
+            const real = supabase.from(table)
+            return new Proxy(real, {
+                get(target, prop) {
+                    if (WRITE_METHODS.includes(prop)) {
+                        return (payload) => {
+                            const write = { target: 'supabase', table, op: prop, payload: payload ?? null, filters: [] }
+                            writes.push(write)
+                            return recordedBuilder(write, counter)
+                        }
+                    }
+                    const value = target[prop]
+                    return typeof value === 'function' ? value.bind(target) : value
+                }
+            })
+        },
+        rpc(fn, args) {
+            writes.push({ target: 'supabase', rpc: fn, payload: args })
+            return Promise.resolve({ data: null, error: null })
+        }
+    }
+}
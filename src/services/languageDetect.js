@@ -0,0 +1,139 @@
+// --- LANGUAGE DETECTION (local, no external service) ---
+// Non-Latin scripts are recognised by their Unicode ranges; Latin-script languages by
+// common function words plus their distinctive diacritics. Mentions, URLs and code are
+// stripped first (code would read as English). Returns "und" when unsure, so the prompt
+// falls back to "answer in the user's language" instead of guessing.
+// ai_config overrides: `bot_reply_language` ("auto" | code, forces the reply language)
+// and `bot_allowed_languages` ("en,de,es": anything else is answered in the first one).
+
+export const LANGUAGE_NAMES = {
+    en: 'English', es: 'Spanish', pt: 'Portuguese', fr: 'French', de: 'German', it: 'Italian',
+    nl: 'Dutch', pl: 'Polish', tr: 'Turkish', ro: 'Romanian', sv: 'Swedish', id: 'Indonesian',
+    vi: 'Vietnamese', ru: 'Russian', uk: 'Ukrainian', el: 'Greek', ar: 'Arabic', fa: 'Persian',
+    he: 'Hebrew', hi: 'Hindi', bn: 'Bengali', ta: 'Tamil', th: 'Thai', ka: 'Georgian',
+    hy: 'Armenian', ko: 'Korean', ja: 'Japanese', zh: 'Chinese'
+}
+
+export const UNDETERMINED = 'und'
+
+const SCRIPTS = [
+    { code: 'ja', pattern: /[぀-ヿ]/g },
+    { code: 'ko', pattern: /[가-힯ᄀ-ᇿ]/g },
+    { code: 'zh', pattern: /[一-鿿]/g },
+    { code: 'ru', pattern: /[Ѐ-ӿ]/g },
+    { code: 'el', pattern: /[Ͱ-Ͽ]/g },
+    { code: 'ar', pattern: /[؀-ۿ]/g },
+    { code: 'he', pattern: /[֐-׿]/g },
+    { code: 'hi', pattern: /[ऀ-ॿ]/g },
+    { code: 'bn', pattern: /[ঀ-৿]/g },
+    { code: 'ta', pattern: /[஀-௿]/g },
+    { code: 'th', pattern: /[฀-๿]/g },
+    { code: 'ka', pattern: /[Ⴀ-ჿ]/g },
+    { code: 'hy', pattern: /[԰-֏]/g }
+]
+
+const STOPWORDS = {
+    en: 'the and is are to of in it that this what how for with you my can do does be not have why when on i',
+    es: 'el la los las de que y en es un una por para con no se lo como qué cómo pero mi está hay del al',
+    pt: 'o a os as de que e em um uma para com não do da é como mas meu minha você isso está tem no na',
+    fr: "le la les de des et est un une que qui pour dans pas je vous il ce sur avec comment pourquoi mon c'est du au",
+    de: 'der die das und ist nicht ich ein eine zu mit den dem auf für es wie was warum kann sie wir auch von bei',
+    it: 'il lo la gli le di che e è un una per con non come perché mi del della sono ho questo cosa anche nel',
+    nl: 'de het een en is van niet dat ik je op te met voor hoe wat waarom zijn ook maar kan er dit wel',
+    pl: 'i w nie na się z jest to że do jak co czy ale dla mam jestem tak o ten po być mi go',
+    tr: 've bir bu da de için ne nasıl mi mı ile çok ben sen var yok gibi ama neden olan daha',
+    ro: 'și în este nu de la cu un o că pe pentru ce cum sunt mai din care dar am',
+    sv: 'och är att det som en på för med inte jag du hur vad varför har av till den kan',
+    id: 'dan yang di ini itu dengan untuk tidak ada saya apa bagaimana kenapa dari ke bisa akan juga atau',
+    vi: 'và là của không có được những này cho một các tôi bạn làm sao như thế nào'
+}
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words.split(' '))]))
+
+// Letters (almost) only one of the candidates uses; each occurrence adds a point
+const DIACRITICS = {
+    es: /[ñ¿¡]/g,
+    pt: /[ãõ]/g,
+    de: /ß/g,
+    fr: /[èêœë]/g,
+    pl: /[łąęśźżćń]/g,
+    tr: /[ğşı]/g,
+    ro: /[șță]/g,
+    sv: /å/g,
+    vi: /[ơưđẠ-ỹ]/g
+}
+
+const MIN_SCORE = 2
+
+// Mentions, links and code say nothing about the language the user writes in
+function stripNoise(text) {
+    return String(text || '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/`[^`]*`/g, ' ')
+        .replace(/https?:\/\/\S+|www\.\S+/gi, ' ')
+        .replace(/@[\w.-]+/g, ' ')
+}
+
+// Returns { code, name, confidence } (code "und" when unsure)
+export function detectLanguage(text) {
+    const clean = stripNoise(text)
+    const letters = (clean.match(/\p{L}/gu) || []).length
+    const undetermined = { code: UNDETERMINED, name: null, confidence: 0 }
+    if (!letters) return undetermined
+
+    // 1. Non-Latin scripts
+    for (const { code, pattern } of SCRIPTS) {
+        const count = (clean.match(pattern) || []).length
+        if (count / letters < 0.3) continue
+        let detected = code
+        if (code === 'zh' && /[぀-ヿ]/.test(clean)) detected = 'ja'
+        if (code === 'ru' && /[іїєґІЇЄҐ]/.test(clean)) detected = 'uk'
+        if (code === 'ar' && /[پچژگ]/.test(clean)) detected = 'fa'
+        return { code: detected, name: LANGUAGE_NAMES[detected], confidence: Math.min(count / letters, 1) }
+    }
+
+    // 2. Latin script: function words + diacritics
+    const lower = clean.toLowerCase()
+    const words = lower.match(/[\p{L}']+/gu) || []
+    const scores = {}
+    for (const [code, set] of Object.entries(STOPWORD_SETS)) {
+        scores[code] = words.filter(w => set.has(w)).length
+    }
+    for (const [code, pattern] of Object.entries(DIACRITICS)) {
+        scores[code] += Math.min((lower.match(pattern) || []).length, 3) * 2
+    }
+
+    const [best, runnerUp] = Object.entries(scores).sort((a, b) => b[1] - a[1])
+    if (best[1] < MIN_SCORE || best[1] === runnerUp[1]) return undetermined
+    return { code: best[0], name: LANGUAGE_NAMES[best[0]], confidence: Math.min((best[1] - runnerUp[1]) / Math.max(words.length, 1) + 0.5, 1) }
+}
+
+const parseCodes = (raw) => String(raw || '').split(',').map(c => c.trim().toLowerCase()).filter(c => LANGUAGE_NAMES[c])
+
+// Returns { code, name, source: forced | detected | fallback | none, instruction }
+export function resolveReplyLanguage(detected, { forced, allowed } = {}) {
+    const forcedCode = String(forced || 'auto').trim().toLowerCase()
+    const allowedCodes = parseCodes(allowed)
+
+    let code = null
+    let source = 'none'
+    if (forcedCode !== 'auto' && LANGUAGE_NAMES[forcedCode]) {
+        code = forcedCode
+        source = 'forced'
+    } else if (detected.code !== UNDETERMINED && (!allowedCodes.length || allowedCodes.includes(detected.code))) {
+        code = detected.code
+        source = 'detected'
+    } else if (allowedCodes.length) {
+        code = allowedCodes[0]
+        source = 'fallback'
+    }
+
+    const name = code ? LANGUAGE_NAMES[code] : null
+    const instruction = {
+        forced: `Always write in ${name} (${code}), whatever language the user wrote in.`,
+        detected: `The user wrote in ${name} (${code}). Write reply_text and any post, poll or review text in ${name}.`,
+        fallback: `The user did not write in one of the supported languages. Write in ${name} (${code}).`,
+        none: "Write in the same language as the user's message."
+    }[source]
+
+    return { code, name, source, instruction }
+}
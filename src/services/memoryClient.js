@@ -0,0 +1,156 @@
+// --- IN-MEMORY SUPABASE CLIENT ---
+// Stand-in for the supabase-js client, for running the bot end to end without a project
+// (tests, local runs with the mock provider). Tables are plain arrays of rows:
+//   const supabase = createMemoryClient({ tables: { ai_config: [...], profiles: [...] } })
+//   setSupabaseClient(supabase)   // aiBotController
+// Supports the query builder subset the bot uses: select (column lists, count/head),
+// eq/neq/gt/gte/lt/lte/in/is/not/like/ilike/match, order, limit, range, single/maybeSingle,
+// insert/update/upsert/delete (rows returned when .select() is chained) and rpc.
+// Missing ids and created_at are filled in. RPC calls are recorded and answered by the
+// handlers passed in `rpc` ({ name: (args, tables) => data }), or with null.
+
+const NOT_FOUND = { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }
+
+const same = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b)
+
+function compare(a, b) {
+    if (a === null || a === undefined) return b === null || b === undefined ? 0 : -1
+    if (b === null || b === undefined) return 1
+    const [x, y] = [Number(a), Number(b)]
+    if (!Number.isNaN(x) && !Number.isNaN(y) && typeof a !== 'boolean') return x - y
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0
+}
+
+const likePattern = (pattern, flags) => new RegExp(`^${String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`, flags)
+
+// PostgREST list syntax used with .not(column, 'in', '("a","b")')
+const parseList = (value) => (Array.isArray(value) ? value : String(value).replace(/^\(|\)$/g, '').split(',').map(v => v.trim().replace(/^"|"$/g, '')))
+
+const OPERATORS = {
+    eq: (v, x) => same(v, x),
+    neq: (v, x) => !same(v, x),
+    gt: (v, x) => v !== null && v !== undefined && compare(v, x) > 0,
+    gte: (v, x) => v !== null && v !== undefined && compare(v, x) >= 0,
+    lt: (v, x) => v !== null && v !== undefined && compare(v, x) < 0,
+    lte: (v, x) => v !== null && v !== undefined && compare(v, x) <= 0,
+    in: (v, x) => parseList(x).some(item => same(v, item)),
+    is: (v, x) => (x === null ? v === null || v === undefined : v === x),
+    like: (v, x) => v !== null && v !== undefined && likePattern(x, '').test(String(v)),
+    ilike: (v, x) => v !== null && v !== undefined && likePattern(x, 'i').test(String(v))
+}
+
+function project(row, columns) {
+    if (!columns || columns.includes('*') || columns.includes('(')) return { ...row }
+    return Object.fromEntries(columns.split(',').map(c => c.trim()).filter(Boolean).map(c => [c, row[c] ?? null]))
+}
+
+export function createMemoryClient({ tables = {}, rpc = {} } = {}) {
+    const rpcCalls = []
+    const counters = {}
+
+    const rowsOf = (table) => (tables[table] = tables[table] || [])
+
+    function nextId(table) {
+        if (counters[table] === undefined) {
+            counters[table] = rowsOf(table).reduce((max, row) => Math.max(max, Number(row.id) || 0), 0)
+        }
+        return ++counters[table]
+    }
+
+    const withDefaults = (table, row) => ({ id: nextId(table), created_at: new Date().toISOString(), ...row })
+
+    function from(table) {
+        const state = { op: 'select', columns: '*', payload: null, filters: [], orders: [], offset: 0, limit: null, single: null, returning: false, count: null, head: false, onConflict: 'id' }
+
+        const matches = (row) => state.filters.every(filter => filter(row))
+
+        function run() {
+            const rows = rowsOf(table)
+            let data = null
+
+            if (state.op === 'insert' || state.op === 'upsert') {
+                const incoming = Array.isArray(state.payload) ? state.payload : [state.payload]
+                const keys = state.onConflict.split(',').map(k => k.trim())
+                data = incoming.map(row => {
+                    const existing = state.op === 'upsert' && rows.find(r => keys.every(k => same(r[k], row[k])))
+                    if (existing) return Object.assign(existing, row)
+                    const created = withDefaults(table, row)
+                    rows.push(created)
+                    return created
+                })
+            } else if (state.op === 'update') {
+                data = rows.filter(matches).map(row => Object.assign(row, state.payload))
+            } else if (state.op === 'delete') {
+                data = rows.filter(matches)
+                // In place, so callers holding the seeded arrays see the change
+                data.forEach(row => rows.splice(rows.indexOf(row), 1))
+            } else {
+                data = rows.filter(matches)
+                state.returning = true
+            }
+
+            const count = data.length
+            for (const { column, ascending } of [...state.orders].reverse()) {
+                data = [...data].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1))
+            }
+            data = data.slice(state.offset, state.limit === null ? undefined : state.offset + state.limit)
+            data = state.returning ? data.map(row => project(row, state.columns)) : null
+
+            const result = { data: state.head ? null : data, error: null, count: state.count ? count : null }
+            if (state.single && data) {
+                if (data.length === 1) result.data = data[0]
+                else if (data.length === 0 && state.single === 'maybe') result.data = null
+                else return { data: null, error: NOT_FOUND, count: null }
+            }
+            return result
+        }
+
+        const filter = (op) => (column, value) => {
+            state.filters.push(row => OPERATORS[op](row[column], value))
+            return builder
+        }
+
+        const builder = {
+            select(columns = '*', { count = null, head = false } = {}) {
+                state.columns = columns
+                state.count = count
+                state.head = head
+                if (state.op !== 'select') state.returning = true
+                return builder
+            },
+            insert(payload) { Object.assign(state, { op: 'insert', payload }); return builder },
+            upsert(payload, { onConflict = 'id' } = {}) { Object.assign(state, { op: 'upsert', payload, onConflict }); return builder },
+            update(payload) { Object.assign(state, { op: 'update', payload }); return builder },
+            delete() { state.op = 'delete'; return builder },
+            ...Object.fromEntries(Object.keys(OPERATORS).map(op => [op, filter(op)])),
+            not(column, op, value) {
+                state.filters.push(row => !OPERATORS[op](row[column], value))
+                return builder
+            },
+            match(query) {
+                Object.entries(query).forEach(([column, value]) => filter('eq')(column, value))
+                return builder
+            },
+            order(column, { ascending = true } = {}) { state.orders.push({ column, ascending }); return builder },
+            limit(n) { state.limit = n; return builder },
+            range(start, end) { state.offset = start; state.limit = end - start + 1; return builder },
+            single() { state.single = 'one'; return builder },
+            maybeSingle() { state.single = 'maybe'; return builder },
+            then(resolve, reject) {
+                return Promise.resolve().then(run).then(resolve, reject)
+            }
+        }
+        return builder
+    }
+
+    return {
+        tables,
+        rpcCalls,
+        from,
+        async rpc(name, args = {}) {
+            rpcCalls.push({ name, args })
+            const handler = rpc[name]
+            return { data: handler ? await handler(args, tables) : null, error: null }
+        }
+    }
+}
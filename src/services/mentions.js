@@ -0,0 +1,62 @@
+// --- MENTION & COMMAND PARSING ---
+// Triggers are only found in the text the user actually wrote to the bot: code blocks,
+// inline code, quotes ("> ..." lines and "..." spans), links and e-mail addresses are
+// blanked out first. "@handle" triggers must match a whole mention ("@gemini" does not
+// fire on "@geminifan" or "me@gemini.dev"); phrase triggers ("hey ai") must match whole
+// words ("they aim" is not "hey ai").
+
+export const COMMAND_PREFIX = '/ai'
+
+// Same length as the input, so indices found in the result point into the original
+const blank = (match) => match.replace(/[^\n]/g, ' ')
+
+export function stripNonProse(content) {
+    return String(content || '')
+        .replace(/```[\s\S]*?(```|$)/g, blank)
+        .replace(/`[^`\n]*`/g, blank)
+        .replace(/^[ \t]*>.*$/gm, blank)
+        .replace(/"[^"\n]{0,300}"|“[^”\n]{0,300}”/g, blank)
+        .replace(/\bhttps?:\/\/\S+|\bwww\.\S+/gi, blank)
+        .replace(/[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(\.[\p{L}\p{N}-]+)+/gu, blank)
+}
+
+// [{ handle, index }] with handles lowercased and without the "@"
+export function findMentions(content) {
+    const text = stripNonProse(content)
+    const mentions = []
+    for (const match of text.matchAll(/(^|[^\p{L}\p{N}_@./-])@([\p{L}\p{N}_][\p{L}\p{N}_.-]*)/gu)) {
+        const handle = match[2].replace(/[.-]+$/, '').toLowerCase()
+        mentions.push({ handle, index: match.index + match[1].length })
+    }
+    return mentions
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Position of the first real occurrence of a trigger ("@gemini" or a phrase), -1 if none
+export function findTrigger(content, trigger) {
+    const wanted = String(trigger || '').trim().toLowerCase()
+    if (!wanted) return -1
+
+    if (/^@[^\s@]+$/.test(wanted)) {
+        const mention = findMentions(content).find(m => m.handle === wanted.slice(1))
+        return mention ? mention.index : -1
+    }
+
+    const phrase = wanted.split(/\s+/).map(escapeRegex).join('\\s+')
+    const match = new RegExp(`(^|[^\\p{L}\\p{N}_])${phrase}(?=$|[^\\p{L}\\p{N}_])`, 'iu').exec(stripNonProse(content))
+    return match ? match.index + match[1].length : -1
+}
+
+// "/ai poll Tabs or spaces?" -> { name: 'poll', args: 'Tabs or spaces?' }; a bare "/ai" is { name: 'help' }.
+// Only where it starts a line (leading mentions allowed: "@gemini /ai poll ..."), outside code and
+// quotes, so prose such as "I put it in the /ai folder" is not a command.
+export function parseCommand(content, prefix = COMMAND_PREFIX) {
+    const pattern = new RegExp(`(^[ \\t]*(?:@[\\p{L}\\p{N}_.-]+[ \\t,:]*)*)${escapeRegex(prefix)}(?=$|\\s)[ \\t]*([\\p{L}-]*)([^\\n]*)`, 'imu')
+    const match = pattern.exec(stripNonProse(content))
+    if (!match) return null
+    // Arguments come from the original text (quotes inside them are kept)
+    const argsStart = match.index + match[0].length - match[3].length
+    const original = String(content).slice(argsStart, argsStart + match[3].length)
+    return { name: (match[2] || 'help').toLowerCase(), args: original.trim() }
+}
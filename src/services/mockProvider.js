@@ -0,0 +1,83 @@
+import fs from 'fs'
+import { ProviderError } from './aiProviders.js'
+
+// --- MOCK AI PROVIDER (offline, scripted) ---
+// `ai_provider: mock` answers without any network call, from (in this order):
+// 1. responses queued with scriptMockResponses([...]), one per call (also repair and summary calls)
+// 2. fixtures [{ "match": "regex on the user message", "prompt": "regex on the whole prompt",
+//    "response": ... }] from loadMockFixtures() or the JSON file at env AI_MOCK_FIXTURES
+// 3. a REPLY echoing the user message
+// A response is an action object (sent as JSON), a raw string (e.g. broken JSON, to exercise
+// the repair loop), a function (call) => response, or { "error": "...", "retryable": true,
+// "status": 503 } to simulate an outage. Every call is recorded for assertions (getMockCalls()).
+
+let script = []
+let fixtures = null
+const calls = []
+
+export function scriptMockResponses(responses = []) {
+    script.push(...responses)
+}
+
+export function loadMockFixtures(entries = []) {
+    fixtures = entries.map(entry => ({
+        ...entry,
+        match: entry.match ? new RegExp(entry.match, 'i') : null,
+        prompt: entry.prompt ? new RegExp(entry.prompt, 'i') : null
+    }))
+}
+
+export const getMockCalls = () => calls
+
+export function resetMock() {
+    script = []
+    fixtures = null
+    calls.length = 0
+}
+
+function fixturesFromEnv() {
+    if (fixtures) return fixtures
+    const path = process.env.AI_MOCK_FIXTURES
+    loadMockFixtures([])
+    if (!path) return fixtures
+    try {
+        loadMockFixtures(JSON.parse(fs.readFileSync(path, 'utf8')))
+    } catch (e) {
+        console.warn(`⚠️ Mock fixtures ${path} unreadable:`, e.message)
+    }
+    return fixtures
+}
+
+// The trigger as written by the user (first line of CURRENT USER MESSAGE in the master prompt)
+const userMessage = (prompt) => prompt.split('CURRENT USER MESSAGE:').pop().trim().split('\n')[0]
+
+export async function generateMock({ prompt, history = [], model }) {
+    const call = {
+        prompt,
+        history,
+        model,
+        message: userMessage(prompt),
+        // Option ids of an attached poll, for scripted VOTE_POLL answers
+        pollOptionIds: [...prompt.matchAll(/\[ID: ([^\]]+)\]/g)].map(m => (/^\d+$/.test(m[1]) ? Number(m[1]) : m[1]))
+    }
+    calls.push(call)
+
+    let response = script.length ? script.shift() : undefined
+    if (response === undefined) {
+        const fixture = fixturesFromEnv().find(f => (!f.match || f.match.test(call.message)) && (!f.prompt || f.prompt.test(prompt)))
+        response = fixture ? fixture.response : {
+            action: 'REPLY',
+            reasoning: 'Mock provider always replies',
+            reply_text: `Mock reply to: ${call.message.substring(0, 200)}`
+        }
+    }
+    if (typeof response === 'function') response = await response(call)
+
+    if (response && typeof response === 'object' && response.error) {
+        throw new ProviderError(`mock: ${response.error}`, { provider: 'mock', status: response.status || null, retryable: response.retryable !== false })
+    }
+    return {
+        text: typeof response === 'string' ? response : JSON.stringify(response),
+        usage: null
+    }
+}
@@ -0,0 +1,80 @@
+import { query } from '../db/neon.js'
+import { indexContent, removeFromIndex } from './contentIndex.js'
+
+// --- MODERATION (REMOVE_CONTENT) ---
+// Removals are soft deletes (`is_deleted` / `deleted_at` on the Supabase row) with an
+// audit entry in Neon holding the original row, so an admin can restore it later.
+
+export const REMOVABLE_TABLES = ['posts', 'threads', 'comments', 'thread_comments']
+const DEFAULT_MODERATOR_ROLES = ['admin', 'moderator']
+
+export function canModerate(profile, rawRoles) {
+    const roles = rawRoles
+        ? String(rawRoles).split(',').map(r => r.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_MODERATOR_ROLES
+    return Boolean(profile?.role) && roles.includes(String(profile.role).toLowerCase())
+}
+
+// Returns the audit entry; throws with a readable message on failure
+export async function softDeleteContent(supabase, { table, recordId, reasoning, requester }) {
+    if (!REMOVABLE_TABLES.includes(table)) {
+        throw new Error('I cannot remove content from this source table.')
+    }
+
+    const { data: snapshot, error: fetchError } = await supabase.from(table).select('*').eq('id', recordId).single()
+    if (fetchError || !snapshot) throw new Error(`Content not found: ${fetchError?.message || recordId}`)
+
+    const { error: updateError } = await supabase.from(table).update({
+        is_deleted: true,
+        deleted_at: new Date().toISOString()
+    }).eq('id', recordId)
+    if (updateError) throw new Error(updateError.message)
+
+    // Removed content must not be retrieved and cited by the bot anymore
+    await removeFromIndex(table, recordId).catch(err => console.warn('Index removal warning:', err.message))
+
+    const audit = await query(
+        `INSERT INTO ai_moderation_removals (source_table, record_id, snapshot, reasoning, requested_by, requester_role)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [table, String(recordId), JSON.stringify(snapshot), reasoning || null, requester?.id || null, requester?.role || null]
+    )
+    return audit?.rows[0] || null
+}
+
+export async function listRemovals({ status, limit = 50, offset = 0 } = {}) {
+    const params = [limit, offset]
+    let where = ''
+    if (status) {
+        params.push(status)
+        where = `WHERE status = $3`
+    }
+    const result = await query(
+        `SELECT * FROM ai_moderation_removals ${where} ORDER BY created_at DESC LIMIT $1 OFFSET $2`,
+        params
+    )
+    return result ? result.rows : []
+}
+
+export async function restoreRemoval(supabase, id, restoredBy) {
+    const found = await query(`SELECT * FROM ai_moderation_removals WHERE id = $1`, [id])
+    const removal = found?.rows[0]
+    if (!removal) return { error: 'Removal not found', status: 404 }
+    if (removal.status === 'restored') return { error: 'Already restored', status: 409 }
+
+    const { error } = await supabase.from(removal.source_table).update({
+        is_deleted: false,
+        deleted_at: null
+    }).eq('id', removal.record_id)
+    if (error) return { error: `Restore failed: ${error.message}`, status: 500 }
+
+    if (removal.snapshot) {
+        await indexContent(removal.source_table, { ...removal.snapshot, is_deleted: false })
+            .catch(err => console.warn('Re-index warning:', err.message))
+    }
+
+    const updated = await query(
+        `UPDATE ai_moderation_removals SET status = 'restored', restored_at = NOW(), restored_by = $2 WHERE id = $1 RETURNING *`,
+        [id, restoredBy || null]
+    )
+    return { removal: updated.rows[0] }
+}
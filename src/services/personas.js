@@ -0,0 +1,94 @@
+import { providers } from './aiProviders.js'
+import { ACTIONS } from './actionSchema.js'
+import { findTrigger } from './mentions.js'
+
+// --- BOT PERSONAS ---
+// ai_config `bot_personas` (JSON array) registers extra bots next to the default one:
+// [{
+//   "id": "reviewer", "name": "Code Reviewer",
+//   "bot_user_id": "<profile uuid>", "triggers": ["@reviewer", "@codereview"],
+//   "system_instruction": "You are a strict code reviewer...",
+//   "ai_provider": "openai", "ai_model": "gpt-4o",
+//   "bot_personality_preset": "professional", "bot_tone": 80,
+//   "allowed_actions": ["REPLY"]
+// }]
+// Any other ai_config key can be overridden per persona the same way.
+// The default persona is built from the top-level ai_config keys.
+
+const PERSONA_META_KEYS = ['id', 'name', 'triggers', 'allowed_actions']
+// Only meaningful for the provider they were configured for
+const PROVIDER_BOUND_KEYS = ['ai_model', 'ai_base_url', 'ai_api_key', 'ai_provider_chain']
+
+function defaultTriggers(configMap) {
+    const provider = configMap.ai_provider || 'google'
+    // Map provider to trigger keyword
+    return [providers[provider]?.trigger || '@bot', 'hey ai']
+}
+
+function buildPersonaConfig(baseConfig, overrides) {
+    const config = { ...baseConfig }
+    const switchesProvider = overrides.ai_provider && overrides.ai_provider !== (baseConfig.ai_provider || 'google')
+    if (switchesProvider) PROVIDER_BOUND_KEYS.forEach(key => delete config[key])
+
+    for (const [key, value] of Object.entries(overrides)) {
+        if (!PERSONA_META_KEYS.includes(key) && value !== undefined && value !== null) config[key] = String(value)
+    }
+    return config
+}
+
+export function resolvePersonas(configMap) {
+    const personas = [{
+        id: 'default',
+        name: 'AI Assistant',
+        botUserId: configMap.bot_user_id,
+        triggers: defaultTriggers(configMap),
+        allowedActions: ACTIONS,
+        config: configMap
+    }]
+
+    if (!configMap.bot_personas) return personas
+
+    let extra = []
+    try {
+        extra = JSON.parse(configMap.bot_personas)
+    } catch (e) {
+        console.warn('⚠️ Invalid bot_personas JSON, using the default persona only')
+        return personas
+    }
+
+    for (const entry of Array.isArray(extra) ? extra : []) {
+        if (!entry?.id || !entry.bot_user_id) {
+            console.warn('⚠️ Skipping persona without id / bot_user_id:', entry?.id)
+            continue
+        }
+        const config = buildPersonaConfig(configMap, entry)
+        personas.push({
+            id: entry.id,
+            name: entry.name || entry.id,
+            botUserId: entry.bot_user_id,
+            triggers: (entry.triggers?.length ? entry.triggers : defaultTriggers(config)).map(t => String(t)),
+            allowedActions: (entry.allowed_actions || ACTIONS).filter(a => ACTIONS.includes(a)),
+            config
+        })
+    }
+    return personas
+}
+
+// Every bot account, so no persona ever answers another one
+export const botUserIds = (personas) => personas.map(p => p.botUserId).filter(Boolean)
+
+// Picks the persona whose trigger appears first in the content (real mentions only, see mentions.js).
+// Explicitly configured personas win ties over the default one.
+export function routePersona(content, personas) {
+    let best = null
+    for (const persona of personas) {
+        for (const trigger of persona.triggers) {
+            const index = findTrigger(content, trigger)
+            if (index === -1) continue
+            if (!best || index < best.index || (index === best.index && best.persona.id === 'default')) {
+                best = { persona, index }
+            }
+        }
+    }
+    return best?.persona || null
+}
@@ -0,0 +1,98 @@
+import { enqueueJob } from './aiJobQueue.js'
+
+// --- POLL LIFECYCLE (bot-created polls) ---
+// Settings come from ai_config `bot_poll_settings`:
+//   { "max_options": 10, "default_duration_hours": 168, "max_duration_hours": 720,
+//     "self_vote": false, "closing_summary": true }
+// The model may ask for multi-select, a duration and anonymous voting in `poll_data`.
+// A `poll_summary` job scheduled at expires_at posts the results in the post's thread.
+
+export const DEFAULT_POLL_SETTINGS = {
+    max_options: 10,
+    default_duration_hours: 7 * 24,
+    max_duration_hours: 30 * 24,
+    self_vote: false,
+    closing_summary: true
+}
+
+export function resolvePollSettings(raw) {
+    if (!raw) return { ...DEFAULT_POLL_SETTINGS }
+    try {
+        const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw
+        return { ...DEFAULT_POLL_SETTINGS, ...parsed }
+    } catch (e) {
+        console.warn('⚠️ Invalid bot_poll_settings JSON, using defaults')
+        return { ...DEFAULT_POLL_SETTINGS }
+    }
+}
+
+// Clamp the requested duration into [1h, max_duration_hours]
+export function pollExpiry(pollData, settings, now = Date.now()) {
+    const requested = parseInt(pollData.duration_hours) || settings.default_duration_hours
+    const hours = Math.min(Math.max(requested, 1), settings.max_duration_hours)
+    return new Date(now + hours * 60 * 60 * 1000)
+}
+
+// Row for the `polls` insert
+export function buildPollRow(pollData, { postId, fallbackQuestion, settings }) {
+    return {
+        post_id: postId,
+        question: pollData.question || fallbackQuestion,
+        allow_multiple_votes: pollData.allow_multiple === true,
+        is_anonymous: pollData.anonymous === true,
+        expires_at: pollExpiry(pollData, settings)
+    }
+}
+
+// Returns null when Neon (the job queue) is unavailable
+export function schedulePollSummary({ pollId, postId, persona, expiresAt }) {
+    return enqueueJob({
+        kind: 'poll_summary',
+        dedupeKey: `poll_summary:${pollId}`,
+        payload: { poll_id: pollId, post_id: postId, persona },
+        runAt: expiresAt
+    })
+}
+
+// Vote counts per option; voters are distinct users (multi-select polls count each once)
+export async function tallyPoll(supabase, pollId) {
+    const { data: poll, error } = await supabase.from('polls').select('*').eq('id', pollId).single()
+    if (error || !poll) throw new Error(`Poll not found: ${error?.message || pollId}`)
+
+    const { data: options } = await supabase.from('poll_options').select('id, option_text').eq('poll_id', pollId)
+    const { data: votes } = await supabase.from('poll_votes').select('option_id, user_id').eq('poll_id', pollId)
+
+    const counts = {}
+    for (const vote of votes || []) counts[vote.option_id] = (counts[vote.option_id] || 0) + 1
+
+    return {
+        poll,
+        options: (options || [])
+            .map(o => ({ id: o.id, text: o.option_text, votes: counts[o.id] || 0 }))
+            .sort((a, b) => b.votes - a.votes),
+        totalVotes: (votes || []).length,
+        voters: new Set((votes || []).map(v => v.user_id)).size
+    }
+}
+
+export function renderPollSummary({ poll, options, totalVotes, voters }) {
+    const lines = [`📊 **Poll closed:** "${poll.question}"`, '']
+
+    if (!totalVotes) {
+        lines.push('Nobody voted this time. 🤷')
+        return lines.join('\n')
+    }
+
+    const top = options[0].votes
+    const winners = options.filter(o => o.votes === top)
+    options.forEach(o => {
+        const pct = Math.round((o.votes / totalVotes) * 100)
+        lines.push(`${o.votes === top ? '🏆' : '▫️'} **${o.text}**: ${o.votes} vote${o.votes === 1 ? '' : 's'} (${pct}%)`)
+    })
+    lines.push('')
+    lines.push(winners.length > 1
+        ? `It's a tie between ${winners.map(w => `"${w.text}"`).join(' and ')}!`
+        : `"${winners[0].text}" wins!`)
+    lines.push(`${voters} voter${voters === 1 ? '' : 's'}${poll.allow_multiple_votes ? ` · ${totalVotes} votes (multi-select)` : ''}${poll.is_anonymous ? ' · anonymous poll' : ''}`)
+    return lines.join('\n')
+}
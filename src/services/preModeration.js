@@ -0,0 +1,147 @@
+import { query } from '../db/neon.js'
+import { ACTIONS } from './actionSchema.js'
+import { reprocessTrigger } from './triggerMaintenance.js'
+
+// --- PRE-MODERATION (local rules, runs before any model call) ---
+// Every trigger is screened with word lists, link density, repetition and known
+// prompt-injection patterns. Verdicts: allow | flag (held in Neon `ai_moderation_queue`
+// until an admin approves or dismisses it) | block (recorded, never answered).
+// Rules come from ai_config `bot_premoderation` (JSON), e.g.
+//   { "block_words": ["casino"], "flag_words": ["crypto giveaway"], "max_links": 3,
+//     "injection_patterns": ["reveal your prompt"], "injection_verdict": "block" }
+
+export const DEFAULT_PREMODERATION_RULES = {
+    enabled: true,
+    block_words: [],
+    flag_words: [],
+    max_links: 3,              // more links = flag, twice as many = block
+    max_link_density: 0.25,    // links per word
+    max_repetition: 0.5,       // share of the most repeated word (messages of 8+ words)
+    injection_patterns: [],    // extra regular expressions (case-insensitive)
+    injection_verdict: 'flag'
+}
+
+const VERDICT_RANK = { allow: 0, flag: 1, block: 2 }
+
+const BUILTIN_INJECTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override)\b.{0,30}\b(previous|prior|above|earlier|all|your|system)\b.{0,20}\b(instructions?|prompts?|rules|guidelines)\b/i,
+    /\b(reveal|print|show|repeat|leak)\b.{0,20}\b(your|the)\b.{0,10}\b(system prompt|hidden instructions|instructions)\b/i,
+    /\b(developer|jailbreak|dan) mode\b/i,
+    /\byou are (now|no longer)\b.{0,40}\b(unrestricted|unfiltered|not bound|free of)\b/i,
+    /<\/?(system|assistant|instructions?)>|\[\/?(inst|sys)\]/i,
+    /"action"\s*:\s*"[A-Z_]+"/,
+    // Internal action names are not something regular users type
+    new RegExp(`\\b(${ACTIONS.filter(a => a.includes('_')).join('|')})\\b`)
+]
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const asWordList = (value) => (Array.isArray(value) ? value.map(w => String(w).trim().toLowerCase()).filter(Boolean) : [])
+
+export function resolvePreModerationRules(raw) {
+    let config = {}
+    if (raw) {
+        try {
+            config = typeof raw === 'string' ? JSON.parse(raw) : raw
+        } catch (e) {
+            console.warn('Invalid bot_premoderation JSON, using defaults:', e.message)
+        }
+    }
+    const rules = { ...DEFAULT_PREMODERATION_RULES, ...config }
+    rules.block_words = asWordList(rules.block_words)
+    rules.flag_words = asWordList(rules.flag_words)
+    rules.injection_verdict = rules.injection_verdict === 'block' ? 'block' : 'flag'
+    rules.injection_patterns = (Array.isArray(rules.injection_patterns) ? rules.injection_patterns : []).flatMap(pattern => {
+        try {
+            return [new RegExp(pattern, 'i')]
+        } catch (e) {
+            console.warn(`Ignoring invalid injection pattern ${JSON.stringify(pattern)}:`, e.message)
+            return []
+        }
+    })
+    return rules
+}
+
+const findWords = (text, words) => words.filter(word => new RegExp(`(^|\\W)${escapeRegex(word)}(\\W|$)`, 'i').test(text))
+
+// Returns { verdict, reasons: [{ rule, detail, verdict }] }; the strictest finding wins
+export function screenMessage(content, rules = resolvePreModerationRules()) {
+    const reasons = []
+    if (!rules.enabled) return { verdict: 'allow', reasons }
+    const text = String(content || '')
+    const add = (rule, detail, verdict) => reasons.push({ rule, detail, verdict })
+
+    // 1. Word lists
+    const blocked = findWords(text, rules.block_words)
+    if (blocked.length) add('block_words', `contains ${blocked.join(', ')}`, 'block')
+    const flagged = findWords(text, rules.flag_words)
+    if (flagged.length) add('flag_words', `contains ${flagged.join(', ')}`, 'flag')
+
+    // 2. Link farms
+    const links = text.match(/\bhttps?:\/\/\S+|\bwww\.\S+/gi) || []
+    const words = text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []
+    if (links.length > rules.max_links * 2) add('links', `${links.length} links`, 'block')
+    else if (links.length > rules.max_links) add('links', `${links.length} links (max ${rules.max_links})`, 'flag')
+    else if (links.length > 1 && links.length / Math.max(words.length, 1) > rules.max_link_density) {
+        add('link_density', `${links.length} links in ${words.length} words`, 'flag')
+    }
+
+    // 3. Repetition (copy-paste floods, "buy buy buy ...", long character runs)
+    if (words.length >= 8) {
+        const counts = {}
+        words.forEach(w => counts[w] = (counts[w] || 0) + 1)
+        const [topWord, topCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0]
+        if (topCount / words.length > rules.max_repetition) add('repetition', `"${topWord}" is ${topCount} of ${words.length} words`, 'flag')
+    }
+    const lines = text.split('\n').map(l => l.trim()).filter(Boolean)
+    if (lines.length >= 4 && new Set(lines).size / lines.length <= 0.5) add('repetition', `${lines.length - new Set(lines).size} repeated lines`, 'flag')
+    if (/(.)\1{29,}/u.test(text)) add('repetition', 'long run of one character', 'flag')
+
+    // 4. Prompt injection
+    const injection = [...BUILTIN_INJECTION_PATTERNS, ...rules.injection_patterns].find(pattern => pattern.test(text))
+    if (injection) add('injection', `matches ${injection.source.slice(0, 60)}`, rules.injection_verdict)
+
+    const verdict = reasons.reduce((worst, r) => (VERDICT_RANK[r.verdict] > VERDICT_RANK[worst] ? r.verdict : worst), 'allow')
+    return { verdict, reasons }
+}
+
+// Flags wait for review ("pending"), blocks are only recorded ("blocked")
+export async function queueForReview({ table, triggerId, userId, persona, content, verdict, reasons }) {
+    const result = await query(
+        `INSERT INTO ai_moderation_queue (source_table, trigger_id, user_id, persona, content, verdict, reasons, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (source_table, trigger_id) DO NOTHING RETURNING *`,
+        [table, String(triggerId), userId || null, persona || null, content, verdict, JSON.stringify(reasons), verdict === 'block' ? 'blocked' : 'pending']
+    )
+    return result?.rows[0] || null
+}
+
+export async function listModerationQueue({ status = 'pending', limit = 50, offset = 0 } = {}) {
+    const result = await query(
+        `SELECT * FROM ai_moderation_queue WHERE status = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+        [status, limit, offset]
+    )
+    return result ? result.rows : []
+}
+
+// decision: approve (the bot answers after all, skipping pre-moderation) | dismiss
+export async function resolveQueueItem(supabase, id, { decision, reviewedBy } = {}) {
+    if (!['approve', 'dismiss'].includes(decision)) return { error: 'decision must be approve or dismiss', status: 400 }
+
+    const found = await query(`SELECT * FROM ai_moderation_queue WHERE id = $1`, [id])
+    const entry = found?.rows[0]
+    if (!entry) return { error: 'Queue item not found', status: 404 }
+    if (entry.status !== 'pending') return { error: `Already ${entry.status}`, status: 409 }
+
+    let rerun = null
+    if (decision === 'approve') {
+        rerun = (await reprocessTrigger(supabase, { table: entry.source_table, id: entry.trigger_id, preModerationApproved: true })).status
+    }
+
+    const updated = await query(
+        `UPDATE ai_moderation_queue SET status = $2, reviewed_by = $3, reviewed_at = NOW(), rerun_status = $4
+         WHERE id = $1 RETURNING *`,
+        [id, decision === 'approve' ? 'approved' : 'dismissed', reviewedBy || null, rerun]
+    )
+    return { entry: updated.rows[0], rerun }
+}
@@ -0,0 +1,318 @@
+import crypto from 'crypto'
+import { query } from '../db/neon.js'
+
+// --- PROMPT TEMPLATES (versioned, A/B tested) ---
+// Templates live in Neon `ai_prompt_templates` as numbered versions per name and use
+// {{variable}} placeholders. Every name has a built-in default below (version 0) that
+// applies until an admin publishes a version. Active versions with a weight > 0 take
+// part in a weighted A/B split; assignment is sticky per user (hash of name + user id).
+
+export const BUILTIN_VERSION = 0
+
+// Variables each template may use; publishing a version with unknown ones is refused
+export const TEMPLATE_VARIABLES = {
+    master: ['personality', 'username', 'user_role', 'source', 'context', 'history_turns', 'knowledge_summary', 'persona_name', 'allowed_actions', 'reply_language'],
+    'summary.chunk': ['title', 'part', 'parts', 'transcript'],
+    'summary.merge': ['title', 'previous_summary', 'notes', 'comment_count', 'reply_language'],
+    'memory.summarize': ['username', 'memory', 'interactions']
+}
+const PERSONALITY_VARIABLES = []
+
+export const DEFAULT_TEMPLATES = {
+    master: `
+        {{personality}}
+        
+        CAPABILITIES:
+        - **YOU HAVE NATIVE ACCESS TO CREATE POLLS.** 
+        - You do NOT need to ask for permission.
+        - **NEVER** say "I cannot create voting options". YOU CAN.
+        - **NEVER** create an "open ended" poll asking for comments. You MUST provide concrete options (e.g. 3-5 choices) for the widget.
+        - To create a poll, you MUST use Action 2 ("CREATE_POST") and fill the "poll_data" JSON field.
+        - **IMPORTANT:** Do NOT use markdown checkboxes \`[ ]\` for polls. Use the \`poll_data\` JSON only.
+        - Polls can be multi-select ("allow_multiple": true), run for a requested time ("duration_hours", e.g. "for 3 days" = 72) and be anonymous ("anonymous": true). Only set these when the user asks for them.
+
+        CONTEXT:
+        - User: @{{username}} (role: {{user_role}})
+        - Source: {{source}}
+        - Rich Context:
+        {{context}}
+        
+        CONVERSATION MEMORY:
+        - The earlier messages of this discussion ({{history_turns}} turns) are provided before this one. Your own previous replies appear as assistant messages.
+        - Use them to resolve follow-ups like "expand on point 2", but ALWAYS answer in the JSON format below.
+
+        COMMUNITY KNOWLEDGE:
+        - {{knowledge_summary}}
+        - Build on them when they are relevant and list the numbers you used in "sources" (e.g. [1, 3]); links are added for you. Never cite a post you did not use.
+
+        PERSONA:
+        - You are "{{persona_name}}". Actions available to you: {{allowed_actions}}. Never use any other action.
+
+        LANGUAGE:
+        - {{reply_language}}
+        - Keep code, usernames and action names as they are; only the text you write follows this rule.
+
+        TASK: 
+        Analyze the user's intent. If they want a poll, YOU MUST CREATE IT.
+        
+        ACTIONS:
+        1. "REPLY": Conversational response. ⛔ **FORBIDDEN** to use this action if the user asked for a poll. You must use CREATE_POST instead.
+        2. "CREATE_POST": Create a new post. ✅ **MANDATORY** if user asks for a poll. 
+           - You MUST include \`poll_data\` options ONLY IF the user asked for a poll.
+           - If user asked for a poll but didn't provide options, you may suggest 2-3 logical ones.
+           - **DO NOT** create a poll if the user just asked for a blog post or code.
+           - **DO NOT** just ask for comments.
+        3. "VOTE_POLL": Use ONLY if there is a POLL in the context and the user text implies you should vote or asks for your opinion. You MUST choose a valid Option ID from the list provided.
+        4. "REMOVE_CONTENT": Use ONLY when the user is marked MODERATOR above and explicitly instructs you to remove content. This hides the content you are replying to (admins can restore it). Always explain why in "reasoning".
+        5. "REVIEW_CODE": Use when there is a CODE SNIPPET in the context and the user asks for a review, feedback or bugs. Fill "review" with a short summary and structured findings; cite line numbers from the numbered snippet. Do NOT write the review into "reply_text".
+        6. "SUMMARIZE": Use when the user asks for a summary, recap or TL;DR of this discussion. The whole discussion is read and summarized for you; do NOT write a summary yourself.
+        
+        OUTPUT FORMAT: JSON ONLY
+        {
+            "action": "CREATE_POST" | "REPLY" | "VOTE_POLL" | "REMOVE_CONTENT" | "REVIEW_CODE" | "SUMMARIZE",
+            "reasoning": "User asked for a poll -> Action CREAT_POST",
+            "reply_text": "Here is the poll you asked for! 📊",
+            "sources": [1],
+            "post_data": { 
+                "title": "Poll Title",
+                "content": "Intro text (NO text options)",
+                "tags": ["tag1"], 
+                "code_language": "javascript" 
+            },
+            "poll_data": {
+                "question": "Question?",
+                "options": ["Option 1", "Option 2"],
+                "allow_multiple": false,
+                "duration_hours": 168,
+                "anonymous": false
+            },
+            "poll_vote_option_id": 123,
+            "poll_vote_comment": "Comment",
+            "review": {
+                "summary": "Solid structure, one real bug.",
+                "findings": [
+                    { "line_start": 3, "line_end": 5, "severity": "critical" | "major" | "minor" | "info", "category": "bug" | "security" | "performance" | "style" | "maintainability" | "best-practice", "message": "What is wrong", "suggestion": "How to fix it" }
+                ]
+            }
+        }
+    `,
+
+    // Discussion summaries (SUMMARIZE): notes per chunk, then one merge into the final JSON
+    'summary.chunk': `
+        You are summarizing part {{part}} of {{parts}} of the community discussion "{{title}}".
+
+        COMMENTS:
+        {{transcript}}
+
+        Write compact notes (plain text, max 10 bullet points): the main points and who made them,
+        questions nobody answered yet, and where people agreed or disagreed. No introduction.
+    `,
+    'summary.merge': `
+        You are summarizing the community discussion "{{title}}".
+
+        PREVIOUS SUMMARY (of the comments before these, JSON):
+        {{previous_summary}}
+
+        NEW COMMENTS ({{comment_count}}), or notes about them:
+        {{notes}}
+
+        Update the previous summary with the new comments (or write the first one). Drop open
+        questions that have been answered since. Keep it short: at most 6 key points and 4 open questions.
+        {{reply_language}}
+
+        OUTPUT FORMAT: JSON ONLY
+        {
+            "key_points": ["Point, with @username when it matters"],
+            "open_questions": ["Question still unanswered"],
+            "consensus": "One or two sentences on what people agree on, or that there is no consensus yet"
+        }
+    `,
+
+    // Long-term user memory (Neon): folds recent interactions into a compact profile
+    'memory.summarize': `
+        You maintain a short private profile of the community member @{{username}} so future answers fit them better.
+
+        CURRENT PROFILE (JSON):
+        {{memory}}
+
+        RECENT INTERACTIONS WITH THE BOT:
+        {{interactions}}
+
+        Update the profile: merge what the interactions reveal about their interests, stated preferences
+        (answer length, language, tools, code style) and skill level. Keep lasting facts only, no personal
+        data beyond what they shared about their work, no judgement. Max 3 sentences of summary, 6 preferences.
+
+        OUTPUT FORMAT: JSON ONLY
+        {
+            "summary": "Builds React apps, mostly asks about state management and testing",
+            "preferences": ["Prefers short answers with code", "Uses TypeScript"],
+            "skill_level": "beginner" | "intermediate" | "advanced"
+        }
+    `,
+
+    // Personality Preset (`custom` = only system_instruction)
+    'preset.professional': 'You are PROFESSIONAL and FORMAL. Use structured language, complete sentences, and technical terminology. Be thorough and detailed.',
+    'preset.friendly': 'You are FRIENDLY and WARM. Use casual language, be approachable and helpful. Make users feel comfortable asking questions.',
+    'preset.enthusiastic': 'You are SUPER ENTHUSIASTIC and ENERGETIC! Be motivating, exciting, and inspiring! Use lots of exclamation marks!',
+    'preset.teacher': 'You are a PATIENT TEACHER. Explain concepts step-by-step with examples. Break down complex topics into simple terms.',
+    'preset.sarcastic': 'You are WITTY and SARCASTIC. Use humor, playful teasing, and clever remarks. Keep it light and fun.',
+
+    // Tone (bot_tone: < 30 casual, < 60 balanced, else formal)
+    'tone.casual': 'Tone: Very casual and fun. Use slang, contractions, and informal language.',
+    'tone.balanced': 'Tone: Balanced - professional but approachable.',
+    'tone.formal': 'Tone: Very formal and professional. Use proper grammar and formal structure.',
+
+    // Emoji Level
+    'emoji.none': 'DO NOT use any emoji.',
+    'emoji.minimal': 'Use 1-2 emoji per response for emphasis.',
+    'emoji.moderate': 'Use 3-5 emoji to make responses engaging and fun.',
+    'emoji.high': 'Use LOTS of emoji! 🎉 Every sentence should have at least one! ✨',
+
+    // Expertise Level
+    'expertise.beginner': 'Target audience: BEGINNERS. Use simple explanations, avoid jargon, provide lots of context and examples.',
+    'expertise.intermediate': 'Target audience: INTERMEDIATE developers. Balance detail with clarity.',
+    'expertise.expert': 'Target audience: EXPERT developers. Be concise and technical. Assume advanced knowledge.',
+
+    // Verbosity
+    'verbosity.concise': 'Be VERY CONCISE. Short, direct answers only. No fluff.',
+    'verbosity.balanced': 'Provide BALANCED detail - not too short, not too long.',
+    'verbosity.detailed': 'Be COMPREHENSIVE. Provide thorough explanations with examples and edge cases.'
+}
+
+export const TEMPLATE_NAMES = Object.keys(DEFAULT_TEMPLATES)
+
+export const allowedVariables = (name) => TEMPLATE_VARIABLES[name] || PERSONALITY_VARIABLES
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g
+
+export function templateVariables(body) {
+    return [...new Set([...String(body).matchAll(PLACEHOLDER)].map(m => m[1]))]
+}
+
+// Returns { text, missing }: placeholders without a value render empty and are reported
+export function renderTemplate(body, vars = {}) {
+    const missing = []
+    const text = String(body).replace(PLACEHOLDER, (_, key) => {
+        if (vars[key] === undefined || vars[key] === null) {
+            if (!missing.includes(key)) missing.push(key)
+            return ''
+        }
+        return String(vars[key])
+    })
+    return { text, missing }
+}
+
+// Weighted, sticky pick: the same seed (user) always lands on the same version
+export function pickVersion(candidates, seed) {
+    const total = candidates.reduce((sum, c) => sum + c.weight, 0)
+    if (!total) return candidates[0]
+    const hash = crypto.createHash('sha1').update(String(seed)).digest()
+    let point = (hash.readUInt32BE(0) / 0x100000000) * total
+    for (const candidate of candidates) {
+        point -= candidate.weight
+        if (point < 0) return candidate
+    }
+    return candidates[candidates.length - 1]
+}
+
+// Resolve one version per requested name for this trigger.
+// Returns { [name]: { version, body, experiment } } (version 0 = built-in default).
+export async function selectTemplates(names, seed) {
+    const rows = await query(
+        `SELECT id, name, version, body, weight FROM ai_prompt_templates
+         WHERE name = ANY($1::text[]) AND is_active = TRUE
+         ORDER BY name, version DESC`,
+        [names]
+    ).catch(err => {
+        console.warn('Prompt templates unavailable, using built-ins:', err.message)
+        return null
+    })
+
+    const byName = {}
+    for (const row of rows?.rows || []) (byName[row.name] ||= []).push(row)
+
+    const selected = {}
+    for (const name of names) {
+        const versions = byName[name] || []
+        const weighted = versions.filter(v => v.weight > 0)
+        // No weights: newest active version wins; several weights: A/B split
+        const chosen = weighted.length ? pickVersion(weighted, `${name}:${seed}`) : versions[0]
+        selected[name] = chosen
+            ? { version: chosen.version, body: chosen.body, experiment: weighted.length > 1 }
+            : { version: BUILTIN_VERSION, body: DEFAULT_TEMPLATES[name] ?? '', experiment: false }
+    }
+    return selected
+}
+
+// --- ADMIN ---
+
+export async function listTemplates() {
+    const result = await query(
+        `SELECT id, name, version, body, weight, is_active, notes, created_by, created_at
+         FROM ai_prompt_templates ORDER BY name, version DESC`
+    )
+    const stored = result ? result.rows : []
+    return TEMPLATE_NAMES.map(name => ({
+        name,
+        variables: allowedVariables(name),
+        builtin: DEFAULT_TEMPLATES[name],
+        versions: stored.filter(row => row.name === name)
+    }))
+}
+
+// Refuses unknown names and placeholders the renderer would never fill
+export function checkTemplate(name, body) {
+    if (!TEMPLATE_NAMES.includes(name)) return `Unknown template "${name}"`
+    if (!String(body || '').trim()) return 'Template body is empty'
+    const unknown = templateVariables(body).filter(v => !allowedVariables(name).includes(v))
+    if (unknown.length) {
+        const allowed = allowedVariables(name)
+        return `Unknown variables: ${unknown.map(v => `{{${v}}}`).join(', ')}. Available: ${allowed.length ? allowed.map(v => `{{${v}}}`).join(', ') : 'none'}`
+    }
+    return null
+}
+
+export async function createTemplateVersion({ name, body, weight = 0, notes, createdBy }) {
+    const problem = checkTemplate(name, body)
+    if (problem) return { error: problem, status: 400 }
+
+    const result = await query(
+        `INSERT INTO ai_prompt_templates (name, version, body, weight, notes, created_by)
+         VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM ai_prompt_templates WHERE name = $1), $2, $3, $4, $5)
+         RETURNING *`,
+        [name, body, Math.max(0, parseInt(weight) || 0), notes || null, createdBy || null]
+    )
+    if (!result) return { error: 'Neon is not configured', status: 503 }
+    return { template: result.rows[0] }
+}
+
+export async function updateTemplateVersion(id, { weight, isActive }) {
+    const result = await query(
+        `UPDATE ai_prompt_templates SET
+            weight = COALESCE($2, weight),
+            is_active = COALESCE($3, is_active)
+         WHERE id = $1 RETURNING *`,
+        [id, weight === undefined || weight === '' ? null : Math.max(0, parseInt(weight) || 0), isActive === undefined ? null : [true, 'true', 'on', '1'].includes(isActive)]
+    )
+    if (!result) return { error: 'Neon is not configured', status: 503 }
+    if (!result.rows[0]) return { error: 'Template version not found', status: 404 }
+    return { template: result.rows[0] }
+}
+
+// Outcomes per master template version, from ai_execution_logs
+export async function getTemplateStats({ name = 'master', days = 30 } = {}) {
+    const result = await query(
+        `SELECT COALESCE((prompt_versions ->> $1)::int, ${BUILTIN_VERSION}) AS version,
+                COUNT(*) AS calls,
+                ROUND(AVG(prompt_tokens)) AS avg_prompt_tokens,
+                ROUND(AVG(completion_tokens)) AS avg_completion_tokens,
+                ROUND(AVG(cost_usd), 6) AS avg_cost_usd,
+                ROUND(AVG(CASE WHEN (validation_attempts -> 0 ->> 'valid')::boolean THEN 1 ELSE 0 END), 3) AS first_try_valid_rate,
+                ROUND(AVG(jsonb_array_length(COALESCE(validation_attempts, '[]'::jsonb))), 2) AS avg_attempts
+         FROM ai_execution_logs
+         WHERE created_at >= NOW() - $2 * INTERVAL '1 day' AND prompt_versions IS NOT NULL
+         GROUP BY 1 ORDER BY 1 DESC`,
+        [name, days]
+    )
+    return result ? result.rows : []
+}
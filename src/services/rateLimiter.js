@@ -0,0 +1,121 @@
+import { query } from '../db/neon.js'
+
+// --- BOT TRIGGER RATE LIMITS ---
+// Configured through ai_config `bot_rate_limits` (JSON):
+// {
+//   "per_user_per_hour": 10, "per_thread_per_hour": 30, "global_per_day": 500,
+//   "verified": { "per_user_per_hour": 20 },
+//   "roles": { "moderator": { "per_user_per_hour": null } }   // null = unlimited
+// }
+// Counters live in Neon (`ai_rate_counters`), one row per scope/key/window;
+// `ai_rate_charges` remembers which triggers were already counted.
+
+export const DEFAULT_LIMITS = {
+    per_user_per_hour: 10,
+    per_thread_per_hour: 30,
+    global_per_day: 500
+}
+
+const LIMIT_WINDOWS = {
+    per_user_per_hour: { scope: 'user', window: 'hour' },
+    per_thread_per_hour: { scope: 'thread', window: 'hour' },
+    global_per_day: { scope: 'global', window: 'day' }
+}
+
+// The discussion a trigger belongs to: the post for post comments, the thread for thread replies
+export function conversationKey(table, item) {
+    if (table === 'posts') return `post:${item.id}`
+    if (table === 'comments') return `post:${item.post_id}`
+    if (table === 'threads') return `thread:${item.id}`
+    return `thread:${item.thread_id}`
+}
+
+// Base limits, then `verified` overrides, then the role's overrides
+export function resolveLimits(rawConfig, profile) {
+    let config = {}
+    if (rawConfig) {
+        try {
+            config = typeof rawConfig === 'string' ? JSON.parse(rawConfig) : rawConfig
+        } catch (e) {
+            console.warn('⚠️ Invalid bot_rate_limits JSON, using defaults')
+        }
+    }
+
+    const limits = { ...DEFAULT_LIMITS }
+    for (const key of Object.keys(LIMIT_WINDOWS)) {
+        if (key in config) limits[key] = config[key]
+    }
+    if (profile?.is_verified && config.verified) Object.assign(limits, config.verified)
+    if (profile?.role && config.roles?.[profile.role]) Object.assign(limits, config.roles[profile.role])
+    return limits
+}
+
+// Returns { allowed: true } or { allowed: false, limit, notify }.
+// `notify` is true only the first time a counter is exceeded in its window,
+// so the bot posts one "slow down" reply and then stays silent.
+// `triggerKey` ("comments:42") charges a trigger once: queue retries, revisions and
+// reprocessing of an already counted trigger pass without using more quota.
+export async function checkRateLimits({ userId, threadKey, limits, triggerKey = null }) {
+    const keys = { user: userId || 'anonymous', thread: threadKey, global: 'all' }
+    const checks = Object.entries(LIMIT_WINDOWS)
+        .filter(([name]) => limits[name] !== null && limits[name] !== undefined)
+        .map(([name, { scope, window }]) => ({ name, scope, window, key: keys[scope], max: Number(limits[name]) }))
+
+    if (!checks.length) return { allowed: true }
+
+    // 1. Charge each trigger once
+    if (triggerKey) {
+        const charge = await query(
+            `INSERT INTO ai_rate_charges (trigger_key) VALUES ($1) ON CONFLICT (trigger_key) DO NOTHING`,
+            [triggerKey]
+        )
+        if (!charge) return { allowed: true } // Neon not configured
+        if (charge.rowCount === 0) return { allowed: true }
+    }
+
+    // 2. Count atomically and compare the returned count, so concurrent workers cannot both pass
+    const counted = []
+    for (const check of checks) {
+        const result = await query(
+            `INSERT INTO ai_rate_counters (scope, key, window_start, count) VALUES ($1, $2, date_trunc($3, NOW()), 1)
+             ON CONFLICT (scope, key, window_start) DO UPDATE SET count = ai_rate_counters.count + 1
+             RETURNING count`,
+            [check.scope, check.key, check.window]
+        )
+        if (!result) return { allowed: true } // Neon not configured
+        counted.push(check)
+        if (result.rows[0].count <= check.max) continue
+
+        // Over the limit: give back what this trigger took, it will not be answered
+        for (const done of counted) {
+            await query(
+                `UPDATE ai_rate_counters SET count = count - 1
+                 WHERE scope = $1 AND key = $2 AND window_start = date_trunc($3, NOW())`,
+                [done.scope, done.key, done.window]
+            )
+        }
+        if (triggerKey) await query(`DELETE FROM ai_rate_charges WHERE trigger_key = $1`, [triggerKey])
+
+        const claimed = await query(
+            `UPDATE ai_rate_counters SET notified = TRUE
+             WHERE scope = $1 AND key = $2 AND window_start = date_trunc($3, NOW()) AND notified = FALSE`,
+            [check.scope, check.key, check.window]
+        )
+        return { allowed: false, limit: check.name, notify: claimed.rowCount === 1 }
+    }
+
+    // Expired windows are never read again
+    if (Math.random() < 0.01) {
+        query(`DELETE FROM ai_rate_counters WHERE window_start < NOW() - INTERVAL '2 days'`)
+            .catch(err => console.error('Rate counter cleanup error:', err.message))
+        query(`DELETE FROM ai_rate_charges WHERE charged_at < NOW() - INTERVAL '2 days'`)
+            .catch(err => console.error('Rate charge cleanup error:', err.message))
+    }
+    return { allowed: true }
+}
+
+export const SLOW_DOWN_MESSAGES = {
+    per_user_per_hour: "You're asking faster than I can keep up! 😅 Please give me a little while before mentioning me again.",
+    per_thread_per_hour: "This discussion has kept me very busy! 🙏 I'll take a short break here - mention me again a bit later.",
+    global_per_day: "I've reached my limit of answers for today. 💤 I'll be back tomorrow!"
+}
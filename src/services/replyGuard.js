@@ -0,0 +1,58 @@
+import { query } from '../db/neon.js'
+
+// --- REPLY GUARD (one bot answer per trigger) ---
+// Neon `ai_trigger_replies` holds one row per answered trigger. The row is claimed
+// right before the reply is posted, so retries, reaper re-runs and admin reprocessing
+// can never post a second answer to the same item. Slow-down notices are not answers.
+
+export const LEGACY_PROCESSING = '(PROCESSING)'
+export const LEGACY_FAILED = '(FAILED: stale claim)'
+
+// Answered before? Also honours ai_memories_log rows written before the guard existed
+export async function hasReplied(supabase, table, triggerId) {
+    const marker = await query(
+        `SELECT 1 FROM ai_trigger_replies WHERE source_table = $1 AND trigger_id = $2`,
+        [table, String(triggerId)]
+    )
+    if (marker?.rows.length) return true
+
+    const { data: legacy } = await supabase
+        .from('ai_memories_log')
+        .select('output_text')
+        .eq('trigger_id', triggerId)
+        .not('output_text', 'in', `("${LEGACY_PROCESSING}","${LEGACY_FAILED}")`)
+        .limit(1)
+    return Boolean(legacy?.length)
+}
+
+// true = this caller may post. Without Neon there is nothing to guard with.
+export async function claimReply(table, triggerId, persona) {
+    const result = await query(
+        `INSERT INTO ai_trigger_replies (source_table, trigger_id, persona) VALUES ($1, $2, $3)
+         ON CONFLICT (source_table, trigger_id) DO NOTHING RETURNING trigger_id`,
+        [table, String(triggerId), persona || null]
+    )
+    return !result || result.rows.length > 0
+}
+
+// Where the answer went and what the bot created for the trigger ([{ table, id }], e.g. the
+// CREATE_POST post and poll), so edits can revise it and deletes clean up only the bot's own rows
+export async function recordReply(table, triggerId, { replyTable, replyId, artifacts = [] }) {
+    await query(
+        `UPDATE ai_trigger_replies SET reply_table = $3, reply_id = $4, artifacts = $5 WHERE source_table = $1 AND trigger_id = $2`,
+        [table, String(triggerId), replyTable, String(replyId), JSON.stringify(artifacts.map(a => ({ table: a.table, id: String(a.id) })))]
+    )
+}
+
+export async function findReply(table, triggerId) {
+    const result = await query(
+        `SELECT * FROM ai_trigger_replies WHERE source_table = $1 AND trigger_id = $2 AND reply_id IS NOT NULL`,
+        [table, String(triggerId)]
+    )
+    return result?.rows[0] || null
+}
+
+// Posting failed after the claim: free it so a retry can answer
+export async function releaseReply(table, triggerId) {
+    await query(`DELETE FROM ai_trigger_replies WHERE source_table = $1 AND trigger_id = $2`, [table, String(triggerId)])
+}
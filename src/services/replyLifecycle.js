@@ -0,0 +1,126 @@
+import { query } from '../db/neon.js'
+import { cancelJob } from './aiJobQueue.js'
+
+// --- UPDATE / DELETE WEBHOOK EVENTS ---
+// ai_config `bot_webhook_events` (JSON), e.g. { "update": "revise", "delete": "cascade" }
+//   update: "trigger" = answer when an edit newly adds the mention (default)
+//           "revise"  = also rewrite the bot's earlier answer when an answered message is edited
+//           "ignore"
+//   delete: "orphan"  = keep the bot's replies but mark them, keep what it created (default)
+//           "cascade" = remove the bot's replies and the posts / polls it created for the trigger
+//                       (CREATE_POST, recorded in ai_trigger_replies.artifacts) with their options,
+//                       votes and scheduled summary
+//           "ignore"
+// Polls the bot did not create are never closed or emptied, even on the deleted post itself:
+// only a closing summary scheduled for them is cancelled, since it has nowhere to go.
+
+export const DEFAULT_EVENT_SETTINGS = { update: 'trigger', delete: 'orphan' }
+const UPDATE_MODES = ['trigger', 'revise', 'ignore']
+const DELETE_MODES = ['orphan', 'cascade', 'ignore']
+
+// A revision only rewrites text; actions with side effects are not repeated
+export const REVISABLE_ACTIONS = ['REPLY', 'REVIEW_CODE', 'SUMMARIZE']
+export const REVISED_NOTE = '_(Updated after the question was edited.)_'
+export const ORPHAN_NOTE = '_(The message this reply answered has been deleted.)_'
+
+export function resolveEventSettings(raw) {
+    let config = {}
+    if (raw) {
+        try {
+            config = typeof raw === 'string' ? JSON.parse(raw) : raw
+        } catch (e) {
+            console.warn('Invalid bot_webhook_events JSON, using defaults:', e.message)
+        }
+    }
+    return {
+        update: UPDATE_MODES.includes(config.update) ? config.update : DEFAULT_EVENT_SETTINGS.update,
+        delete: DELETE_MODES.includes(config.delete) ? config.delete : DEFAULT_EVENT_SETTINGS.delete
+    }
+}
+
+// The recorded answer (ai_trigger_replies) plus bot rows directly under a deleted post/thread,
+// which also covers answers posted before replies were recorded
+async function findBotReplies(supabase, table, record, recorded, botUserIds) {
+    const replies = []
+    if (recorded?.reply_id) replies.push({ table: recorded.reply_table, id: recorded.reply_id })
+
+    const children = table === 'posts' ? [['threads', 'parent_post_id'], ['comments', 'post_id']]
+        : table === 'threads' ? [['thread_comments', 'thread_id']]
+            : []
+    for (const [childTable, column] of children) {
+        if (!botUserIds.length) break
+        const { data } = await supabase.from(childTable).select('id').eq(column, record.id).in('user_id', botUserIds)
+        data?.forEach(row => replies.push({ table: childTable, id: String(row.id) }))
+    }
+
+    const seen = new Set()
+    return replies.filter(r => {
+        const key = `${r.table}:${r.id}`
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+    })
+}
+
+async function removePoll(supabase, pollId) {
+    await supabase.from('poll_votes').delete().eq('poll_id', pollId)
+    await supabase.from('poll_options').delete().eq('poll_id', pollId)
+    const { error } = await supabase.from('polls').delete().eq('id', pollId)
+    if (error) console.warn(`Poll removal warning (polls:${pollId}):`, error.message)
+    return !error
+}
+
+// Returns { mode, replies, posts, polls, summaries_cancelled }
+export async function cleanupDeletedRecord(supabase, { table, record, mode, botUserIds = [] }) {
+    const summary = { mode, replies: 0, posts: 0, polls: 0, summaries_cancelled: 0 }
+    if (mode === 'ignore' || !record?.id) return summary
+
+    const recordedRow = await query(
+        `SELECT reply_table, reply_id, artifacts FROM ai_trigger_replies WHERE source_table = $1 AND trigger_id = $2`,
+        [table, String(record.id)]
+    )
+    const recorded = recordedRow?.rows[0] || null
+
+    // 1. The bot's replies
+    for (const reply of await findBotReplies(supabase, table, record, recorded, botUserIds)) {
+        if (mode === 'cascade') {
+            const { error } = await supabase.from(reply.table).delete().eq('id', reply.id)
+            if (error) console.warn(`Reply removal warning (${reply.table}:${reply.id}):`, error.message)
+            else summary.replies++
+            continue
+        }
+        const { data: row } = await supabase.from(reply.table).select('content').eq('id', reply.id).maybeSingle()
+        if (!row || (row.content || '').includes(ORPHAN_NOTE)) continue
+        const { error } = await supabase.from(reply.table).update({ content: `${row.content}\n\n${ORPHAN_NOTE}` }).eq('id', reply.id)
+        if (error) console.warn(`Orphan mark warning (${reply.table}:${reply.id}):`, error.message)
+        else summary.replies++
+    }
+    await query(
+        `UPDATE ai_trigger_replies SET status = $3 WHERE source_table = $1 AND trigger_id = $2`,
+        [table, String(record.id), mode === 'cascade' ? 'removed' : 'orphaned']
+    )
+
+    // 2. What the bot created for the trigger: polls first (they hang off the post), then posts
+    if (mode === 'cascade') {
+        const created = recorded?.artifacts || []
+        for (const poll of created.filter(a => a.table === 'polls')) {
+            if (await cancelJob(`poll_summary:${poll.id}`)) summary.summaries_cancelled++
+            if (await removePoll(supabase, poll.id)) summary.polls++
+        }
+        for (const post of created.filter(a => a.table === 'posts')) {
+            const { error } = await supabase.from('posts').delete().eq('id', post.id)
+            if (error) console.warn(`Post removal warning (posts:${post.id}):`, error.message)
+            else summary.posts++
+        }
+    }
+
+    // 3. Closing summaries scheduled for polls on a deleted post have nowhere to go
+    if (table === 'posts') {
+        const { data: polls } = await supabase.from('polls').select('id').eq('post_id', record.id)
+        for (const poll of polls || []) {
+            if (await cancelJob(`poll_summary:${poll.id}`)) summary.summaries_cancelled++
+        }
+    }
+
+    return summary
+}
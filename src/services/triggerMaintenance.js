@@ -0,0 +1,79 @@
+import { query } from '../db/neon.js'
+import { enqueueJob, requeueJob, STALE_LOCK_MINUTES } from './aiJobQueue.js'
+import { hasReplied, LEGACY_PROCESSING, LEGACY_FAILED } from './replyGuard.js'
+
+// --- STUCK CLAIMS & REPROCESSING ---
+// Two kinds of claims can outlive a crashed function:
+//   - ai_jobs rows left in "running" (the worker died mid-job)
+//   - legacy ai_memories_log rows stuck at "(PROCESSING)" from before the job queue
+// The reaper marks both failed and can re-run them; every re-run goes through the
+// reply guard, so an item that already got an answer is never answered twice.
+
+const TRIGGER_TABLES = ['comments', 'posts', 'threads', 'thread_comments']
+
+// Re-run one trigger through the queue. Returns { status, job? } where status is
+// queued | already_replied | already_queued | not_found | inline (no Neon, caller processes).
+// `preModerationApproved`: an admin released it from the moderation queue, skip the pre-filter.
+export async function reprocessTrigger(supabase, { table, id, preModerationApproved = false }) {
+    if (!TRIGGER_TABLES.includes(table)) return { status: 'invalid_table' }
+
+    const { data: record } = await supabase.from(table).select('*').eq('id', id).single()
+    if (!record) return { status: 'not_found' }
+    if (record.is_deleted) return { status: 'not_found' }
+
+    if (await hasReplied(supabase, table, id)) return { status: 'already_replied' }
+
+    const payload = preModerationApproved ? { table, record, premoderation_approved: true } : { table, record }
+    const dedupeKey = `${table}:${id}`
+    const job = await enqueueJob({ kind: 'webhook', dedupeKey, payload })
+    if (!job) return { status: 'inline', payload }
+    if (!job.duplicate) return { status: 'queued', job }
+
+    // The original job finished (dead / succeeded without a reply): give it a fresh run
+    const requeued = await requeueJob(dedupeKey, payload)
+    if (!requeued) return { status: 'already_queued', job }
+    return { status: 'queued', job: requeued }
+}
+
+export async function reapStuckClaims(supabase, { olderThanMinutes = STALE_LOCK_MINUTES, rerun = false } = {}) {
+    const summary = { jobs_failed: 0, jobs_requeued: 0, legacy_claims_failed: 0, rerun: [] }
+
+    // 1. Jobs stuck in "running": count the lost attempt, dead-letter when exhausted
+    const jobs = await query(
+        `UPDATE ai_jobs
+         SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+             last_error = 'Stale claim reaped (worker died mid-job)',
+             locked_at = NULL, locked_by = NULL, run_at = NOW(), updated_at = NOW()
+         WHERE status = 'running' AND locked_at < NOW() - $1 * INTERVAL '1 minute'
+         RETURNING id, status, payload`,
+        [olderThanMinutes]
+    )
+    const reapedJobs = jobs ? jobs.rows : []
+    summary.jobs_failed = reapedJobs.filter(j => j.status === 'dead').length
+    summary.jobs_requeued = reapedJobs.length - summary.jobs_failed
+
+    // 2. Legacy "(PROCESSING)" claims in ai_memories_log
+    const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000).toISOString()
+    const { data: claims, error } = await supabase
+        .from('ai_memories_log')
+        .update({ output_text: LEGACY_FAILED })
+        .eq('output_text', LEGACY_PROCESSING)
+        .lt('created_at', cutoff)
+        .select('trigger_id, trigger_source')
+    if (error) console.warn('Legacy claim reaper warning:', error.message)
+    summary.legacy_claims_failed = claims?.length || 0
+
+    if (!rerun) return summary
+
+    // 3. Optional re-run: dead jobs + legacy claims (guarded against double replies)
+    const targets = [
+        ...reapedJobs.filter(j => j.status === 'dead').map(j => ({ table: j.payload?.table, id: j.payload?.record?.id })),
+        ...(claims || []).map(c => ({ table: String(c.trigger_source || '').replace(/^webhook:/, ''), id: c.trigger_id }))
+    ].filter(t => t.table && t.id)
+
+    for (const target of targets) {
+        const outcome = await reprocessTrigger(supabase, target)
+        summary.rerun.push({ ...target, status: outcome.status, job_id: outcome.job?.id || null })
+    }
+    return summary
+}
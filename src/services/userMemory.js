@@ -0,0 +1,190 @@
+import { query } from '../db/neon.js'
+import { enqueueJob } from './aiJobQueue.js'
+
+// --- LONG-TERM USER MEMORY (Neon `ai_user_memories`, one row per user) ---
+// Every answered trigger appends a compact entry (message excerpt, action, topics) to the
+// user's document. Once `summarize_every` entries have piled up, a `user_memory_summary` job
+// folds them into the summary, preferences and skill level with the model and drops them.
+// The memory is shown to the model under USER HISTORY; "/ai forget me" deletes the row.
+// Writes are optimistic: each row carries a version and an update only lands on the version it read.
+// ai_config `bot_user_memory` (JSON): { "enabled": true, "summarize_every": 10, "max_topics": 15 }
+
+export const DEFAULT_MEMORY_SETTINGS = { enabled: true, summarize_every: 10, max_topics: 15 }
+
+const MAX_PENDING = 50
+const EXCERPT_CHARS = 200
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced']
+const WRITE_ATTEMPTS = 5
+
+export function resolveMemorySettings(raw) {
+    let config = {}
+    if (raw) {
+        try {
+            config = typeof raw === 'string' ? JSON.parse(raw) : raw
+        } catch (e) {
+            console.warn('Invalid bot_user_memory JSON, using defaults:', e.message)
+        }
+    }
+    return {
+        enabled: config.enabled !== false,
+        summarize_every: Math.max(parseInt(config.summarize_every) || DEFAULT_MEMORY_SETTINGS.summarize_every, 1),
+        max_topics: Math.max(parseInt(config.max_topics) || DEFAULT_MEMORY_SETTINGS.max_topics, 1)
+    }
+}
+
+const STOPWORDS = new Set('about after again also could does doing every from have here just know like make more much need only other please really should some than that their them then there these they thing think this those want what when where which while will with would your'.split(' '))
+
+// Tags and the code language, plus the most frequent longer words of the message
+export function extractTopics({ message = '', tags = [], language = null } = {}) {
+    const counts = {}
+    const words = String(message)
+        .replace(/```[\s\S]*?```|`[^`]*`|https?:\/\/\S+|[@/][\w.-]+/g, ' ')
+        .toLowerCase()
+        .match(/\p{L}[\p{L}\p{N}+#-]{4,}/gu) || []
+    words.filter(w => !STOPWORDS.has(w)).forEach(w => counts[w] = (counts[w] || 0) + 1)
+    const keywords = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([word]) => word)
+
+    return [...new Set([...(tags || []), language, ...keywords].filter(Boolean).map(t => String(t).toLowerCase().trim()))]
+}
+
+async function readMemory(userId) {
+    const result = await query(`SELECT memory, version FROM ai_user_memories WHERE user_id = $1`, [String(userId)])
+    if (!result) return null // Neon not configured
+    return result.rows[0] || { memory: null, version: 0 }
+}
+
+// Applies mutate(current) -> next (or null to leave the row alone) and retries when another
+// worker wrote in between. Returns the stored memory, or null when nothing was written.
+async function updateMemory(userId, mutate) {
+    for (let attempt = 0; attempt < WRITE_ATTEMPTS; attempt++) {
+        const current = await readMemory(userId)
+        if (!current) return null
+        const next = mutate(current.memory)
+        if (!next) return null
+
+        const result = current.version === 0
+            ? await query(
+                `INSERT INTO ai_user_memories (user_id, memory) VALUES ($1, $2)
+                 ON CONFLICT (user_id) DO NOTHING`,
+                [String(userId), JSON.stringify(next)]
+            )
+            : await query(
+                `UPDATE ai_user_memories SET memory = $2, version = version + 1, updated_at = NOW()
+                 WHERE user_id = $1 AND version = $3`,
+                [String(userId), JSON.stringify(next), current.version]
+            )
+        if (result.rowCount > 0) return next
+    }
+    throw new Error(`User memory of ${userId} kept changing, gave up after ${WRITE_ATTEMPTS} attempts`)
+}
+
+export async function loadUserMemory(userId) {
+    return (await readMemory(userId))?.memory || null
+}
+
+// Returns { memory, due } where `due` means enough entries are waiting for a summary
+export async function recordInteraction(userId, { username, message, action, source, topics = [] }, settings = DEFAULT_MEMORY_SETTINGS) {
+    const now = new Date().toISOString()
+    const memory = await updateMemory(userId, (stored) => {
+        const current = stored || {
+            user_id: String(userId),
+            summary: '',
+            preferences: [],
+            skill_level: null,
+            topics: [],
+            pending: [],
+            interactions: 0,
+            summarized_at: null
+        }
+
+        const topicCounts = new Map((current.topics || []).map(t => [t.name, t]))
+        for (const name of topics) {
+            const topic = topicCounts.get(name) || { name, count: 0 }
+            topicCounts.set(name, { ...topic, count: topic.count + 1, last_at: now })
+        }
+
+        return {
+            ...current,
+            username: username || current.username || null,
+            topics: [...topicCounts.values()]
+                .sort((a, b) => b.count - a.count || String(b.last_at).localeCompare(String(a.last_at)))
+                .slice(0, settings.max_topics),
+            pending: [...(current.pending || []), { at: now, source, action, message: String(message || '').slice(0, EXCERPT_CHARS), topics }].slice(-MAX_PENDING),
+            interactions: (current.interactions || 0) + 1,
+            updated_at: now
+        }
+    })
+    if (!memory) return { memory: null, due: false }
+    return { memory, due: memory.pending.length >= settings.summarize_every }
+}
+
+// For USER HISTORY in the master prompt; '' when there is nothing worth saying
+export function renderMemoryContext(memory) {
+    if (!memory) return ''
+    const lines = []
+    if (memory.summary) lines.push(`- Summary: ${memory.summary}`)
+    if (memory.preferences?.length) lines.push(`- Preferences: ${memory.preferences.join('; ')}`)
+    if (memory.skill_level) lines.push(`- Skill level: ${memory.skill_level}`)
+    if (memory.topics?.length) lines.push(`- Frequent topics: ${memory.topics.slice(0, 8).map(t => `${t.name} (${t.count})`).join(', ')}`)
+    const recent = (memory.pending || []).slice(-3)
+    if (recent.length) lines.push(`- Recently asked: ${recent.map(p => `"${p.message.slice(0, 80)}"`).join(', ')}`)
+    if (!lines.length) return ''
+    return `Long-term memory of this user (${memory.interactions || 0} earlier interactions, use it to tailor the answer, never quote it):\n${lines.join('\n')}`
+}
+
+// Dedupe key per threshold crossing, so a user is never summarized twice for the same entries
+export function scheduleMemorySummary({ userId, persona, interactions }) {
+    return enqueueJob({
+        kind: 'user_memory_summary',
+        dedupeKey: `user_memory:${userId}:${interactions}`,
+        payload: { user_id: String(userId), persona }
+    })
+}
+
+function parseSummary(text) {
+    const json = String(text || '').replace(/```(json)?/g, '').trim()
+    const parsed = JSON.parse(json.slice(json.indexOf('{'), json.lastIndexOf('}') + 1))
+    return {
+        summary: String(parsed.summary || '').slice(0, 1000),
+        preferences: (Array.isArray(parsed.preferences) ? parsed.preferences : []).map(p => String(p).slice(0, 200)).slice(0, 10),
+        skill_level: SKILL_LEVELS.includes(parsed.skill_level) ? parsed.skill_level : null
+    }
+}
+
+// Folds the pending entries into summary / preferences / skill level.
+// generate(promptText) -> text; prompt(vars) renders the `memory.summarize` template.
+// Entries added while the model was busy stay pending for the next round.
+export async function summarizeUserMemory(userId, { generate, prompt }) {
+    const memory = await loadUserMemory(userId)
+    if (!memory?.pending?.length) return { status: 'ignored', message: 'Nothing to summarize' }
+
+    const folded = memory.pending
+    const text = await generate(prompt({
+        username: memory.username || 'User',
+        memory: JSON.stringify({
+            summary: memory.summary,
+            preferences: memory.preferences,
+            skill_level: memory.skill_level,
+            topics: (memory.topics || []).map(t => t.name)
+        }),
+        interactions: folded.map(p => `- [${p.at.slice(0, 10)}] (${p.action || 'REPLY'}) ${p.message}`).join('\n')
+    }))
+    const summary = parseSummary(text)
+
+    const foldedAt = new Set(folded.map(p => p.at))
+    const applied = await updateMemory(userId, (current) => {
+        // Forgotten in the meantime: do not bring it back
+        if (!current) return null
+        return {
+            ...current,
+            ...summary,
+            pending: (current.pending || []).filter(p => !foldedAt.has(p.at)),
+            summarized_at: new Date().toISOString()
+        }
+    })
+    return applied ? { status: 'done', folded: folded.length, skill_level: summary.skill_level } : { status: 'ignored', message: 'Memory was deleted' }
+}
+
+export async function forgetUser(userId) {
+    await query(`DELETE FROM ai_user_memories WHERE user_id = $1`, [String(userId)])
+}
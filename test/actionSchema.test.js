@@ -0,0 +1,76 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+const { validateAction, parseAndValidateAction, buildRepairPrompt } = await import('../src/services/actionSchema.js')
+
+test('validateAction accepts a plain reply', () => {
+    const result = validateAction({ action: 'REPLY', reasoning: 'Simple question', reply_text: 'Use flexbox.' })
+    assert.deepEqual(result.errors, [])
+    assert.equal(result.valid, true)
+})
+
+test('validateAction rejects unknown and unavailable actions', () => {
+    assert.match(validateAction({ action: 'DANCE' }).errors[0], /^action: must be one of REPLY, CREATE_POST/)
+    assert.deepEqual(validateAction({ action: 'REMOVE_CONTENT', reasoning: 'spam' }, { allowedActions: ['REPLY'] }).errors, [
+        'action: "REMOVE_CONTENT" is not available to you, use one of REPLY'
+    ])
+    assert.deepEqual(validateAction([1]).errors, ['root: must be a JSON object, got array'])
+})
+
+test('validateAction reports every field error with its path', () => {
+    const result = validateAction({
+        action: 'CREATE_POST',
+        post_data: { title: '', tags: ['ok', 3] },
+        poll_data: { options: ['Only one'], duration_hours: 0 }
+    })
+    assert.equal(result.valid, false)
+    assert.deepEqual(result.errors, [
+        'post_data.title: must not be empty',
+        'post_data.content: is required',
+        'post_data.tags[1]: must be a string, got number',
+        'poll_data.options: needs at least 2 items, got 1',
+        'poll_data.duration_hours: must be >= 1'
+    ])
+})
+
+test('validateAction caps poll options with the configured maximum', () => {
+    const poll = { action: 'CREATE_POST', post_data: { title: 'Poll', content: 'Vote!' }, poll_data: { options: ['a', 'b', 'c', 'd'] } }
+    assert.equal(validateAction(poll, { maxPollOptions: 4 }).valid, true)
+    assert.deepEqual(validateAction(poll, { maxPollOptions: 3 }).errors, ['poll_data.options: allows at most 3 options, got 4'])
+})
+
+test('validateAction only accepts votes for options of the poll in context, normalizing the id', () => {
+    const vote = (id) => ({ action: 'VOTE_POLL', poll_vote_option_id: id })
+    const result = validateAction(vote('12'), { pollOptionIds: [11, 12] })
+    assert.equal(result.valid, true)
+    assert.equal(result.value.poll_vote_option_id, 12)
+    assert.match(validateAction(vote(13), { pollOptionIds: [11, 12] }).errors[0], /13 is not one of the poll option IDs \[11, 12\]/)
+    assert.deepEqual(validateAction(vote(11), {}).errors, ['poll_vote_option_id: there is no poll in the context, so there is nothing to vote on'])
+})
+
+test('validateAction checks review findings against the snippet', () => {
+    const review = (findings) => ({ action: 'REVIEW_CODE', review: { summary: 'Looks fine', findings } })
+    const finding = { line_start: 3, line_end: 4, severity: 'minor', category: 'style', message: 'Naming', suggestion: 'Rename it' }
+    assert.equal(validateAction(review([finding]), { codeLineCount: 10 }).valid, true)
+    assert.deepEqual(validateAction(review([{ ...finding, line_end: 12 }]), { codeLineCount: 10 }).errors, [
+        'review.findings[0]: line 12 is outside the snippet (10 lines)'
+    ])
+    assert.deepEqual(validateAction(review([]), {}).errors, ['review: there is no code snippet in the context to review'])
+})
+
+test('validateAction only allows citing related posts that were offered', () => {
+    const reply = { action: 'REPLY', reply_text: 'See [1]', sources: [1, 3] }
+    assert.deepEqual(validateAction(reply, { relatedCount: 2 }).errors, ['sources: 3 not in the related posts list (1-2)'])
+    assert.deepEqual(validateAction(reply, {}).errors, ['sources: there are no related posts in the context to cite'])
+})
+
+test('parseAndValidateAction extracts the object from fenced or chatty output', () => {
+    assert.equal(parseAndValidateAction('Sure!\n```json\n{"action": "REPLY", "reply_text": "Hi"}\n```').valid, true)
+    assert.match(parseAndValidateAction('{"action": "REPLY", "reply_text": ').errors[0], /^root: output is not valid JSON/)
+})
+
+test('buildRepairPrompt lists every validation error', () => {
+    const prompt = buildRepairPrompt('PROMPT', '{"action": "REPLY"}', ['reply_text: is required', 'reasoning: must be a string, got number'])
+    assert.match(prompt, /YOUR PREVIOUS OUTPUT WAS REJECTED/)
+    assert.match(prompt, /- reply_text: is required\n\s+- reasoning: must be a string, got number/)
+})
@@ -0,0 +1,32 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+const { resolveProviderChain } = await import('../src/services/aiProviders.js')
+
+const KEY_VARS = ['AI_API_KEY', 'VITE_AI_API_KEY', 'GEMINI_API_KEY', 'OPENAI_API_KEY']
+
+beforeEach(() => {
+    for (const name of KEY_VARS) delete process.env[name]
+})
+
+test('resolveProviderChain gives the generic AI_API_KEY to the primary provider', () => {
+    process.env.AI_API_KEY = 'generic'
+    const [link] = resolveProviderChain({ ai_provider: 'openai' })
+    assert.equal(link.provider, 'openai')
+    assert.equal(link.apiKey, 'generic')
+})
+
+test('resolveProviderChain prefers the provider key over the generic one', () => {
+    process.env.AI_API_KEY = 'generic'
+    process.env.GEMINI_API_KEY = 'gemini'
+    assert.equal(resolveProviderChain({ ai_provider: 'google' })[0].apiKey, 'gemini')
+})
+
+test('resolveProviderChain never hands the generic key to a fallback', () => {
+    process.env.AI_API_KEY = 'generic'
+    const chain = resolveProviderChain({ ai_provider: 'google', ai_provider_chain: 'google,openai' })
+    assert.deepEqual(chain.map(link => link.provider), ['google'])
+    process.env.OPENAI_API_KEY = 'openai'
+    const withKey = resolveProviderChain({ ai_provider: 'google', ai_provider_chain: 'google,openai' })
+    assert.deepEqual(withKey.map(link => link.apiKey), ['generic', 'openai'])
+})
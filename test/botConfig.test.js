@@ -0,0 +1,69 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+const { validateConfig, validateConfigValue } = await import('../src/services/botConfig.js')
+
+const messages = (issues) => issues.map(i => `${i.level}: ${i.message}`)
+
+test('validateConfig keeps valid known keys', () => {
+    const { configMap, issues } = validateConfig([
+        { key: 'ai_provider', value: 'mock' },
+        { key: 'bot_temperature', value: '0.7' },
+        { key: 'bot_retrieval_limit', value: '3' },
+        { key: 'site_url', value: 'https://example.com' }
+    ])
+    assert.deepEqual(configMap, { ai_provider: 'mock', bot_temperature: '0.7', bot_retrieval_limit: '3', site_url: 'https://example.com' })
+    assert.deepEqual(issues, [])
+})
+
+test('validateConfig drops invalid values and reports them as errors', () => {
+    const { configMap, issues } = validateConfig([
+        { key: 'bot_temperature', value: '7' },
+        { key: 'bot_repair_attempts', value: 'two' },
+        { key: 'ai_provider', value: 'skynet' },
+        { key: 'bot_rate_limits', value: '[1, 2]' }
+    ])
+    assert.deepEqual(configMap, {})
+    assert.deepEqual(issues.map(i => [i.key, i.level]), [
+        ['bot_temperature', 'error'],
+        ['bot_repair_attempts', 'error'],
+        ['ai_provider', 'error'],
+        ['bot_rate_limits', 'error']
+    ])
+    assert.match(issues[0].message, /must be <= 2, got 7; using the default/)
+})
+
+test('validateConfig warns about unknown bot_/ai_ keys only', () => {
+    const { configMap, issues } = validateConfig([
+        { key: 'bot_temprature', value: '1' },
+        { key: 'webhook_secret_github', value: 'x' },
+        { key: 'theme', value: 'dark' }
+    ])
+    assert.deepEqual(configMap, {})
+    assert.deepEqual(messages(issues), ['warning: bot_temprature is not a known setting (typo?) and is ignored'])
+})
+
+test('validateConfig accepts any bot_user_id format', () => {
+    for (const id of ['00000000-0000-0000-0000-000000000001', '42', 'legacy_bot']) {
+        const { configMap, issues } = validateConfig([{ key: 'bot_user_id', value: id }])
+        assert.equal(configMap.bot_user_id, id)
+        assert.deepEqual(issues, [])
+    }
+})
+
+test('validateConfig drops invalid persona overrides and keeps the rest of the persona', () => {
+    const personas = [{ id: 'reviewer', bot_user_id: 'r1', bot_temperature: 5, bot_tone: 40, bot_colour: 'red' }]
+    const { configMap, issues } = validateConfig([{ key: 'bot_personas', value: JSON.stringify(personas) }])
+    assert.deepEqual(JSON.parse(configMap.bot_personas), [{ id: 'reviewer', bot_user_id: 'r1', bot_tone: 40, bot_colour: 'red' }])
+    assert.deepEqual(messages(issues), [
+        'error: bot_personas[reviewer].bot_temperature must be <= 2, got 5; using the top-level value',
+        'warning: bot_personas[reviewer].bot_colour is not a known setting (typo?)'
+    ])
+})
+
+test('validateConfigValue checks JSON refinements', () => {
+    assert.equal(validateConfigValue('bot_webhook_events', '{"delete": "cascade"}'), null)
+    assert.match(validateConfigValue('bot_webhook_events', '{"delete": "purge"}'), /delete must be orphan, cascade or ignore/)
+    assert.match(validateConfigValue('bot_personas', '[{"id": "x"}]'), /need both "id" and "bot_user_id"/)
+    assert.equal(validateConfigValue('bot_temperature', ''), null)
+})
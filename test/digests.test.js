@@ -0,0 +1,52 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+const { digestPeriod, resolveDigests } = await import('../src/services/digests.js')
+
+const digest = (entry) => resolveDigests([entry])[0]
+
+test('resolveDigests fills the type defaults and skips unknown types', () => {
+    const digests = resolveDigests('[{"type": "top_posts", "hour": 18}, {"type": "weather"}, {"type": "community_stats", "schedule": "hourly"}]')
+    assert.equal(digests.length, 2)
+    assert.deepEqual(
+        { id: digests[0].id, schedule: digests[0].schedule, hour: digests[0].hour, weekday: digests[0].weekday, limit: digests[0].limit },
+        { id: 'top_posts', schedule: 'weekly', hour: 18, weekday: 1, limit: 5 }
+    )
+    assert.equal(digests[1].schedule, 'monthly')
+    assert.deepEqual(resolveDigests('not json'), [])
+})
+
+test('digestPeriod keys daily digests by date and waits for the configured hour', () => {
+    const daily = digest({ type: 'new_members', schedule: 'daily', hour: 9 })
+    const before = digestPeriod(daily, new Date('2026-10-19T08:00:00Z'))
+    assert.equal(before.key, '2026-10-19')
+    assert.equal(before.due, false)
+    assert.equal(digestPeriod(daily, new Date('2026-10-19T10:00:00Z')).due, true)
+    assert.equal(before.since.toISOString(), '2026-10-18T08:00:00.000Z')
+})
+
+test('digestPeriod keys weekly digests by ISO week and is due from the configured weekday', () => {
+    const weekly = digest({ type: 'top_posts', weekday: 3, hour: 9 })
+    const monday = digestPeriod(weekly, new Date('2026-10-19T12:00:00Z'))
+    assert.equal(monday.key, '2026-W43')
+    assert.equal(monday.due, false)
+    assert.equal(digestPeriod(weekly, new Date('2026-10-21T07:00:00Z')).due, false)
+    assert.equal(digestPeriod(weekly, new Date('2026-10-21T09:00:00Z')).due, true)
+    assert.equal(digestPeriod(weekly, new Date('2026-10-22T00:00:00Z')).due, true)
+})
+
+test('digestPeriod puts the days around new year in the right ISO week', () => {
+    const weekly = digest({ type: 'top_posts' })
+    assert.equal(digestPeriod(weekly, new Date('2026-12-31T12:00:00Z')).key, '2026-W53')
+    assert.equal(digestPeriod(weekly, new Date('2027-01-01T12:00:00Z')).key, '2026-W53')
+    assert.equal(digestPeriod(weekly, new Date('2027-01-04T12:00:00Z')).key, '2027-W01')
+})
+
+test('digestPeriod keys monthly digests by month, with a readable label', () => {
+    const monthly = digest({ type: 'community_stats', day: 5, hour: 9 })
+    const early = digestPeriod(monthly, new Date('2026-10-04T12:00:00Z'))
+    assert.equal(early.key, '2026-10')
+    assert.equal(early.due, false)
+    assert.equal(early.label, 'Sep 4, 2026 – Oct 4, 2026')
+    assert.equal(digestPeriod(monthly, new Date('2026-10-05T09:30:00Z')).due, true)
+})
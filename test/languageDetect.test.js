@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+const { detectLanguage, resolveReplyLanguage, UNDETERMINED } = await import('../src/services/languageDetect.js')
+
+const code = (text) => detectLanguage(text).code
+
+test('detectLanguage recognises Latin-script languages by function words and diacritics', () => {
+    assert.equal(code('How do I fix this error when I run the build?'), 'en')
+    assert.equal(code('¿Cómo puedo instalar esto en mi portátil? No funciona'), 'es')
+    assert.equal(code('Wie kann ich das Problem mit der Datenbank lösen? Es ist nicht klar'), 'de')
+    assert.equal(code("Pourquoi est-ce que le build ne marche pas dans mon projet ?"), 'fr')
+})
+
+test('detectLanguage recognises non-Latin scripts and their close relatives', () => {
+    assert.equal(code('Как настроить сервер?'), 'ru')
+    assert.equal(code('Як налаштувати сервер, їжак?'), 'uk')
+    assert.equal(code('このエラーはどうやって直しますか'), 'ja')
+    assert.equal(code('这个错误怎么解决'), 'zh')
+    assert.equal(code('이 오류를 어떻게 고치나요'), 'ko')
+    assert.equal(detectLanguage('Как настроить сервер?').name, 'Russian')
+})
+
+test('detectLanguage ignores mentions, links and code', () => {
+    const text = '@gemini ¿por qué falla esto? ```js\nconst the = is.not.what(you, do)\n``` https://example.com/the/docs'
+    assert.equal(code(text), 'es')
+})
+
+test('detectLanguage returns "und" when unsure', () => {
+    assert.equal(code(''), UNDETERMINED)
+    assert.equal(code('👍 12345'), UNDETERMINED)
+    assert.equal(code('Kubernetes Docker'), UNDETERMINED)
+    assert.deepEqual(detectLanguage('@bot `npm install`'), { code: UNDETERMINED, name: null, confidence: 0 })
+})
+
+test('resolveReplyLanguage prefers a forced language, then the detected one, then the first allowed', () => {
+    const spanish = { code: 'es' }
+    assert.equal(resolveReplyLanguage(spanish, { forced: 'de' }).source, 'forced')
+    const allowed = resolveReplyLanguage(spanish, { allowed: 'en,es' })
+    assert.equal(allowed.code, 'es')
+    assert.equal(allowed.source, 'detected')
+    const fallback = resolveReplyLanguage(spanish, { allowed: 'en,de' })
+    assert.equal(fallback.code, 'en')
+    assert.equal(fallback.source, 'fallback')
+    const none = resolveReplyLanguage({ code: UNDETERMINED })
+    assert.equal(none.source, 'none')
+    assert.match(none.instruction, /same language as the user/)
+})
@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+const { findTrigger, findMentions, parseCommand } = await import('../src/services/mentions.js')
+const { findBotCommand } = await import('../src/services/botCommands.js')
+
+test('findMentions returns whole handles, lowercased, outside code and quotes', () => {
+    const mentions = findMentions('@Gemini look at `@ignored`\n> @quoted said so\n@José, thanks @bot.')
+    assert.deepEqual(mentions.map(m => m.handle), ['gemini', 'josé', 'bot'])
+    assert.equal(mentions[0].index, 0)
+})
+
+test('findTrigger matches a handle only as a whole mention', () => {
+    assert.equal(findTrigger('hey @gemini, thoughts?', '@gemini'), 4)
+    assert.equal(findTrigger('hey @GEMINI thoughts?', '@Gemini'), 4)
+    assert.equal(findTrigger('@geminifan said so', '@gemini'), -1)
+    assert.equal(findTrigger('mail me@gemini.dev', '@gemini'), -1)
+    assert.equal(findTrigger('see https://x.com/@gemini', '@gemini'), -1)
+})
+
+test('findTrigger matches phrases as whole words, outside code and quotes', () => {
+    assert.equal(findTrigger('Hey   AI, can you help?', 'hey ai'), 0)
+    assert.equal(findTrigger('they aim high', 'hey ai'), -1)
+    assert.equal(findTrigger('he wrote "hey ai" in the docs', 'hey ai'), -1)
+    assert.equal(findTrigger('```\nhey ai\n```', 'hey ai'), -1)
+    assert.equal(findTrigger('anything', ''), -1)
+})
+
+test('parseCommand reads a command at the start of a line, after optional mentions', () => {
+    assert.deepEqual(parseCommand('/ai poll Tabs or spaces?'), { name: 'poll', args: 'Tabs or spaces?' })
+    assert.deepEqual(parseCommand('@gemini /ai summarize'), { name: 'summarize', args: '' })
+    assert.deepEqual(parseCommand('Thanks!\n  /AI Review please'), { name: 'review', args: 'please' })
+    assert.deepEqual(parseCommand('/ai'), { name: 'help', args: '' })
+})
+
+test('parseCommand keeps quotes in the arguments from the original text', () => {
+    assert.deepEqual(parseCommand('/ai poll "Vim" or "Emacs"?'), { name: 'poll', args: '"Vim" or "Emacs"?' })
+})
+
+test('parseCommand ignores /ai in prose, paths, code and quotes', () => {
+    assert.equal(parseCommand('I put it in the /ai folder'), null)
+    assert.equal(parseCommand('/aim for the stars'), null)
+    assert.equal(parseCommand('`/ai poll x`'), null)
+    assert.equal(parseCommand('> /ai poll quoted'), null)
+})
+
+test('findBotCommand only returns known commands', () => {
+    assert.equal(findBotCommand('/ai poll Tabs?')?.name, 'poll')
+    assert.equal(findBotCommand('/ai dance')?.name, undefined)
+    assert.equal(findBotCommand('no command here'), null)
+})
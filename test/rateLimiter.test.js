@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+const { resolveLimits, conversationKey, DEFAULT_LIMITS } = await import('../src/services/rateLimiter.js')
+
+test('resolveLimits falls back to the defaults without config', () => {
+    assert.deepEqual(resolveLimits(null, { role: 'member' }), DEFAULT_LIMITS)
+    assert.deepEqual(resolveLimits('{not json', null), DEFAULT_LIMITS)
+})
+
+test('resolveLimits reads the base limits from JSON and ignores unknown keys', () => {
+    const limits = resolveLimits('{"per_user_per_hour": 3, "per_minute": 1}', {})
+    assert.deepEqual(limits, { ...DEFAULT_LIMITS, per_user_per_hour: 3 })
+})
+
+test('resolveLimits applies verified overrides only to verified profiles', () => {
+    const config = { per_user_per_hour: 5, verified: { per_user_per_hour: 20 } }
+    assert.equal(resolveLimits(config, { is_verified: false }).per_user_per_hour, 5)
+    assert.equal(resolveLimits(config, { is_verified: true }).per_user_per_hour, 20)
+})
+
+test('resolveLimits applies role overrides last, null meaning unlimited', () => {
+    const config = {
+        verified: { per_user_per_hour: 20 },
+        roles: { moderator: { per_user_per_hour: null, global_per_day: 1000 } }
+    }
+    const limits = resolveLimits(config, { is_verified: true, role: 'moderator' })
+    assert.equal(limits.per_user_per_hour, null)
+    assert.equal(limits.global_per_day, 1000)
+    assert.equal(limits.per_thread_per_hour, DEFAULT_LIMITS.per_thread_per_hour)
+})
+
+test('conversationKey groups comments with their post and replies with their thread', () => {
+    assert.equal(conversationKey('posts', { id: 7 }), 'post:7')
+    assert.equal(conversationKey('comments', { id: 1, post_id: 7 }), 'post:7')
+    assert.equal(conversationKey('threads', { id: 3 }), 'thread:3')
+    assert.equal(conversationKey('thread_comments', { id: 9, thread_id: 3 }), 'thread:3')
+})
@@ -0,0 +1,149 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Offline: no Neon (triggers are processed inline), no real Supabase, mock AI provider
+delete process.env.DATABASE_URL
+delete process.env.POSTGRES_URL
+process.env.VITE_SUPABASE_URL = ''
+process.env.SUPABASE_URL = ''
+
+const { default: handler, setSupabaseClient, AiPollCreator } = await import('../src/controllers/aiBotController.js')
+const { createMemoryClient } = await import('../src/services/memoryClient.js')
+const { invalidateConfigCache } = await import('../src/services/botConfig.js')
+const { scriptMockResponses, getMockCalls, resetMock } = await import('../src/services/mockProvider.js')
+
+const BOT = '00000000-0000-0000-0000-000000000001'
+const USER = '00000000-0000-0000-0000-000000000002'
+
+let supabase
+let nextCommentId = 100
+
+// Sends one webhook delivery through the handler and resolves with { code, ...body }
+function deliver(body) {
+    return new Promise((resolve) => {
+        const res = {
+            code: 200,
+            status(code) { this.code = code; return this },
+            json(payload) { resolve({ code: this.code, ...payload }) },
+            send(payload) { resolve({ code: this.code, payload }) }
+        }
+        handler({ method: 'POST', body }, res)
+    })
+}
+
+const comment = (content, postId = 1) => deliver({
+    type: 'INSERT',
+    table: 'comments',
+    record: { id: nextCommentId++, post_id: postId, user_id: USER, content }
+})
+
+const botReplies = () => supabase.tables.comments.filter(c => c.user_id === BOT)
+
+// Every test gets its own client and seeds whatever else it needs
+beforeEach(() => {
+    supabase = createMemoryClient({
+        tables: {
+            ai_config: [
+                { key: 'ai_provider', value: 'mock' },
+                { key: 'bot_user_id', value: BOT },
+                { key: 'bot_retrieval_limit', value: '0' }
+            ],
+            profiles: [
+                { id: USER, username: 'ada', role: 'member' },
+                { id: BOT, username: 'bot' }
+            ],
+            posts: [{ id: 1, user_id: USER, title: 'Tabs?', description: 'Tabs or spaces, what do you use?' }],
+            comments: []
+        }
+    })
+    invalidateConfigCache()
+    setSupabaseClient(supabase)
+    resetMock()
+})
+
+test('scrubContent turns a bulleted list under a question into poll options', () => {
+    const scrubbed = AiPollCreator.scrubContent('Which editor do you use?\n- Vim\n- Emacs\n- VS Code\n\nTell us why in the comments.', false)
+    assert.deepEqual(scrubbed.foundOptions, ['Vim', 'Emacs', 'VS Code'])
+    assert.equal(scrubbed.cleanContent, 'Which editor do you use?\nTell us why in the comments.')
+})
+
+test('scrubContent leaves prose without a list alone', () => {
+    const scrubbed = AiPollCreator.scrubContent('Just a regular answer.\nNothing to vote on here.', false)
+    assert.deepEqual(scrubbed.foundOptions, [])
+    assert.equal(scrubbed.cleanContent, 'Just a regular answer.\nNothing to vote on here.')
+})
+
+test('a mention is answered with a reply in the same discussion', async () => {
+    const outcome = await comment('@bot what do you think?')
+    assert.equal(outcome.code, 200)
+    assert.equal(getMockCalls().length, 1)
+    assert.match(botReplies().at(-1).content, /^🤖 Mock reply to: @bot what do you think\?/)
+})
+
+test('prose mentioning /ai without a mention does not trigger the bot', async () => {
+    const outcome = await comment('I put it in the /ai folder')
+    assert.equal(outcome.message, 'No trigger keyword found')
+    assert.equal(getMockCalls().length, 0)
+    assert.equal(botReplies().length, 0)
+})
+
+test('/ai help lists the commands without calling the model', async () => {
+    await comment('/ai help')
+    assert.equal(getMockCalls().length, 0)
+    const reply = botReplies().at(-1).content
+    assert.match(reply, /Here is what you can ask me here/)
+    assert.match(reply, /`\/ai poll <question>`/)
+})
+
+test('/ai poll creates a post with a poll and its options', async () => {
+    scriptMockResponses([{
+        action: 'CREATE_POST',
+        reasoning: 'The user asked for a poll',
+        reply_text: 'Here is your poll!',
+        post_data: { title: 'Poll: Tabs or spaces?', content: 'Cast your vote!', tags: [] },
+        poll_data: { question: 'Tabs or spaces?', options: ['Tabs', 'Spaces'] }
+    }])
+    await comment('/ai poll Tabs or spaces?')
+
+    assert.equal(supabase.tables.polls.length, 1)
+    const poll = supabase.tables.polls[0]
+    assert.equal(poll.question, 'Tabs or spaces?')
+    assert.deepEqual(supabase.tables.poll_options.filter(o => o.poll_id === poll.id).map(o => o.option_text), ['Tabs', 'Spaces'])
+    assert.ok(supabase.tables.posts.some(p => p.id === poll.post_id && p.user_id === BOT))
+})
+
+test('a vote request on a poll post records the vote', async () => {
+    supabase.tables.posts.push({ id: 2, user_id: USER, title: 'Poll: Tabs or spaces?', description: 'Cast your vote!' })
+    supabase.tables.polls = [{ id: 7, post_id: 2, question: 'Tabs or spaces?', allow_multiple_votes: false }]
+    supabase.tables.poll_options = [
+        { id: 70, poll_id: 7, option_text: 'Tabs', votes_count: 0 },
+        { id: 71, poll_id: 7, option_text: 'Spaces', votes_count: 0 }
+    ]
+    scriptMockResponses([(call) => ({
+        action: 'VOTE_POLL',
+        reasoning: 'The user asked the bot to vote',
+        reply_text: 'I voted!',
+        poll_vote_option_id: call.pollOptionIds[0]
+    })])
+    await comment('@bot which one would you pick? Vote please', 2)
+
+    assert.equal(supabase.tables.poll_votes.length, 1)
+    const [vote] = supabase.tables.poll_votes
+    assert.equal(vote.poll_id, 7)
+    assert.equal(vote.option_id, 70)
+    assert.equal(vote.user_id, BOT)
+    assert.ok(supabase.rpcCalls.some(call => call.name === 'increment_poll_vote'))
+})
+
+test('invalid model output is repaired with a second call', async () => {
+    scriptMockResponses([
+        'Sure! {"action": "REPLY", "reply_text": ',
+        { action: 'REPLY', reasoning: 'Repaired', reply_text: 'Fixed answer' }
+    ])
+    await comment('@bot are you there?')
+
+    const calls = getMockCalls()
+    assert.equal(calls.length, 2)
+    assert.notEqual(calls[1].prompt, calls[0].prompt)
+    assert.equal(botReplies().at(-1).content, '🤖 Fixed answer')
+})